@@ -2,6 +2,8 @@ import PlayerController from './controllers/PlayerController.js';
 import GameController from './controllers/GameController.js';
 import UIController from './controllers/UIController.js';
 import StatsController from './controllers/StatsController.js';
+import HistoryController from './controllers/HistoryController.js';
+import TournamentController from './controllers/TournamentController.js';
 import notificationService from './services/NotificationService.js';
 import eventService, { EVENTS } from './services/EventService.js';
 import storageService from './services/StorageService.js';
@@ -75,6 +77,20 @@ class PinochleScoreKeeperApp {
         // Initialize stats controller (depends on player controller)
         this.controllers.stats = new StatsController(this.controllers.player);
 
+        // Initialize history controller (renders and rematches through the game controller)
+        this.controllers.history = new HistoryController(this.controllers.game, this.controllers.ui);
+
+        // Initialize tournament controller (launches scheduled tables through the game controller)
+        if (CONFIG.FEATURES.TOURNAMENT_MODE) {
+            this.controllers.tournament = new TournamentController(
+                this.controllers.player,
+                this.controllers.game,
+                this.controllers.ui
+            );
+        } else {
+            document.getElementById('tournament-tab')?.classList.add('hidden');
+        }
+
         // Set up inter-controller communication
         this.setupControllerCommunication();
     }
@@ -178,6 +194,28 @@ class PinochleScoreKeeperApp {
                     event.preventDefault();
                     this.controllers.ui?.showTab('stats');
                     break;
+                case '4':
+                    event.preventDefault();
+                    this.controllers.ui?.showTab('history');
+                    break;
+                case '5':
+                    if (this.controllers.tournament) {
+                        event.preventDefault();
+                        this.controllers.ui?.showTab('tournament');
+                    }
+                    break;
+            }
+        }
+
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Y (or Shift + Z) to redo game actions
+        if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.controllers.game?.undo();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.controllers.game?.redo();
             }
         }
 
@@ -229,6 +267,8 @@ class PinochleScoreKeeperApp {
         window.tableSetupController = this.controllers.game?.tableSetupController;
         window.uiController = this.controllers.ui;
         window.statsController = this.controllers.stats;
+        window.historyController = this.controllers.history;
+        window.tournamentController = this.controllers.tournament;
         
         // Expose main app instance
         window.app = this;
@@ -269,7 +309,11 @@ class PinochleScoreKeeperApp {
             },
             players: this.controllers.player?.exportData() || [],
             currentGame: this.controllers.game?.exportCurrentGame(),
+            activeGames: storageService.loadActiveGames(),
             gameHistory: storageService.loadGameHistory(),
+            matches: storageService.loadMatches(),
+            tournaments: storageService.loadTournaments(),
+            seasons: storageService.loadSeasons(),
             statistics: this.controllers.stats?.exportStats()
         };
     }
@@ -301,6 +345,14 @@ class PinochleScoreKeeperApp {
                 this.controllers.player.importData(data.players, !overwrite);
             }
 
+            // Import games in progress (they appear in the table switcher)
+            if (data.activeGames) {
+                if (overwrite || storageService.loadActiveGames().length === 0) {
+                    storageService.saveActiveGames(data.activeGames);
+                    this.controllers.game?.renderGameSwitcher();
+                }
+            }
+
             // Import game history
             if (data.gameHistory) {
                 if (overwrite || storageService.loadGameHistory().length === 0) {
@@ -308,8 +360,29 @@ class PinochleScoreKeeperApp {
                 }
             }
 
+            // Import best-of-N matches
+            if (data.matches) {
+                if (overwrite || storageService.loadMatches().length === 0) {
+                    storageService.saveMatches(data.matches);
+                }
+            }
+
+            // Import tournaments (the tournament controller re-renders them on DATA_IMPORTED)
+            if (data.tournaments) {
+                if (overwrite || storageService.loadTournaments().length === 0) {
+                    storageService.saveTournaments(data.tournaments);
+                }
+            }
+
+            // Import league seasons (the stats controller re-renders them on DATA_IMPORTED)
+            if (data.seasons) {
+                if (overwrite || storageService.loadSeasons().length === 0) {
+                    storageService.saveSeasons(data.seasons);
+                }
+            }
+
             notificationService.success('Data imported successfully');
-            eventService.emit('app:data-imported', data);
+            eventService.emit(EVENTS.DATA_IMPORTED, data);
 
         } catch (error) {
             console.error('Failed to import data:', error);
@@ -332,13 +405,17 @@ class PinochleScoreKeeperApp {
             
             // Reinitialize controllers to reload fresh data
             this.controllers.player?.loadPlayers();
+            this.controllers.stats?.renderSeasonOptions();
             this.controllers.stats?.updateStatsDisplay();
+            this.controllers.history?.renderHistory();
+            this.controllers.tournament?.renderTournamentList();
             
             // If there's an active game, end it
             if (this.controllers.game?.currentGame) {
                 this.controllers.game.currentGame = null;
                 this.controllers.game.updateGameInterface();
             }
+            this.controllers.game?.renderGameSwitcher();
 
             notificationService.success('All data has been reset');
             eventService.emit('app:data-reset');
@@ -398,6 +475,8 @@ class PinochleScoreKeeperApp {
         delete window.gameController;
         delete window.uiController;
         delete window.statsController;
+        delete window.historyController;
+        delete window.tournamentController;
 
         this.controllers = {};
         this.initialized = false;
@@ -0,0 +1,67 @@
+import App from '../App.js';
+import storageService from '../services/StorageService.js';
+
+describe('App', () => {
+  describe('data export and import', () => {
+    const useMemoryStorage = () => {
+      const store = {};
+      Object.defineProperty(global, 'localStorage', {
+        value: {
+          getItem: jest.fn(key => (key in store ? store[key] : null)),
+          setItem: jest.fn((key, value) => { store[key] = value; }),
+          removeItem: jest.fn(key => { delete store[key]; }),
+          clear: jest.fn(),
+          key: jest.fn(),
+          length: 0
+        },
+        configurable: true
+      });
+    };
+
+    // Skip init() so no controllers render into the page
+    const createApp = () => {
+      const app = Object.create(App.prototype);
+      app.controllers = {};
+      return app;
+    };
+
+    test('should carry matches through an export and import', () => {
+      useMemoryStorage();
+      const match = { id: 'match-1', bestOf: 3, gameIds: ['game-1', 'game-2'], status: 'in-progress' };
+      storageService.saveMatch(match);
+      const exported = createApp().exportData();
+
+      useMemoryStorage();
+      createApp().importData(JSON.parse(JSON.stringify(exported)));
+
+      expect(exported.matches).toEqual([match]);
+      expect(storageService.loadMatches()).toEqual([match]);
+    });
+
+    test('should keep existing matches unless overwriting', () => {
+      useMemoryStorage();
+      const existing = { id: 'match-1', bestOf: 3, gameIds: [] };
+      const imported = { id: 'match-2', bestOf: 5, gameIds: [] };
+      storageService.saveMatch(existing);
+
+      createApp().importData({ matches: [imported] });
+      expect(storageService.loadMatches()).toEqual([existing]);
+
+      createApp().importData({ matches: [imported] }, { overwrite: true });
+      expect(storageService.loadMatches()).toEqual([imported]);
+    });
+
+    test('should carry tournaments through an export and import', () => {
+      useMemoryStorage();
+      const tournament = { id: 'tournament-1', name: 'Spring Open', format: 'round-robin', rounds: [] };
+      storageService.saveTournament(tournament);
+      const exported = createApp().exportData();
+
+      useMemoryStorage();
+      createApp().importData(JSON.parse(JSON.stringify(exported)));
+
+      expect(exported.tournaments).toEqual([tournament]);
+      expect(storageService.loadTournaments()).toEqual([tournament]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import Auction from '../../models/Auction.js';
+
+describe('Auction', () => {
+  const players = [
+    { id: 'player1', name: 'Alice' },
+    { id: 'player2', name: 'Bob' },
+    { id: 'player3', name: 'Charlie' }
+  ];
+
+  describe('forHand', () => {
+    test('should start bidding left of the dealer', () => {
+      const auction = Auction.forHand(players, 1, 250, 10);
+
+      expect(auction.seatOrder).toEqual(['player3', 'player1', 'player2']);
+      expect(auction.getCurrentPlayerId()).toBe('player3');
+    });
+
+    test('should wrap around when the last seat deals', () => {
+      const auction = Auction.forHand(players, 2, 250);
+
+      expect(auction.seatOrder).toEqual(['player1', 'player2', 'player3']);
+    });
+  });
+
+  describe('bidding', () => {
+    test('should record bids and passes in seat order', () => {
+      const auction = Auction.forHand(players, 0, 250, 10);
+
+      expect(auction.bid(250).valid).toBe(true);
+      expect(auction.pass().valid).toBe(true);
+      expect(auction.bid(260).valid).toBe(true);
+
+      expect(auction.entries).toEqual([
+        { playerId: 'player2', bid: 250 },
+        { playerId: 'player3', bid: null },
+        { playerId: 'player1', bid: 260 }
+      ]);
+      expect(auction.getCurrentPlayerId()).toBe('player2');
+    });
+
+    test('should skip players who have passed', () => {
+      const auction = Auction.forHand(players, 0, 250, 10);
+      auction.pass();
+      auction.bid(250);
+      auction.bid(260);
+
+      expect(auction.getCurrentPlayerId()).toBe('player3');
+    });
+
+    test('should require the opening bid to reach the minimum', () => {
+      const auction = Auction.forHand(players, 0, 250, 10);
+
+      expect(auction.bid(240)).toEqual({ valid: false, error: 'Bid must be at least 250' });
+      expect(auction.entries).toEqual([]);
+    });
+
+    test('should require bids to rise by the increment', () => {
+      const auction = Auction.forHand(players, 0, 250, 20);
+      auction.bid(250);
+
+      expect(auction.getNextMinimumBid()).toBe(270);
+      expect(auction.bid(260).error).toBe('Bid must be at least 270');
+      expect(auction.bid(280).error).toBe('Bids must go up in steps of 20');
+      expect(auction.bid(290).valid).toBe(true);
+    });
+
+    test('should reject non-numeric bids', () => {
+      const auction = Auction.forHand(players, 0, 250);
+
+      expect(auction.bid(NaN).error).toBe('Bid must be a number');
+    });
+
+    test('should undo the last entry', () => {
+      const auction = Auction.forHand(players, 0, 250);
+      auction.bid(250);
+      auction.pass();
+
+      expect(auction.undo()).toEqual({ playerId: 'player3', bid: null });
+      expect(auction.getCurrentPlayerId()).toBe('player3');
+      expect(new Auction(['player1'], 250).undo()).toBeNull();
+    });
+  });
+
+  describe('completion', () => {
+    test('should end when one bidder is left', () => {
+      const auction = Auction.forHand(players, 0, 250, 10);
+      auction.bid(250);
+      auction.pass();
+      auction.bid(260);
+      auction.pass();
+
+      expect(auction.isComplete()).toBe(true);
+      expect(auction.getWinner()).toEqual({ playerId: 'player1', bid: 260 });
+      expect(auction.getCurrentPlayerId()).toBeNull();
+      expect(auction.bid(270).error).toBe('Bidding is already over');
+      expect(auction.pass().valid).toBe(false);
+    });
+
+    test('should keep going while the only active player has not bid', () => {
+      const auction = Auction.forHand(players, 0, 250, 10);
+      auction.pass();
+      auction.pass();
+
+      expect(auction.isComplete()).toBe(false);
+      expect(auction.getCurrentPlayerId()).toBe('player1');
+    });
+
+    test('should detect when everyone passes', () => {
+      const auction = Auction.forHand(players, 0, 250, 10);
+      auction.pass();
+      auction.pass();
+      auction.pass();
+
+      expect(auction.isAllPass()).toBe(true);
+      expect(auction.getWinner()).toBeNull();
+    });
+  });
+
+  describe('fromData / toData', () => {
+    test('should round-trip a recorded auction', () => {
+      const auction = Auction.forHand(players, 0, 250, 10);
+      auction.bid(250);
+      auction.pass();
+
+      const restored = Auction.fromData(auction.toData());
+
+      expect(restored.toData()).toEqual(auction.toData());
+      expect(restored.getCurrentPlayerId()).toBe('player1');
+    });
+  });
+});
@@ -61,6 +61,7 @@ describe('Game edge cases', () => {
 });
 import Game from '../../models/Game.js';
 import GameHand from '../../models/GameHand.js';
+import Ruleset from '../../models/Ruleset.js';
 
 // Mock GameHand import
 jest.mock('../../models/GameHand.js');
@@ -128,6 +129,112 @@ describe('Game', () => {
     });
   });
 
+  describe('game variants', () => {
+    const fourPlayers = [
+      { id: 'player1', name: 'Alice' },
+      { id: 'player2', name: 'Bob' },
+      { id: 'player3', name: 'Charlie' },
+      { id: 'player4', name: 'Diana' }
+    ];
+
+    test('should default to the single-deck variant for the player count', () => {
+      const game = new Game(mockPlayers, 3);
+
+      expect(game.variant).toBe('3');
+      expect(game.getDeck().maxTricks).toBe(25);
+      expect(game.getMinBid()).toBe(250);
+    });
+
+    test('should use double-deck limits, minimum bid and target score', () => {
+      const game = new Game(fourPlayers, 4, null, '4-double');
+
+      expect(game.gameType).toBe(4);
+      expect(game.targetScore).toBe(500);
+      expect(game.getMinBid()).toBe(50);
+      expect(game.getDeck()).toEqual(expect.objectContaining({
+        cards: 80,
+        maxTricks: 50,
+        pointsPerTrick: 1,
+        meldStep: 1,
+        ninesOfTrump: false
+      }));
+    });
+
+    test('should restore the variant from stored data', () => {
+      const stored = new Game(fourPlayers, 4, null, '4-double').toData();
+      stored.hands = [];
+
+      expect(Game.fromData(stored).variant).toBe('4-double');
+    });
+
+    test('should derive the variant for games stored before variants existed', () => {
+      const stored = new Game(mockPlayers, 3).toData();
+      delete stored.variant;
+      stored.hands = [];
+
+      expect(Game.fromData(stored).variant).toBe('3');
+    });
+  });
+
+  describe('points entry', () => {
+    test('should default to entering tricks', () => {
+      const game = new Game(mockPlayers, 3);
+
+      expect(game.pointsEntry).toBe('tricks');
+      expect(game.usesCounters()).toBe(false);
+    });
+
+    test('should expect every point in the deck when counting counters', () => {
+      const game = new Game(mockPlayers, 3);
+      game.pointsEntry = 'counters';
+
+      expect(game.usesCounters()).toBe(true);
+      expect(game.getCounterTotal()).toBe(250);
+    });
+
+    test('should leave out the last trick when it is entered separately', () => {
+      const game = new Game(mockPlayers, 3);
+      game.pointsEntry = 'counters';
+      game.lastTrickBonus = true;
+
+      expect(game.getCounterTotal()).toBe(240);
+    });
+
+    test('should use double-deck counter totals', () => {
+      const game = new Game([...mockPlayers, { id: 'player4', name: 'Diana' }], 4, null, '4-double');
+      game.pointsEntry = 'counters';
+
+      expect(game.getCounterTotal()).toBe(50);
+      game.lastTrickBonus = true;
+      expect(game.getCounterTotal()).toBe(48);
+    });
+
+    test('should restore the points entry mode from stored data', () => {
+      const game = new Game(mockPlayers, 3);
+      game.pointsEntry = 'counters';
+      game.lastTrickBonus = true;
+      const stored = game.toData();
+      stored.hands = [];
+
+      const restored = Game.fromData(stored);
+
+      expect(restored.usesCounters()).toBe(true);
+      expect(restored.lastTrickBonus).toBe(true);
+    });
+
+    test('should enter tricks for games stored before counter entry existed', () => {
+      const stored = new Game(mockPlayers, 3).toData();
+      delete stored.pointsEntry;
+      delete stored.lastTrickBonus;
+      stored.hands = [];
+
+      const restored = Game.fromData(stored);
+
+      expect(restored.pointsEntry).toBe('tricks');
+      expect(restored.lastTrickBonus).toBe(false);
+    });
+  });
+
   describe('getCurrentDealer', () => {
     test('should return the current dealer based on dealerIndex', () => {
       const game = new Game(mockPlayers, 3);
@@ -196,6 +303,380 @@ describe('Game', () => {
       expect(game.recalculateScores).toHaveBeenCalled();
       expect(game.advanceDealer).toHaveBeenCalled();
     });
+
+    test('should keep the same dealer on a redeal', () => {
+      const game = new Game(mockPlayers, 3);
+      game.allPassPolicy = 'redeal';
+
+      game.addHand({ thrownIn: true, allPass: 'redeal' });
+
+      expect(game.dealerIndex).toBe(0);
+      expect(game.getNextHandNumber()).toBe(2);
+    });
+
+    test('should pass the deal after a throw-in', () => {
+      const game = new Game(mockPlayers, 3);
+
+      game.addHand({ thrownIn: true, allPass: 'throw-in' });
+
+      expect(game.dealerIndex).toBe(1);
+    });
+
+    test('should clear the saved pending hand once the hand is recorded', () => {
+      const game = new Game(mockPlayers, 3);
+      game.pendingHand = { phase: 'score', bidderId: 'player1', winningBid: 250 };
+
+      game.addHand({ thrownIn: true, allPass: 'throw-in' });
+
+      expect(game.pendingHand).toBeNull();
+    });
+  });
+
+  describe('auction pinochle', () => {
+    const makeAuctionGame = () => new Game(mockPlayers, 3, null, '3-auction');
+    const auctionHand = (bid, bidderSet, extra = {}) => ({
+      thrownIn: false,
+      bidderId: 'player1',
+      winningBid: bid,
+      trumpSuit: 'hearts',
+      isBidderSet: jest.fn().mockReturnValue(bidderSet),
+      ...extra
+    });
+
+    test('should settle hands in chips', () => {
+      const game = makeAuctionGame();
+      expect(game.isChipGame()).toBe(true);
+      expect(game.getMinBid()).toBe(300);
+
+      game.hands = [auctionHand(300, false), auctionHand(360, true, { conceded: true })];
+      game.recalculateScores();
+
+      expect(game.scores.map(s => s.score)).toEqual([6 - 15, -3 + 5, -3 + 5]);
+      expect(game.kitty).toBe(5);
+    });
+
+    test('should never end on a target score', () => {
+      const game = makeAuctionGame();
+      game.scores[0].score = 5000;
+
+      expect(game.checkForWinner()).toBeNull();
+    });
+
+    test('should not settle chips in point games', () => {
+      const game = new Game(mockPlayers, 3);
+
+      expect(game.isChipGame()).toBe(false);
+      expect(game.getHandChips(auctionHand(300, false))).toEqual({});
+    });
+
+    test('should restore the kitty from stored data', () => {
+      const game = makeAuctionGame();
+      game.kitty = -10;
+      const stored = game.toData();
+      stored.hands = [];
+
+      expect(Game.fromData(stored).kitty).toBe(-10);
+    });
+  });
+
+  describe('hand edit revisions', () => {
+    const { default: RealGameHand } = jest.requireActual('../../models/GameHand.js');
+
+    const makeHand = () => {
+      const hand = new RealGameHand(7, 'player3', 'Charlie');
+      hand.setWinningBid(320, 'player1', 'Alice');
+      hand.setPlayerMeld('player1', 100);
+      hand.setPlayerScore('player1', 250);
+      return hand;
+    };
+
+    test('should log only the values that changed', () => {
+      const game = new Game(mockPlayers, 3);
+      const hand = makeHand();
+      const before = hand.getEditableValues();
+
+      hand.winningBid = 350;
+      hand.playerMeld.player2 = 40;
+      const revision = game.recordHandEdit(hand, before, '  Misheard the bid ');
+
+      expect(revision).toEqual({
+        handNumber: 7,
+        timestamp: expect.any(String),
+        reason: 'Misheard the bid',
+        changes: [
+          { field: 'winningBid', playerId: null, from: 320, to: 350 },
+          { field: 'playerMeld', playerId: 'player2', from: null, to: 40 }
+        ]
+      });
+    });
+
+    test('should not log an edit that changed nothing', () => {
+      const game = new Game(mockPlayers, 3);
+      const hand = makeHand();
+
+      expect(game.recordHandEdit(hand, hand.getEditableValues())).toBeNull();
+      expect(game.revisions).toEqual([]);
+    });
+
+    test('should list revisions newest first and by hand', () => {
+      const game = new Game(mockPlayers, 3);
+      game.revisions = [{ handNumber: 1 }, { handNumber: 2 }, { handNumber: 1, reason: 'again' }];
+
+      expect(game.getRevisions().map(r => r.handNumber)).toEqual([1, 2, 1]);
+      expect(game.getRevisions(1)).toEqual([{ handNumber: 1, reason: 'again' }, { handNumber: 1 }]);
+      expect(game.revisions[0]).toEqual({ handNumber: 1 });
+    });
+
+    test('should keep revisions in stored data', () => {
+      const game = new Game(mockPlayers, 3);
+      game.revisions = [{ handNumber: 3, changes: [] }];
+      const stored = game.toData();
+      stored.hands = [];
+
+      expect(Game.fromData(stored).revisions).toEqual([{ handNumber: 3, changes: [] }]);
+    });
+  });
+
+  describe('inserting, deleting and moving hands', () => {
+    const { default: RealGameHand } = jest.requireActual('../../models/GameHand.js');
+
+    const playHands = (game, bids) => {
+      bids.forEach(bid => {
+        const dealer = game.getCurrentDealer();
+        const hand = new RealGameHand(game.getNextHandNumber(), dealer.id, dealer.name);
+        hand.setWinningBid(bid, 'player1', 'Alice');
+        hand.setPlayerScore('player1', bid);
+        game.addHand(hand);
+      });
+    };
+
+    test('should delete a hand and renumber the rest', () => {
+      const game = new Game(mockPlayers, 3);
+      playHands(game, [250, 260, 270]);
+
+      expect(game.deleteHand(1, 'Entered twice').winningBid).toBe(260);
+      expect(game.hands.map(h => h.handNumber)).toEqual([1, 2]);
+      expect(game.hands.map(h => h.dealerId)).toEqual(['player1', 'player2']);
+      expect(game.dealerIndex).toBe(2);
+      expect(game.scores[0].score).toBe(520);
+      expect(game.revisions[0]).toMatchObject({ handNumber: 2, action: 'delete', reason: 'Entered twice' });
+    });
+
+    test('should ignore a delete with no hand at the index', () => {
+      const game = new Game(mockPlayers, 3);
+
+      expect(game.deleteHand(0)).toBeNull();
+      expect(game.revisions).toEqual([]);
+    });
+
+    test('should insert a missed hand and pass the deal on', () => {
+      const game = new Game(mockPlayers, 3);
+      playHands(game, [250, 260]);
+      const missed = new RealGameHand(0, null, null);
+      missed.setWinningBid(300, 'player1', 'Alice');
+      missed.setPlayerScore('player1', 300);
+
+      game.insertHand(1, missed);
+
+      expect(game.hands.map(h => h.winningBid)).toEqual([250, 300, 260]);
+      expect(game.hands.map(h => h.handNumber)).toEqual([1, 2, 3]);
+      expect(game.hands.map(h => h.dealerName)).toEqual(['Alice', 'Bob', 'Charlie']);
+      expect(game.getCurrentDealer().id).toBe('player1');
+      expect(game.scores[0].score).toBe(810);
+      expect(game.revisions[0]).toMatchObject({ handNumber: 2, action: 'insert' });
+    });
+
+    test('should leave the scores alone when a hand is inserted awaiting entry', () => {
+      const game = new Game(mockPlayers, 3);
+      playHands(game, [250, 260]);
+      const totals = game.scores.map(s => s.score);
+      const inserted = new RealGameHand(0, null, null);
+      inserted.setWinningBid(250, 'player2', 'Bob');
+      inserted.pendingEntry = true;
+
+      game.insertHand(1, inserted);
+
+      expect(game.scores.map(s => s.score)).toEqual(totals);
+      expect(game.isBidderSet(inserted)).toBe(false);
+      expect(game.scoreHand(inserted)).toEqual({});
+      expect(game.getLastPlayedHand().winningBid).toBe(260);
+    });
+
+    test('should move a hand and keep a redeal with the same dealer', () => {
+      const game = new Game(mockPlayers, 3);
+      playHands(game, [250, 260]);
+      const redeal = new RealGameHand(3, 'player3', 'Charlie');
+      redeal.throwIn();
+      redeal.setAllPass('redeal');
+      game.addHand(redeal);
+
+      expect(game.moveHand(2, 0)).toBe(true);
+      expect(game.hands.map(h => h.winningBid)).toEqual([null, 250, 260]);
+      expect(game.hands.map(h => h.dealerId)).toEqual(['player1', 'player1', 'player2']);
+      expect(game.dealerIndex).toBe(2);
+      expect(game.revisions[0]).toMatchObject({ handNumber: 3, action: 'move', toHandNumber: 1 });
+    });
+
+    test('should not move a hand outside the sequence', () => {
+      const game = new Game(mockPlayers, 3);
+      playHands(game, [250]);
+
+      expect(game.moveHand(0, 1)).toBe(false);
+      expect(game.moveHand(0, -1)).toBe(false);
+    });
+  });
+
+  describe('editing hand outcomes', () => {
+    const { default: RealGameHand } = jest.requireActual('../../models/GameHand.js');
+
+    const makeHand = () => {
+      const hand = new RealGameHand(1, 'player1', 'Alice');
+      hand.setWinningBid(250, 'player1', 'Alice');
+      hand.declareMeld('player1', 60);
+      hand.declareMeld('player2', 20, false);
+      hand.setPlayerScore('player1', 200);
+      hand.setPlayerScore('player2', 0);
+      hand.setPlayerScore('player3', 50);
+      return hand;
+    };
+
+    test('should clear the meld of a player who took no trick', () => {
+      const game = new Game(mockPlayers, 3);
+      const hand = makeHand();
+
+      expect(game.applyMeldSave(hand)).toEqual(['player2']);
+      expect(hand.playerMeld).toEqual({ player1: 60, player2: 0, player3: 0 });
+    });
+
+    test('should restore the meld when the 9\'s of trump decision is changed', () => {
+      const game = new Game(mockPlayers, 3);
+      const hand = makeHand();
+      game.applyMeldSave(hand);
+
+      hand.declareMeld('player2', 20, true);
+
+      expect(game.applyMeldSave(hand)).toEqual([]);
+      expect(hand.playerMeld.player2).toBe(20);
+    });
+
+    test('should keep the meld of a side that took a trick without counters', () => {
+      const game = new Game(mockPlayers, 3);
+      game.pointsEntry = 'counters';
+      const hand = makeHand();
+      hand.setPlayerCounters('player2', 0);
+      hand.setPlayerTookTrick('player2', true);
+
+      expect(game.applyMeldSave(hand)).toEqual([]);
+      expect(hand.playerMeld.player2).toBe(20);
+    });
+
+    test('should keep the meld of the last trick winner when counting counters', () => {
+      const game = new Game(mockPlayers, 3);
+      game.pointsEntry = 'counters';
+      game.lastTrickBonus = true;
+      const hand = makeHand();
+      hand.setPlayerCounters('player2', 0);
+      hand.setLastTrickWinner('player2');
+
+      expect(game.applyMeldSave(hand)).toEqual([]);
+      expect(hand.playerMeld.player2).toBe(20);
+    });
+
+    test('should still clear the meld of a side with no counters and no trick', () => {
+      const game = new Game(mockPlayers, 3);
+      game.pointsEntry = 'counters';
+      const hand = makeHand();
+      hand.setPlayerCounters('player2', 0);
+
+      expect(game.applyMeldSave(hand)).toEqual(['player2']);
+    });
+
+    test('should follow the all-pass policy when a hand is thrown in while editing', () => {
+      const game = new Game(mockPlayers, 3);
+      game.allPassPolicy = 'redeal';
+      const first = makeHand();
+      const second = new RealGameHand(2, 'player2', 'Bob');
+      second.setWinningBid(250, 'player3', 'Charlie');
+      game.addHand(first);
+      game.addHand(second);
+
+      game.setHandOutcome(first, 'thrown-in');
+
+      expect(first.allPass).toBe('redeal');
+      expect(game.hands.map(h => h.dealerId)).toEqual(['player1', 'player1']);
+      expect(game.getCurrentDealer().id).toBe('player2');
+
+      game.setHandOutcome(first, 'normal');
+      expect(game.getCurrentDealer().id).toBe('player3');
+    });
+
+    test('should log outcome, bidder and 9\'s changes', () => {
+      const game = new Game(mockPlayers, 3);
+      const hand = makeHand();
+      const before = hand.getEditableValues();
+
+      game.setHandOutcome(hand, 'moon-made');
+      hand.setWinningBid(250, 'player2', 'Bob');
+      hand.declareMeld('player3', 0, false);
+      hand.declareMeld('player2', 20, true);
+
+      expect(game.recordHandEdit(hand, before).changes).toEqual([
+        { field: 'outcome', playerId: null, from: 'normal', to: 'moon-made' },
+        { field: 'bidderId', playerId: null, from: 'player1', to: 'player2' },
+        { field: 'playerMeld', playerId: 'player3', from: null, to: 0 },
+        { field: 'playerNinesOnly', playerId: 'player2', from: false, to: true }
+      ]);
+    });
+
+    test('should log who took the last trick', () => {
+      const game = new Game(mockPlayers, 3);
+      const hand = makeHand();
+      const before = hand.getEditableValues();
+
+      hand.setLastTrickWinner('player2');
+      const { changes } = game.recordHandEdit(hand, before);
+
+      expect(changes).toEqual([
+        { field: 'lastTrickWinnerId', playerId: null, from: null, to: 'player2' }
+      ]);
+      expect(game.describeRevisionChange(changes[0])).toBe('Last trick: - → Bob');
+    });
+
+    test('should describe outcome, bidder and 9\'s changes in the log', () => {
+      const game = new Game(mockPlayers, 3);
+      const hand = makeHand();
+      const before = hand.getEditableValues();
+
+      game.setHandOutcome(hand, 'thrown-in');
+      hand.setWinningBid(250, 'player2', 'Bob');
+      hand.declareMeld('player2', 20, true);
+      const { changes } = game.recordHandEdit(hand, before);
+
+      expect(changes.map(change => game.describeRevisionChange(change))).toEqual(expect.arrayContaining([
+        'Outcome: Played → Thrown in (no bids)',
+        'Bidder: Alice → Bob',
+        'Bob 9\'s only: no → yes',
+        'Alice meld: 60 → -'
+      ]));
+    });
+  });
+
+  describe('all-pass policy', () => {
+    test('should default to throwing in', () => {
+      expect(new Game(mockPlayers, 3).allPassPolicy).toBe('throw-in');
+    });
+
+    test('should restore the policy from stored data', () => {
+      const game = new Game(mockPlayers, 3);
+      game.allPassPolicy = 'stuck-dealer';
+      const stored = game.toData();
+      stored.hands = [];
+
+      expect(Game.fromData(stored).allPassPolicy).toBe('stuck-dealer');
+
+      delete stored.allPassPolicy;
+      expect(Game.fromData(stored).allPassPolicy).toBe('throw-in');
+    });
   });
 
   describe('recalculateScores', () => {
@@ -315,6 +796,212 @@ describe('Game', () => {
     });
   });
 
+  describe('house rules', () => {
+    test('should default to the standard ruleset', () => {
+      const game = new Game(mockPlayers, 3);
+      expect(game.rules).toBeInstanceOf(Ruleset);
+      expect(game.rules.id).toBe('standard');
+    });
+
+    test('should score a set with the game ruleset', () => {
+      const game = new Game(mockPlayers, 3, new Ruleset({ setPenaltyMultiplier: 2 }));
+      game.hands = [{
+        thrownIn: false,
+        isBidderSet: jest.fn().mockReturnValue(true),
+        bidderId: 'player1',
+        winningBid: 300,
+        playerMeld: { 'player2': 30 },
+        playerScores: { 'player2': 110 }
+      }];
+
+      game.recalculateScores();
+
+      expect(game.scores[0].score).toBe(-600);
+      expect(game.scores[1].score).toBe(140);
+    });
+
+    test('should pay every opponent the bid when the set pays the table', () => {
+      const game = new Game(mockPlayers, 3, new Ruleset({ setPaysTable: true }));
+      const hand = {
+        thrownIn: false,
+        isBidderSet: jest.fn().mockReturnValue(true),
+        bidderId: 'player1',
+        winningBid: 300,
+        playerMeld: { 'player2': 30 },
+        playerScores: { 'player2': 110, 'player3': 50 }
+      };
+      game.hands = [hand];
+
+      game.recalculateScores();
+
+      expect(game.getSetPayout(hand)).toBe(300);
+      expect(game.scores.map(s => s.score)).toEqual([-300, 440, 350]);
+    });
+
+    test('should restore the stored ruleset snapshot', () => {
+      const stored = new Game(mockPlayers, 3, new Ruleset({ id: 'custom', setPenaltyMultiplier: 3 })).toData();
+      stored.hands = [];
+
+      const game = Game.fromData(stored);
+      expect(game.rules.id).toBe('custom');
+      expect(game.rules.setPenaltyMultiplier).toBe(3);
+    });
+
+    test('should use the legacy rules for games stored without a snapshot', () => {
+      const stored = new Game(mockPlayers, 3).toData();
+      delete stored.rules;
+      stored.hands = [];
+
+      const game = Game.fromData(stored);
+      expect(game.rules.toData()).toEqual({ ...Ruleset.DEFAULTS });
+    });
+  });
+
+  describe('team scoring', () => {
+    const { default: RealGameHand } = jest.requireActual('../../models/GameHand.js');
+    const fourPlayers = [
+      { id: 'player1', name: 'Alice' },
+      { id: 'player2', name: 'Bob' },
+      { id: 'player3', name: 'Charlie' },
+      { id: 'player4', name: 'Diana' }
+    ];
+    const teams = {
+      teamA: [{ id: 'player1', name: 'Alice' }, { id: 'player3', name: 'Charlie' }],
+      teamB: [{ id: 'player2', name: 'Bob' }, { id: 'player4', name: 'Diana' }]
+    };
+
+    const makeTeamGame = () => {
+      const game = new Game(fourPlayers, 4);
+      game.teamAssignments = teams;
+      return game;
+    };
+
+    const makeHand = (bid, meld, scores) => {
+      const hand = new RealGameHand(1, 'player4', 'Diana');
+      hand.setWinningBid(bid, 'player1', 'Alice');
+      Object.keys(meld).forEach(id => hand.setPlayerMeld(id, meld[id]));
+      Object.keys(scores).forEach(id => hand.setPlayerScore(id, scores[id]));
+      return hand;
+    };
+
+    test('should find partners only in team games', () => {
+      const game = makeTeamGame();
+
+      expect(game.isTeamGame()).toBe(true);
+      expect(game.getPlayerTeam('player2')).toBe('teamB');
+      expect(game.getPartnerIds('player1')).toEqual(['player3']);
+      expect(new Game(mockPlayers, 3).getPartnerIds('player1')).toEqual([]);
+    });
+
+    test('should let the partnership make the bid together', () => {
+      const game = makeTeamGame();
+      // Alice alone has 180, with Charlie 320
+      game.hands = [makeHand(300, { player1: 80, player3: 40 }, { player1: 100, player3: 100, player2: 50 })];
+      game.recalculateScores();
+
+      expect(game.isBidderSet(game.hands[0])).toBe(false);
+      expect(game.getTeamScores()).toEqual({ teamA: 320, teamB: 50 });
+    });
+
+    test('should set the whole partnership once', () => {
+      const game = makeTeamGame();
+      game.hands = [makeHand(350, { player1: 80, player3: 40, player2: 60 }, { player1: 100, player3: 60, player2: 90 })];
+      game.recalculateScores();
+
+      expect(game.isBidderSet(game.hands[0])).toBe(true);
+      expect(game.getTeamHandTotals(game.hands[0])).toEqual({ teamA: -350, teamB: 150 });
+      expect(game.getTeamScores()).toEqual({ teamA: -350, teamB: 150 });
+    });
+
+    test('should decide the winner from team totals', () => {
+      const game = makeTeamGame();
+      game.targetScore = 300;
+      game.hands = [makeHand(300, { player1: 80, player3: 40 }, { player1: 100, player3: 100 })];
+      game.recalculateScores();
+
+      expect(game.checkForWinner()).toEqual(expect.objectContaining({ team: 'teamA', score: 320 }));
+    });
+
+    test('should keep team assignments in stored data', () => {
+      const stored = makeTeamGame().toData();
+      stored.hands = [];
+
+      const restored = Game.fromData(stored);
+
+      expect(restored.isTeamGame()).toBe(true);
+      expect(restored.getPartnerIds('player2')).toEqual(['player4']);
+    });
+  });
+
+  describe('larger partnerships', () => {
+    const { default: RealGameHand } = jest.requireActual('../../models/GameHand.js');
+    const sixPlayers = ['Alice', 'Bob', 'Charlie', 'Diana', 'Evan', 'Fay'].map((name, i) => ({
+      id: `player${i + 1}`,
+      name
+    }));
+    const threeTeams = {
+      teamA: [sixPlayers[0], sixPlayers[3]],
+      teamB: [sixPlayers[1], sixPlayers[4]],
+      teamC: [sixPlayers[2], sixPlayers[5]]
+    };
+
+    const makeSixPlayerGame = () => {
+      const game = new Game(sixPlayers, 6, null, '6-3x2');
+      game.teamAssignments = threeTeams;
+      return game;
+    };
+
+    test('should play 6-player variants with the double deck', () => {
+      const game = makeSixPlayerGame();
+
+      expect(game.getDeck().maxTricks).toBe(50);
+      expect(game.getMinBid()).toBe(50);
+      expect(game.targetScore).toBe(500);
+    });
+
+    test('should treat three teams as a team game', () => {
+      const game = makeSixPlayerGame();
+
+      expect(game.isTeamGame()).toBe(true);
+      expect(game.getTeamIds()).toEqual(['teamA', 'teamB', 'teamC']);
+      expect(game.getTeamName('teamC')).toBe('Team C');
+      expect(game.getPlayerTeam('player6')).toBe('teamC');
+      expect(game.getPartnerIds('player3')).toEqual(['player6']);
+    });
+
+    test('should total hands and scores for every team', () => {
+      const game = makeSixPlayerGame();
+      const hand = new RealGameHand(1, 'player6', 'Fay');
+      hand.setWinningBid(50, 'player3', 'Charlie');
+      hand.setPlayerMeld('player3', 20);
+      hand.setPlayerScore('player3', 25);
+      hand.setPlayerScore('player6', 10);
+      hand.setPlayerMeld('player1', 8);
+      hand.setPlayerScore('player1', 13);
+      game.hands = [hand];
+      game.recalculateScores();
+
+      expect(game.getTeamHandTotals(hand)).toEqual({ teamA: 21, teamB: 0, teamC: 55 });
+      expect(game.getTeamScores()).toEqual({ teamA: 21, teamB: 0, teamC: 55 });
+    });
+
+    test('should award the game to the highest team over the target', () => {
+      const game = makeSixPlayerGame();
+      game.scores = sixPlayers.map((p, i) => ({
+        playerId: p.id,
+        name: p.name,
+        score: [300, 100, 250, 220, 100, 300][i]
+      }));
+
+      expect(game.checkForWinner()).toEqual(expect.objectContaining({
+        team: 'teamC',
+        teamName: 'Team C',
+        score: 550
+      }));
+      expect(game.getStatus().leader).toBe('Team C');
+    });
+  });
+
   describe('checkForWinner', () => {
     let game;
 
@@ -415,6 +1102,153 @@ describe('Game', () => {
     });
   });
 
+  describe('resolveGameEnd', () => {
+    const bidHand = (bidderId, bidderSet = false) => ({
+      thrownIn: false,
+      bidderId,
+      winningBid: 250,
+      isBidderSet: jest.fn().mockReturnValue(bidderSet)
+    });
+
+    const makeGame = (rules, scores) => {
+      const game = new Game(mockPlayers, 3, new Ruleset(rules));
+      game.scores.forEach((s, i) => { s.score = scores[i]; });
+      return game;
+    };
+
+    test('should explain a single side reaching the target', () => {
+      const game = makeGame({}, [1500, 1400, 900]);
+
+      expect(game.resolveGameEnd()).toEqual({
+        winner: game.scores[0],
+        reason: 'Alice reached 1500',
+        playOn: false
+      });
+    });
+
+    test('should give the game to the highest score by default', () => {
+      const game = makeGame({}, [1550, 1600, 900]);
+      game.hands = [bidHand('player1')];
+
+      const result = game.resolveGameEnd();
+      expect(result.winner.playerId).toBe('player2');
+      expect(result.reason).toBe('Bob has the highest score over 1500');
+    });
+
+    test('should let the bidder go out first when the bid is made', () => {
+      const game = makeGame({ gameEnd: 'bidder-out' }, [1550, 1600, 900]);
+      game.hands = [bidHand('player1'), { thrownIn: true }];
+
+      const result = game.resolveGameEnd();
+      expect(result.winner.playerId).toBe('player1');
+      expect(result.reason).toBe('Alice made the bid on the last hand and counts out first');
+    });
+
+    test('should fall back to the highest score when the bidder went set', () => {
+      const game = makeGame({ gameEnd: 'bidder-out' }, [1550, 1600, 900]);
+      game.hands = [bidHand('player1', true)];
+
+      expect(game.resolveGameEnd().winner.playerId).toBe('player2');
+    });
+
+    test('should give a tie to the side seated first', () => {
+      const game = makeGame({}, [900, 1600, 1600]);
+
+      const result = game.resolveGameEnd();
+      expect(result.winner.playerId).toBe('player2');
+      expect(result.reason).toBe('Bob won the tie at 1600 by sitting first');
+    });
+
+    test('should play on after a tie when the rules say so', () => {
+      const game = makeGame({ playOnTie: true }, [900, 1600, 1600]);
+
+      expect(game.resolveGameEnd()).toEqual({
+        winner: null,
+        reason: 'Bob and Charlie are tied at 1600, so play another hand',
+        playOn: true
+      });
+      expect(game.checkForWinner()).toBeNull();
+    });
+
+    test('should end the game when the moon is shot under moon-wins rules', () => {
+      const game = makeGame({ moonOutcome: 'win' }, [400, 900, 1200]);
+      game.hands = [{ ...bidHand('player1'), moon: 'made' }];
+
+      expect(game.resolveGameEnd()).toEqual({
+        winner: game.scores[0],
+        reason: 'Alice shot the moon',
+        playOn: false
+      });
+    });
+
+    test('should not end the game on a failed moon', () => {
+      const game = makeGame({ moonOutcome: 'win' }, [400, 900, 1200]);
+      game.hands = [{ ...bidHand('player1', true), moon: 'failed' }];
+
+      expect(game.checkForWinner()).toBeNull();
+    });
+
+    test('should let the bidding team go out first', () => {
+      const fourPlayers = [
+        { id: 'player1', name: 'Alice' },
+        { id: 'player2', name: 'Bob' },
+        { id: 'player3', name: 'Charlie' },
+        { id: 'player4', name: 'Diana' }
+      ];
+      const game = new Game(fourPlayers, 4, new Ruleset({ gameEnd: 'bidder-out' }));
+      game.teamAssignments = {
+        teamA: [fourPlayers[0], fourPlayers[2]],
+        teamB: [fourPlayers[1], fourPlayers[3]]
+      };
+      game.scores.forEach((s, i) => { s.score = [800, 800, 750, 800][i]; });
+      game.hands = [bidHand('player3')];
+
+      const result = game.resolveGameEnd();
+      expect(result.winner.team).toBe('teamA');
+      expect(result.reason).toBe('Team A made the bid on the last hand and counts out first');
+    });
+  });
+
+  describe('resolveManualEnd', () => {
+    const makeGame = (rules, scores) => {
+      const game = new Game(mockPlayers, 3, new Ruleset(rules));
+      game.scores.forEach((s, i) => { s.score = scores[i]; });
+      return game;
+    };
+
+    test('should give an early end to the highest score', () => {
+      const game = makeGame({}, [600, 900, 400]);
+
+      expect(game.resolveManualEnd()).toEqual({
+        winner: game.scores[1],
+        reason: 'Bob has the highest score',
+        playOn: false
+      });
+    });
+
+    test('should give a tied early end to the side seated first', () => {
+      const game = makeGame({}, [400, 900, 900]);
+
+      expect(game.resolveManualEnd().winner.playerId).toBe('player2');
+    });
+
+    test('should refuse an early end while the leaders are tied under play-on-tie rules', () => {
+      const game = makeGame({ playOnTie: true }, [400, 900, 900]);
+
+      expect(game.resolveManualEnd()).toEqual({
+        winner: null,
+        reason: 'Bob and Charlie are tied at 900, so play another hand',
+        playOn: true
+      });
+    });
+
+    test('should follow the game end rules once the target is reached', () => {
+      const game = makeGame({ playOnTie: true }, [1500, 1600, 1600]);
+
+      expect(game.resolveManualEnd()).toEqual(game.resolveGameEnd());
+    });
+  });
+
   describe('getTeamScores', () => {
     test('should calculate team totals correctly for 4-player games', () => {
       const mockPlayers = [
@@ -482,6 +1316,70 @@ describe('Game', () => {
     });
   });
 
+  describe('createRematch', () => {
+    test('should copy the table and settings with no hands played', () => {
+      const game = new Game(mockPlayers, 3, null, '3');
+      game.rules.moonOutcome = 'win';
+      game.targetScore = 2000;
+      game.allPassPolicy = 'redeal';
+      game.hands = [{ dealerId: 'player2' }];
+      game.endGame('player1', 'Alice');
+      const livePlayers = mockPlayers.map(p => ({ ...p, gamesPlayed: 4 }));
+
+      const rematch = game.createRematch(livePlayers);
+
+      expect(rematch.players).toEqual(livePlayers);
+      expect(rematch.hands).toEqual([]);
+      expect(rematch.winnerId).toBeNull();
+      expect(rematch.rules.moonOutcome).toBe('win');
+      expect(rematch.rules).not.toBe(game.rules);
+      expect(rematch.targetScore).toBe(2000);
+      expect(rematch.allPassPolicy).toBe('redeal');
+      expect(rematch.getCurrentDealer().id).toBe('player3');
+    });
+
+    test('should keep the partnerships with the new player objects', () => {
+      const players = [...mockPlayers, { id: 'player4', name: 'Dana' }];
+      const game = new Game(players, 4);
+      game.teamAssignments = {
+        teamA: [players[0], players[2]],
+        teamB: [players[1], players[3]]
+      };
+      const livePlayers = players.map(p => ({ ...p }));
+
+      const rematch = game.createRematch(livePlayers);
+
+      expect(rematch.teamAssignments.teamA[1]).toBe(livePlayers[2]);
+      expect(rematch.getPartnerIds('player2')).toEqual(['player4']);
+    });
+  });
+
+  describe('isWinner', () => {
+    test('should credit the winning player', () => {
+      const game = new Game(mockPlayers, 3);
+      game.endGame('player2', 'Bob');
+
+      expect(game.isWinner('player2')).toBe(true);
+      expect(game.isWinner('player1')).toBe(false);
+    });
+
+    test('should credit every member of the winning team', () => {
+      const game = new Game([...mockPlayers, { id: 'player4', name: 'Dana' }], 4);
+      game.teamAssignments = {
+        teamA: [{ id: 'player1' }, { id: 'player3' }],
+        teamB: [{ id: 'player2' }, { id: 'player4' }]
+      };
+      game.endGame('team_teamA', 'Team A');
+
+      expect(game.isWinner('player3')).toBe(true);
+      expect(game.isWinner('player2')).toBe(false);
+    });
+
+    test('should credit nobody before the game ends', () => {
+      expect(new Game(mockPlayers, 3).isWinner('player1')).toBe(false);
+    });
+  });
+
   describe('isCompleted', () => {
     test('should return false for ongoing game', () => {
       const game = new Game(mockPlayers, 3);
@@ -595,6 +1493,15 @@ describe('Game', () => {
       expect(game.dealerIndex).toBe(2);
       expect(game.winnerId).toBe('player2');
       expect(game.winnerName).toBe('Bob');
+      expect(game.pendingHand).toBeNull();
+      expect(game.matchId).toBeNull();
+    });
+
+    test('should keep the pending hand in stored data', () => {
+      const game = new Game(mockPlayers, 3);
+      game.pendingHand = { phase: 'meld', bidderId: 'player2', winningBid: 300, meld: { player2: 40 } };
+
+      expect(Game.fromData(game.toData()).pendingHand).toEqual(game.pendingHand);
     });
   });
 
@@ -613,6 +1520,7 @@ describe('Game', () => {
       expect(data).toEqual({
         id: '1234567890123',
         gameType: 3,
+        variant: '3',
         players: mockPlayers,
         hands: [{ handNumber: 1 }],
         scores: [
@@ -625,7 +1533,16 @@ describe('Game', () => {
         targetScore: 1500,
         dealerIndex: 0,
         winnerId: 'player1',
-        winnerName: 'Alice'
+        winnerName: 'Alice',
+        teamAssignments: null,
+        rules: Ruleset.fromPreset('standard').toData(),
+        pointsEntry: 'tricks',
+        lastTrickBonus: false,
+        allPassPolicy: 'throw-in',
+        kitty: 0,
+        revisions: [],
+        pendingHand: null,
+        matchId: null
       });
       expect(mockHand.toData).toHaveBeenCalled();
       jest.restoreAllMocks();
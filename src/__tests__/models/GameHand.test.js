@@ -1,4 +1,5 @@
 import GameHand from '../../models/GameHand.js';
+import Auction from '../../models/Auction.js';
 
 describe('GameHand', () => {
   let mockDate;
@@ -54,6 +55,75 @@ describe('GameHand', () => {
     });
   });
 
+  describe('declareMeld', () => {
+    test('should keep the declared meld and 9\'s decision alongside the scored meld', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.declareMeld('player1', 20, true);
+      hand.setPlayerMeld('player1', 0);
+
+      expect(hand.getDeclaredMeld('player1')).toBe(20);
+      expect(hand.playerNinesOnly).toEqual({ player1: true });
+      expect(hand.playerMeld).toEqual({ player1: 0 });
+    });
+
+    test('should fall back to the scored meld for hands recorded without it', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setPlayerMeld('player1', 50);
+
+      expect(hand.getDeclaredMeld('player1')).toBe(50);
+      expect(hand.getDeclaredMeld('player2')).toBe(0);
+    });
+  });
+
+  describe('outcome', () => {
+    test('should report how the hand was played out', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setWinningBid(300, 'bidder-id', 'Jane Bidder');
+
+      expect(hand.getOutcome()).toBe('normal');
+      hand.setMoon('failed');
+      expect(hand.getOutcome()).toBe('moon-failed');
+      hand.concede();
+      expect(hand.getOutcome()).toBe('conceded');
+      hand.throwIn();
+      expect(hand.getOutcome()).toBe('thrown-in');
+    });
+
+    test('should turn a played hand into a moon and back', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setWinningBid(300, 'bidder-id', 'Jane Bidder');
+
+      hand.setOutcome('moon-made');
+      expect(hand.moon).toBe('made');
+      hand.setOutcome('normal');
+      expect(hand.moon).toBeNull();
+      expect(hand.winningBid).toBe(300);
+    });
+
+    test('should clear a thrown-in hand that is played after all', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setWinningBid(300, 'bidder-id', 'Jane Bidder');
+      hand.setOutcome('thrown-in');
+      hand.setAllPass('throw-in');
+
+      expect(hand.winningBid).toBeNull();
+
+      hand.setOutcome('normal');
+      expect(hand.thrownIn).toBe(false);
+      expect(hand.allPass).toBeNull();
+    });
+  });
+
+  describe('setPlayerMeldDetails', () => {
+    test('should record the combinations a player built', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      const details = { trumpSuit: 'hearts', combinations: [{ id: 'run', count: 1 }] };
+      hand.setPlayerMeldDetails('player1', details);
+
+      expect(hand.playerMeldDetails).toEqual({ 'player1': details });
+    });
+  });
+
   describe('setPlayerScore', () => {
     test('should set score for a player', () => {
       const hand = new GameHand(1, 'dealer-id', 'John Dealer');
@@ -67,6 +137,18 @@ describe('GameHand', () => {
     });
   });
 
+  describe('setPlayerCounters', () => {
+    test('should record raw counters and the last trick winner', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setPlayerCounters('player1', 130);
+      hand.setPlayerCounters('player2', 110);
+      hand.setLastTrickWinner('player2');
+
+      expect(hand.playerCounters).toEqual({ 'player1': 130, 'player2': 110 });
+      expect(hand.lastTrickWinnerId).toBe('player2');
+    });
+  });
+
   describe('throwIn', () => {
     test('should mark hand as thrown in and reset bid data', () => {
       const hand = new GameHand(1, 'dealer-id', 'John Dealer');
@@ -84,10 +166,33 @@ describe('GameHand', () => {
       expect(hand.bidderName).toBeNull();
       expect(hand.playerMeld).toEqual({});
       expect(hand.playerScores).toEqual({});
+      expect(hand.playerCounters).toEqual({});
+      expect(hand.lastTrickWinnerId).toBeNull();
+      expect(hand.trumpSuit).toBeNull();
     });
   });
 
   describe('isBidderSet', () => {
+    test('should always set a conceded hand', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setWinningBid(300, 'player1', 'Alice');
+      hand.setPlayerMeld('player1', 300);
+
+      hand.concede();
+      expect(hand.isBidderSet()).toBe(true);
+    });
+
+    test('should follow the moon result instead of the points', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setWinningBid(600, 'player1', 'Alice');
+
+      hand.setMoon('made');
+      expect(hand.isBidderSet()).toBe(false);
+
+      hand.setMoon('failed');
+      expect(hand.isBidderSet()).toBe(true);
+    });
+
     test('should return false when no bidder is set', () => {
       const hand = new GameHand(1, 'dealer-id', 'John Dealer');
       expect(hand.isBidderSet()).toBe(false);
@@ -129,6 +234,19 @@ describe('GameHand', () => {
       expect(hand.isBidderSet()).toBe(false);
     });
 
+    test('should count partners toward the bid in team games', () => {
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setWinningBid(300, 'bidder-id', 'Jane Bidder');
+      hand.setPlayerMeld('bidder-id', 50);
+      hand.setPlayerScore('bidder-id', 100);
+      hand.setPlayerMeld('partner-id', 40);
+      hand.setPlayerScore('partner-id', 120);
+      // Bidder alone: 150, with partner: 310
+
+      expect(hand.isBidderSet()).toBe(true);
+      expect(hand.isBidderSet(['partner-id'])).toBe(false);
+    });
+
     test('should handle missing meld or score data', () => {
       const hand = new GameHand(1, 'dealer-id', 'John Dealer');
       hand.setWinningBid(300, 'bidder-id', 'Jane Bidder');
@@ -226,6 +344,19 @@ describe('GameHand', () => {
       expect(result.errors).toContain('Total tricks cannot exceed 25');
     });
 
+    test('should use deck limits when provided', () => {
+      const doubleDeck = { maxTricks: 50, pointsPerTrick: 1, meldStep: 1 };
+      const hand = new GameHand(1, 'dealer-id', 'John Dealer');
+      hand.setPlayerMeld('player1', 27);
+      hand.setPlayerScore('player1', 30);
+      hand.setPlayerScore('player2', 20);
+
+      expect(hand.validate(mockPlayers, doubleDeck).errors).toEqual([]);
+
+      hand.setPlayerScore('player2', 21);
+      expect(hand.validate(mockPlayers, doubleDeck).errors).toEqual(['Total tricks cannot exceed 50']);
+    });
+
     test('should handle unknown player gracefully', () => {
       const hand = new GameHand(1, 'dealer-id', 'John Dealer');
       hand.setPlayerMeld('unknown-player', 55);
@@ -281,6 +412,8 @@ describe('GameHand', () => {
       expect(hand.dealerName).toBe('Dealer Name');
       expect(hand.playerMeld).toEqual({});
       expect(hand.playerScores).toEqual({});
+      expect(hand.playerCounters).toEqual({});
+      expect(hand.lastTrickWinnerId).toBeNull();
       expect(hand.thrownIn).toBe(false);
     });
   });
@@ -300,11 +433,24 @@ describe('GameHand', () => {
         bidderId: 'bidder-id',
         bidderName: 'Bidder Name',
         playerMeld: { 'player1': 40 },
+        declaredMeld: {},
+        playerNinesOnly: {},
         playerScores: { 'player1': 160 },
+        playerCounters: {},
+        lastTrickWinnerId: null,
+        playerTookTrick: {},
+        playerMeldDetails: {},
+        auction: null,
+        trumpSuit: null,
+        moon: null,
+        allPass: null,
+        widow: [],
+        conceded: false,
         timestamp: mockDate,
         dealerId: 'dealer-id',
         dealerName: 'Dealer Name',
-        thrownIn: false
+        thrownIn: false,
+        pendingEntry: false
       });
     });
 
@@ -330,5 +476,80 @@ describe('GameHand', () => {
       expect(recreatedHand.dealerName).toBe(originalHand.dealerName);
       expect(recreatedHand.thrownIn).toBe(originalHand.thrownIn);
     });
+
+    test('should round-trip counters entered in counter mode', () => {
+      const originalHand = new GameHand(4, 'dealer-id', 'Dealer Name');
+      originalHand.setPlayerCounters('player1', 140);
+      originalHand.setPlayerCounters('player2', 100);
+      originalHand.setLastTrickWinner('player1');
+
+      const recreatedHand = GameHand.fromData(originalHand.toData());
+
+      expect(recreatedHand.playerCounters).toEqual({ 'player1': 140, 'player2': 100 });
+      expect(recreatedHand.lastTrickWinnerId).toBe('player1');
+    });
+
+    test('should round-trip meld builder details', () => {
+      const originalHand = new GameHand(5, 'dealer-id', 'Dealer Name');
+      const details = { trumpSuit: 'spades', combinations: [{ id: 'pinochle', count: 2 }] };
+      originalHand.setPlayerMeldDetails('player2', details);
+
+      const recreatedHand = GameHand.fromData(originalHand.toData());
+
+      expect(recreatedHand.playerMeldDetails).toEqual({ 'player2': details });
+      expect(GameHand.fromData({ handNumber: 1 }).playerMeldDetails).toEqual({});
+    });
+
+    test('should round-trip the recorded auction', () => {
+      const originalHand = new GameHand(6, 'player1', 'Alice');
+      const auction = Auction.forHand([{ id: 'player1' }, { id: 'player2' }], 0, 250, 10);
+      auction.bid(250);
+      auction.pass();
+      originalHand.setAuction(auction);
+
+      const data = originalHand.toData();
+      const recreatedHand = GameHand.fromData(data);
+
+      expect(data.auction).toEqual(auction.toData());
+      expect(recreatedHand.auction).toBeInstanceOf(Auction);
+      expect(recreatedHand.auction.getWinner()).toEqual({ playerId: 'player2', bid: 250 });
+      expect(GameHand.fromData({ handNumber: 1 }).auction).toBeNull();
+    });
+
+    test('should round-trip the trump suit', () => {
+      const originalHand = new GameHand(7, 'player1', 'Alice');
+      originalHand.setTrumpSuit('diamonds');
+
+      expect(GameHand.fromData(originalHand.toData()).trumpSuit).toBe('diamonds');
+      expect(GameHand.fromData({ handNumber: 1 }).trumpSuit).toBeNull();
+    });
+
+    test('should round-trip how an all-pass hand was handled', () => {
+      const originalHand = new GameHand(7, 'player1', 'Alice');
+      originalHand.throwIn();
+      originalHand.setAllPass('redeal');
+
+      expect(GameHand.fromData(originalHand.toData()).allPass).toBe('redeal');
+      expect(GameHand.fromData({ handNumber: 1 }).allPass).toBeNull();
+    });
+
+    test('should round-trip the widow and concession', () => {
+      const originalHand = new GameHand(7, 'player1', 'Alice');
+      originalHand.setWidow(['A♠', '10♥', 'K♦']);
+      originalHand.concede();
+
+      const recreatedHand = GameHand.fromData(originalHand.toData());
+      expect(recreatedHand.widow).toEqual(['A♠', '10♥', 'K♦']);
+      expect(recreatedHand.conceded).toBe(true);
+      expect(GameHand.fromData({ handNumber: 1 }).widow).toEqual([]);
+    });
+
+    test('should round-trip the moon result', () => {
+      const originalHand = new GameHand(7, 'player1', 'Alice');
+      originalHand.setMoon('failed');
+
+      expect(GameHand.fromData(originalHand.toData()).moon).toBe('failed');
+      expect(GameHand.fromData({ handNumber: 1 }).moon).toBeNull();
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,125 @@
+import Match from '../../models/Match.js';
+import Game from '../../models/Game.js';
+
+describe('Match', () => {
+  const sides = [
+    { id: 'p1', name: 'Alice' },
+    { id: 'p2', name: 'Bob' }
+  ];
+
+  describe('constructor', () => {
+    test('should start undecided with no games', () => {
+      const match = new Match(sides, 3);
+
+      expect(match.id).toMatch(/^match-/);
+      expect(match.bestOf).toBe(3);
+      expect(match.gameIds).toEqual([]);
+      expect(match.results).toEqual([]);
+      expect(match.isDecided()).toBe(false);
+    });
+
+    test('should need more than half of the games to win', () => {
+      expect(new Match(sides, 3).getWinsNeeded()).toBe(2);
+      expect(new Match(sides, 5).getWinsNeeded()).toBe(3);
+      expect(new Match(sides, 1).getWinsNeeded()).toBe(1);
+    });
+  });
+
+  describe('recordResult', () => {
+    test('should count wins without deciding the match early', () => {
+      const match = new Match(sides, 3);
+
+      expect(match.recordResult('g1', 'p1')).toBe(false);
+      expect(match.getWins('p1')).toBe(1);
+      expect(match.getWins('p2')).toBe(0);
+      expect(match.getNextGameNumber()).toBe(2);
+    });
+
+    test('should decide the match once a side has enough wins', () => {
+      const match = new Match(sides, 3);
+      match.recordResult('g1', 'p1');
+      match.recordResult('g2', 'p2');
+
+      expect(match.recordResult('g3', 'p2')).toBe(true);
+      expect(match.winnerId).toBe('p2');
+      expect(match.winnerName).toBe('Bob');
+      expect(match.endTime).not.toBeNull();
+      expect(match.gameIds).toEqual(['g1', 'g2', 'g3']);
+    });
+
+    test('should ignore a game recorded twice or after the match is decided', () => {
+      const match = new Match(sides, 3);
+      match.recordResult('g1', 'p1');
+      match.recordResult('g1', 'p1');
+      expect(match.getWins('p1')).toBe(1);
+
+      match.recordResult('g2', 'p1');
+      match.recordResult('g3', 'p2');
+      expect(match.results).toHaveLength(2);
+    });
+  });
+
+  describe('getStandings', () => {
+    test('should list sides with most wins first', () => {
+      const match = new Match(sides, 5);
+      match.recordResult('g1', 'p2');
+
+      expect(match.getStandings()).toEqual([
+        { id: 'p2', name: 'Bob', wins: 1 },
+        { id: 'p1', name: 'Alice', wins: 0 }
+      ]);
+    });
+  });
+
+  describe('getGameLabel', () => {
+    test('should number games in the order they were started', () => {
+      const match = new Match(sides, 3);
+      match.addGame('g1');
+      match.addGame('g2');
+
+      expect(match.getGameLabel('g2')).toBe('Game 2, best of 3');
+      expect(match.getGameLabel('unknown')).toBe('Game 1, best of 3');
+    });
+  });
+
+  describe('forGame', () => {
+    test('should play a match between the players of a game', () => {
+      const game = new Game([{ id: 'p1', name: 'Alice' }, { id: 'p2', name: 'Bob' }], 2);
+      const match = Match.forGame(game, 3);
+
+      expect(match.sides).toEqual(sides);
+      expect(match.gameIds).toEqual([game.id]);
+    });
+
+    test('should play a match between the teams of a partnership game', () => {
+      const players = [
+        { id: 'p1', name: 'Alice' },
+        { id: 'p2', name: 'Bob' },
+        { id: 'p3', name: 'Charlie' },
+        { id: 'p4', name: 'Diana' }
+      ];
+      const game = new Game(players, 4);
+      game.teamAssignments = {
+        teamA: [players[0], players[2]],
+        teamB: [players[1], players[3]]
+      };
+      const match = Match.forGame(game, 3);
+
+      expect(match.sides.map(side => side.id)).toEqual(['team_teamA', 'team_teamB']);
+      expect(match.sides[0].name).toBe(game.getTeamName('teamA'));
+    });
+  });
+
+  describe('fromData / toData', () => {
+    test('should round-trip stored matches', () => {
+      const match = new Match(sides, 3);
+      match.recordResult('g1', 'p1');
+      match.recordResult('g2', 'p1');
+
+      const restored = Match.fromData(match.toData());
+
+      expect(restored.toData()).toEqual(match.toData());
+      expect(restored.isDecided()).toBe(true);
+    });
+  });
+});
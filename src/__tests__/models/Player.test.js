@@ -222,6 +222,13 @@ describe('Player', () => {
       expect(player.highestBid).toBe(400);
     });
 
+    test('should convert tricks using the deck points per trick', () => {
+      const player = new Player('Test Player');
+      player.updateHandStats(20, 50, 30, null, null, 1); // double deck: one point per counter
+      
+      expect(player.totalTricks).toBe(30);
+    });
+
     test('should accumulate meld correctly', () => {
       const player = new Player('Test Player');
       player.updateHandStats(50, 180, 130);
@@ -233,6 +240,49 @@ describe('Player', () => {
     });
   });
 
+  describe('recordTrumpCall', () => {
+    test('should count calls and makes per suit', () => {
+      const player = new Player('Test Player');
+      player.recordTrumpCall('hearts', true);
+      player.recordTrumpCall('hearts', false);
+      player.recordTrumpCall('spades', true);
+
+      expect(player.trumpStats).toEqual({
+        hearts: { called: 2, made: 1 },
+        spades: { called: 1, made: 1 }
+      });
+    });
+  });
+
+  describe('getTrumpStats', () => {
+    test('should report every suit with its make rate', () => {
+      const player = new Player('Test Player');
+      player.recordTrumpCall('clubs', true);
+      player.recordTrumpCall('clubs', true);
+      player.recordTrumpCall('clubs', false);
+
+      const stats = player.getTrumpStats();
+
+      expect(stats.map(s => s.suit)).toEqual(['spades', 'hearts', 'diamonds', 'clubs']);
+      expect(stats.find(s => s.suit === 'clubs')).toEqual({
+        suit: 'clubs',
+        name: 'Clubs',
+        symbol: '♣',
+        called: 3,
+        made: 2,
+        makeRate: 67
+      });
+      expect(stats.find(s => s.suit === 'hearts').makeRate).toBe(0);
+    });
+
+    test('should restore trump stats from stored data', () => {
+      const player = Player.fromData({ id: 'p1', name: 'Stored', trumpStats: { hearts: { called: 1, made: 0 } } });
+
+      expect(player.getTrumpStats().find(s => s.suit === 'hearts').called).toBe(1);
+      expect(Player.fromData({ id: 'p2', name: 'Old' }).trumpStats).toEqual({});
+    });
+  });
+
   describe('fromData', () => {
     test('should create player from stored data with all properties', () => {
       const data = {
@@ -313,7 +363,8 @@ describe('Player', () => {
         handsPlayed: 0,
         totalBids: 0,
         successfulBids: 0,
-        totalTricks: 0
+        totalTricks: 0,
+        trumpStats: {}
       });
     });
 
@@ -0,0 +1,256 @@
+import Ruleset from '../../models/Ruleset.js';
+import { RULESETS } from '../../utils/config.js';
+
+describe('Ruleset', () => {
+  const players = [
+    { id: 'player1', name: 'Alice' },
+    { id: 'player2', name: 'Bob' }
+  ];
+
+  const makeHand = (bidderSet) => ({
+    bidderId: 'player1',
+    winningBid: 300,
+    isBidderSet: jest.fn().mockReturnValue(bidderSet),
+    playerMeld: { player1: 100, player2: 40 },
+    playerScores: { player1: 150, player2: 100 }
+  });
+
+  describe('constructor', () => {
+    test('should use the legacy defaults when no options are given', () => {
+      const rules = new Ruleset();
+
+      expect(rules.toData()).toEqual({ ...Ruleset.DEFAULTS });
+    });
+
+    test('should override only the provided options', () => {
+      const rules = new Ruleset({ setPenaltyMultiplier: 2 });
+
+      expect(rules.setPenaltyMultiplier).toBe(2);
+      expect(rules.meldSave).toBe('trick');
+      expect(rules.moonPoints).toBe(500);
+    });
+  });
+
+  describe('fromPreset', () => {
+    test('should load a configured preset', () => {
+      const rules = Ruleset.fromPreset('double-set');
+
+      expect(rules.id).toBe('double-set');
+      expect(rules.setPenaltyMultiplier).toBe(2);
+    });
+
+    test('should keep the preset description', () => {
+      const rules = Ruleset.fromPreset('double-set');
+
+      expect(rules.description).toBe('Going set costs twice the bid');
+      expect(Ruleset.fromData(rules.toData()).description).toBe('Going set costs twice the bid');
+    });
+
+    test('should fall back to the default preset for unknown IDs', () => {
+      const rules = Ruleset.fromPreset('does-not-exist');
+
+      expect(rules.id).toBe('standard');
+    });
+
+    test('should scale point values for one-point-per-counter decks', () => {
+      const rules = Ruleset.fromPreset('standard', { pointsPerTrick: 1 });
+
+      expect(rules.moonPoints).toBe(50);
+      expect(rules.bidIncrement).toBe(1);
+      expect(rules.validateBid(53, 50, 1).valid).toBe(true);
+    });
+
+    test('should copy preset values so later preset changes do not leak in', () => {
+      const preset = RULESETS.find(r => r.id === 'standard');
+      const rules = Ruleset.fromPreset('standard');
+      const original = preset.moonPoints;
+
+      preset.moonPoints = 750;
+      expect(rules.moonPoints).toBe(original);
+      preset.moonPoints = original;
+    });
+  });
+
+  describe('scoreHand', () => {
+    test('should give every player meld plus tricks when the bid is made', () => {
+      const rules = new Ruleset();
+
+      expect(rules.scoreHand(makeHand(false), players)).toEqual({
+        player1: 250,
+        player2: 140
+      });
+    });
+
+    test('should subtract the set penalty from the bidder', () => {
+      const rules = new Ruleset();
+
+      expect(rules.scoreHand(makeHand(true), players)).toEqual({
+        player1: -300,
+        player2: 140
+      });
+    });
+
+    test('should apply the set penalty multiplier', () => {
+      const rules = new Ruleset({ setPenaltyMultiplier: 2 });
+
+      expect(rules.scoreHand(makeHand(true), players).player1).toBe(-600);
+    });
+
+    test('should set the whole partnership together', () => {
+      const rules = new Ruleset();
+      const hand = makeHand(true);
+      const partnerPlayers = [...players, { id: 'player3', name: 'Charlie' }];
+      hand.playerMeld.player3 = 60;
+      hand.playerScores.player3 = 50;
+
+      expect(rules.scoreHand(hand, partnerPlayers, ['player3'])).toEqual({
+        player1: -300,
+        player2: 140,
+        player3: 0
+      });
+      expect(hand.isBidderSet).toHaveBeenCalledWith(['player3']);
+    });
+  });
+
+  describe('getSetPayout', () => {
+    test('should pay nothing under the standard rules', () => {
+      const rules = new Ruleset();
+
+      expect(rules.getSetPayout(makeHand(true))).toBe(0);
+    });
+
+    test('should pay each opponent the bid when the set pays the table', () => {
+      const rules = new Ruleset({ setPaysTable: true });
+
+      expect(rules.getSetPayout(makeHand(true))).toBe(300);
+      expect(rules.scoreHand(makeHand(true), players)).toEqual({
+        player1: -300,
+        player2: 440
+      });
+    });
+
+    test('should pay nothing when the bid is made', () => {
+      const rules = new Ruleset({ setPaysTable: true });
+
+      expect(rules.getSetPayout(makeHand(false))).toBe(0);
+      expect(rules.scoreHand(makeHand(false), players).player2).toBe(140);
+    });
+  });
+
+  describe('shooting the moon', () => {
+    const moonHand = (moon) => ({
+      ...makeHand(moon === 'failed'),
+      moon,
+      playerMeld: { player1: 100, player2: 40 },
+      playerScores: { player1: 0, player2: 0 }
+    });
+
+    test('should score the house moon value by default', () => {
+      const rules = new Ruleset();
+
+      expect(rules.scoreHand(moonHand('made'), players)).toEqual({ player1: 500, player2: 40 });
+    });
+
+    test('should lose the moon value when the moon fails', () => {
+      const rules = new Ruleset({ moonOutcome: 'double-bid' });
+
+      expect(rules.getMoonValue(300)).toBe(600);
+      expect(rules.scoreHand(moonHand('failed'), players)).toEqual({ player1: -600, player2: 40 });
+    });
+
+    test('should only offer the moon when the bid needs every trick unless any bid is allowed', () => {
+      expect(new Ruleset().canShootMoon(200, 250)).toBe(false);
+      expect(new Ruleset().canShootMoon(260, 250)).toBe(true);
+      expect(new Ruleset({ moonAnyBid: true }).canShootMoon(200, 250)).toBe(true);
+    });
+
+    test('should end the game on a made moon under moon-wins rules', () => {
+      expect(new Ruleset().isMoonGameWin()).toBe(false);
+      expect(new Ruleset({ moonOutcome: 'win' }).isMoonGameWin()).toBe(true);
+    });
+  });
+
+  describe('isMeldSaved', () => {
+    test('should require a trick under the standard rules', () => {
+      const rules = new Ruleset();
+
+      expect(rules.isMeldSaved({ tricks: 0 })).toBe(false);
+      expect(rules.isMeldSaved({ tricks: 1 })).toBe(true);
+    });
+
+    test('should save 9\'s of trump meld without a trick', () => {
+      const rules = new Ruleset();
+
+      expect(rules.isMeldSaved({ tricks: 0, ninesOnly: true })).toBe(true);
+    });
+
+    test('should ignore the 9\'s exception when the rules disable it', () => {
+      const rules = new Ruleset({ ninesSaveMeld: false });
+
+      expect(rules.isMeldSaved({ tricks: 0, ninesOnly: true })).toBe(false);
+      expect(rules.allowsNinesSave()).toBe(false);
+    });
+
+    test('should always save meld when meld always counts', () => {
+      const rules = new Ruleset({ meldSave: 'always' });
+
+      expect(rules.isMeldSaved({ tricks: 0 })).toBe(true);
+      expect(rules.allowsNinesSave()).toBe(false);
+    });
+  });
+
+  describe('validateBid', () => {
+    test('should accept bids on the increment', () => {
+      const rules = new Ruleset({ bidIncrement: 20 });
+
+      expect(rules.validateBid(290, 250).valid).toBe(true);
+    });
+
+    test('should reject bids off the increment', () => {
+      const rules = new Ruleset({ bidIncrement: 20 });
+      const result = rules.validateBid(260, 250);
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Bids must go up in steps of 20');
+    });
+
+    test('should pass through basic bid validation errors', () => {
+      const rules = new Ruleset();
+
+      expect(rules.validateBid(200, 250).error).toBe('Bid must be at least 250');
+    });
+  });
+
+  describe('validateTrickTotal', () => {
+    test('should allow partial totals by default', () => {
+      const rules = new Ruleset();
+
+      expect(rules.validateTrickTotal(20, 25).valid).toBe(true);
+    });
+
+    test('should require every trick when exactTrickTotal is set', () => {
+      const rules = new Ruleset({ exactTrickTotal: true });
+
+      expect(rules.validateTrickTotal(25, 25).valid).toBe(true);
+      expect(rules.validateTrickTotal(20, 25)).toEqual({
+        valid: false,
+        error: 'Total tricks (20) must equal 25'
+      });
+    });
+  });
+
+  describe('fromData / toData', () => {
+    test('should round-trip stored rules', () => {
+      const rules = Ruleset.fromPreset('big-moon');
+      const restored = Ruleset.fromData(rules.toData());
+
+      expect(restored.toData()).toEqual(rules.toData());
+    });
+
+    test('should use the legacy defaults for games stored without rules', () => {
+      const restored = Ruleset.fromData(undefined);
+
+      expect(restored.toData()).toEqual({ ...Ruleset.DEFAULTS });
+    });
+  });
+});
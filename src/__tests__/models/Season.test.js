@@ -0,0 +1,137 @@
+import Season from '../../models/Season.js';
+import Game from '../../models/Game.js';
+
+describe('Season', () => {
+  const players = [
+    { id: 'p1', name: 'Alice' },
+    { id: 'p2', name: 'Bob' },
+    { id: 'p3', name: 'Charlie' }
+  ];
+
+  const finishedGame = (id, scores, winnerId, endTime = '2024-03-10T20:00:00') => {
+    const game = new Game(players, 3);
+    game.id = id;
+    game.scores = players.map(p => ({ playerId: p.id, name: p.name, score: scores[p.id] }));
+    game.endGame(winnerId, players.find(p => p.id === winnerId).name);
+    game.endTime = new Date(endTime).toISOString();
+    return game;
+  };
+
+  describe('constructor', () => {
+    test('should start active with no games', () => {
+      const season = new Season('Spring', '2024-03-01', '2024-05-31');
+
+      expect(season.id).toMatch(/^season-/);
+      expect(season.isActive()).toBe(true);
+      expect(season.gameIds).toEqual([]);
+      expect(season.closedAt).toBeNull();
+    });
+  });
+
+  describe('toDay', () => {
+    test('should format the local calendar day', () => {
+      expect(Season.toDay(new Date(2024, 0, 5, 23, 30))).toBe('2024-01-05');
+    });
+  });
+
+  describe('coversDate', () => {
+    test('should include both the start and end days', () => {
+      const season = new Season('Spring', '2024-03-01', '2024-05-31');
+
+      expect(season.coversDate('2024-03-01T00:00:00')).toBe(true);
+      expect(season.coversDate('2024-05-31T23:59:00')).toBe(true);
+      expect(season.coversDate('2024-02-29T12:00:00')).toBe(false);
+      expect(season.coversDate('2024-06-01T12:00:00')).toBe(false);
+    });
+
+    test('should stay open without an end date', () => {
+      expect(new Season('Open', '2024-03-01').coversDate('2030-01-01T12:00:00')).toBe(true);
+    });
+  });
+
+  describe('addGame', () => {
+    test('should add completed games within the season once', () => {
+      const season = new Season('Spring', '2024-03-01', '2024-05-31');
+      const game = finishedGame('game-1', { p1: 500, p2: 300, p3: 200 }, 'p1');
+
+      expect(season.addGame(game)).toBe(true);
+      expect(season.addGame(game)).toBe(false);
+      expect(season.includesGame('game-1')).toBe(true);
+    });
+
+    test('should skip unfinished games and games outside the dates', () => {
+      const season = new Season('Spring', '2024-03-01', '2024-05-31');
+
+      expect(season.addGame(new Game(players, 3))).toBe(false);
+      expect(season.addGame(finishedGame('game-2', { p1: 1, p2: 0, p3: 0 }, 'p1', '2024-07-01T12:00:00'))).toBe(false);
+    });
+
+    test('should not add games once the season is closed', () => {
+      const season = new Season('Spring', '2024-03-01');
+      season.close(new Date(2024, 4, 1));
+
+      expect(season.addGame(finishedGame('game-1', { p1: 1, p2: 0, p3: 0 }, 'p1'))).toBe(false);
+    });
+  });
+
+  describe('close / archive', () => {
+    test('should end an open season on the closing day', () => {
+      const season = new Season('Spring', '2024-03-01');
+      season.close(new Date(2024, 3, 15, 18, 0));
+
+      expect(season.status).toBe('closed');
+      expect(season.endDate).toBe('2024-04-15');
+      expect(season.closedAt).toBe(new Date(2024, 3, 15, 18, 0).toISOString());
+    });
+
+    test('should keep an end date that has already passed', () => {
+      const season = new Season('Spring', '2024-03-01', '2024-03-31');
+      season.close(new Date(2024, 3, 15));
+
+      expect(season.endDate).toBe('2024-03-31');
+    });
+
+    test('should close an active season when archiving it', () => {
+      const season = new Season('Spring', '2024-03-01');
+      season.archive(new Date(2024, 3, 15));
+
+      expect(season.isArchived()).toBe(true);
+      expect(season.isActive()).toBe(false);
+      expect(season.endDate).toBe('2024-04-15');
+    });
+  });
+
+  describe('getStandings', () => {
+    test('should total games, wins and points for the season games only', () => {
+      const season = new Season('Spring', '2024-03-01');
+      const first = finishedGame('game-1', { p1: 500, p2: 300, p3: 200 }, 'p1');
+      const second = finishedGame('game-2', { p1: 250, p2: 520, p3: 410 }, 'p2');
+      const outside = finishedGame('game-3', { p1: 0, p2: 0, p3: 900 }, 'p3');
+      season.addGame(first);
+      season.addGame(second);
+
+      const standings = season.getStandings([first, second, outside]);
+
+      expect(standings.map(row => row.playerId)).toEqual(['p2', 'p1', 'p3']);
+      expect(standings[0]).toEqual({ playerId: 'p2', name: 'Bob', games: 2, wins: 1, points: 820, winRate: 50 });
+      expect(standings[2]).toMatchObject({ games: 2, wins: 0, winRate: 0 });
+    });
+
+    test('should be empty before any games', () => {
+      expect(new Season('Spring', '2024-03-01').getStandings([])).toEqual([]);
+    });
+  });
+
+  describe('fromData / toData', () => {
+    test('should round-trip stored seasons', () => {
+      const season = new Season('Spring', '2024-03-01', '2024-05-31');
+      season.addGame(finishedGame('game-1', { p1: 500, p2: 300, p3: 200 }, 'p1'));
+      season.close(new Date(2024, 5, 2));
+
+      const restored = Season.fromData(season.toData());
+
+      expect(restored.toData()).toEqual(season.toData());
+      expect(restored).toBeInstanceOf(Season);
+    });
+  });
+});
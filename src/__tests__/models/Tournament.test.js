@@ -0,0 +1,296 @@
+import Tournament from '../../models/Tournament.js';
+import Game from '../../models/Game.js';
+
+describe('Tournament', () => {
+  const players = [
+    { id: 'p1', name: 'Alice' },
+    { id: 'p2', name: 'Bob' },
+    { id: 'p3', name: 'Charlie' },
+    { id: 'p4', name: 'Diana' }
+  ];
+
+  const finishGame = (tournament, tableId, gameType, scores, winnerId, teamAssignments = null) => {
+    const table = tournament.getTable(tableId);
+    const seated = table.playerIds.map(id => players.find(p => p.id === id));
+    const game = new Game(seated, gameType);
+    game.id = `game-${tableId}`;
+    game.teamAssignments = teamAssignments;
+    game.scores = seated.map(p => ({ playerId: p.id, name: p.name, score: scores[p.id] }));
+    game.endGame(winnerId, 'Winner');
+    tournament.startTable(tableId, game.id);
+    return game;
+  };
+
+  describe('constructor', () => {
+    test('should keep only the ID and name of each player', () => {
+      const tournament = new Tournament('Spring', [{ id: 'p1', name: 'Alice', gamesPlayed: 9 }], '2');
+
+      expect(tournament.id).toMatch(/^tournament-/);
+      expect(tournament.players).toEqual([{ id: 'p1', name: 'Alice' }]);
+      expect(tournament.getTableSize()).toBe(2);
+      expect(tournament.rulesetId).toBe('standard');
+    });
+  });
+
+  describe('generateSchedule', () => {
+    test('should number rounds and tables', () => {
+      const tournament = new Tournament('Spring', players, '2');
+      tournament.generateSchedule();
+
+      expect(tournament.rounds).toHaveLength(3);
+      expect(tournament.rounds[0].number).toBe(1);
+      expect(tournament.getTables()).toHaveLength(6);
+      expect(tournament.getTable('2-1')).toMatchObject({ gameId: null, result: null });
+      expect(tournament.getTable('2-1').playerIds).toHaveLength(2);
+    });
+  });
+
+  describe('startTable', () => {
+    test('should link a table to its game once', () => {
+      const tournament = new Tournament('Spring', players, '2');
+      tournament.generateSchedule();
+
+      expect(tournament.startTable('1-1', 'game-1')).toBe(true);
+      expect(tournament.getTableForGame('game-1').id).toBe('1-1');
+      expect(tournament.startTable('missing', 'game-2')).toBe(false);
+    });
+  });
+
+  describe('recordGame', () => {
+    test('should score each player against the opposing side', () => {
+      const tournament = new Tournament('Spring', players, '2');
+      tournament.generateSchedule();
+      const [first, second] = tournament.getTable('1-1').playerIds;
+      const game = finishGame(tournament, '1-1', 2, { [first]: 1020, [second]: 780 }, first);
+
+      expect(tournament.recordGame(game)).toBe(true);
+      expect(tournament.getTable('1-1').result).toEqual({
+        winnerIds: [first],
+        pointsFor: { [first]: 1020, [second]: 780 },
+        pointsAgainst: { [first]: 780, [second]: 1020 }
+      });
+    });
+
+    test('should credit both partners with the team result', () => {
+      const tournament = new Tournament('Spring', players, '4');
+      tournament.generateSchedule();
+      const [a, b, c, d] = tournament.getTable('1-1').playerIds.map(id => players.find(p => p.id === id));
+      const game = finishGame(tournament, '1-1', 4,
+        { [a.id]: 800, [b.id]: 400, [c.id]: 700, [d.id]: 500 },
+        'team_teamA',
+        { teamA: [a, c], teamB: [b, d] });
+
+      tournament.recordGame(game);
+      const { result } = tournament.getTable('1-1');
+
+      expect(result.winnerIds.sort()).toEqual([a.id, c.id].sort());
+      expect(result.pointsFor[c.id]).toBe(1500);
+      expect(result.pointsAgainst[c.id]).toBe(900);
+    });
+
+    test('should ignore games that were not launched from the schedule', () => {
+      const tournament = new Tournament('Spring', players, '2');
+      tournament.generateSchedule();
+
+      expect(tournament.recordGame(new Game(players.slice(0, 2), 2))).toBe(false);
+    });
+  });
+
+  describe('getStandings', () => {
+    test('should rank by wins, then point difference, then points for', () => {
+      const tournament = new Tournament('Spring', players, '2');
+      tournament.rounds = [{
+        number: 1,
+        byes: [],
+        tables: [
+          { id: '1-1', playerIds: ['p1', 'p2'], gameId: 'g1', result: { winnerIds: ['p1'], pointsFor: { p1: 1000, p2: 900 }, pointsAgainst: { p1: 900, p2: 1000 } } },
+          { id: '1-2', playerIds: ['p3', 'p4'], gameId: 'g2', result: { winnerIds: ['p3'], pointsFor: { p3: 1100, p4: 500 }, pointsAgainst: { p3: 500, p4: 1100 } } }
+        ]
+      }];
+
+      const standings = tournament.getStandings();
+
+      expect(standings.map(row => row.playerId)).toEqual(['p3', 'p1', 'p2', 'p4']);
+      expect(standings[0]).toEqual({
+        playerId: 'p3',
+        name: 'Charlie',
+        played: 1,
+        wins: 1,
+        pointsFor: 1100,
+        pointsAgainst: 500,
+        difference: 600
+      });
+      expect(tournament.isComplete()).toBe(true);
+    });
+
+    test('should list players with no results yet', () => {
+      const tournament = new Tournament('Spring', players, '2');
+      tournament.generateSchedule();
+
+      expect(tournament.getStandings().every(row => row.played === 0)).toBe(true);
+      expect(tournament.isComplete()).toBe(false);
+    });
+  });
+
+  describe('Swiss pairing', () => {
+    const field = Array.from({ length: 10 }, (_, i) => ({ id: `s${i + 1}`, name: `Player ${i + 1}` }));
+    const partners = [['s1', 's2'], ['s3', 's4'], ['s5', 's6'], ['s7', 's8'], ['s9', 's10']];
+
+    const createSwiss = (roundCount = 0) => {
+      const tournament = new Tournament('Partners', field, '4', 'standard', 'swiss');
+      tournament.setTeams(partners);
+      tournament.roundCount = roundCount;
+      tournament.generateSchedule();
+      return tournament;
+    };
+
+    // Record a result for every table: the first team listed wins
+    const finishRound = (tournament) => {
+      tournament.rounds[tournament.rounds.length - 1].tables.forEach(table => {
+        const [winner, loser] = table.teamIds.map(id => tournament.getTeam(id).playerIds);
+        const pointsFor = {};
+        const pointsAgainst = {};
+        winner.forEach(id => { pointsFor[id] = 1500; pointsAgainst[id] = 1000; });
+        loser.forEach(id => { pointsFor[id] = 1000; pointsAgainst[id] = 1500; });
+        table.gameId = `game-${table.id}`;
+        table.result = { winnerIds: winner, pointsFor, pointsAgainst };
+      });
+    };
+
+    test('should name teams after their partners', () => {
+      const tournament = createSwiss();
+
+      expect(tournament.isSwiss()).toBe(true);
+      expect(tournament.getTeam('team-1')).toEqual({ id: 'team-1', name: 'Player 1 & Player 2', playerIds: ['s1', 's2'] });
+    });
+
+    test('should pair only the first round and seat partners opposite each other', () => {
+      const tournament = createSwiss();
+      const [round] = tournament.rounds;
+
+      expect(tournament.rounds).toHaveLength(1);
+      expect(round.tables.map(table => table.teamIds)).toEqual([['team-1', 'team-2'], ['team-3', 'team-4']]);
+      expect(round.tables[0].playerIds).toEqual(['s1', 's3', 's2', 's4']);
+      expect(round.byeTeamId).toBe('team-5');
+      expect(round.byes).toEqual(['s9', 's10']);
+    });
+
+    test('should default to enough rounds to separate the field', () => {
+      expect(createSwiss().getRoundCount()).toBe(3);
+      expect(createSwiss(9).getRoundCount()).toBe(5);
+    });
+
+    test('should wait for every result before pairing the next round', () => {
+      const tournament = createSwiss();
+
+      expect(tournament.pairNextRound()).toBe(false);
+      finishRound(tournament);
+      expect(tournament.pairNextRound()).toBe(true);
+      expect(tournament.rounds).toHaveLength(2);
+    });
+
+    test('should pair winners together without repeats and move the bye on', () => {
+      const tournament = createSwiss();
+      finishRound(tournament);
+      tournament.pairNextRound();
+      const [, round] = tournament.rounds;
+
+      // team-5's bye counts as a win, ranking it with the round 1 winners
+      expect(round.tables[0].teamIds).toEqual(['team-1', 'team-3']);
+      expect(round.byeTeamId).not.toBe('team-5');
+
+      const opponents = tournament.getOpponents();
+      Object.values(opponents).forEach(list => expect(new Set(list).size).toBe(list.length));
+    });
+
+    test('should rank teams by wins with byes counted', () => {
+      const tournament = createSwiss();
+      finishRound(tournament);
+      const standings = tournament.getTeamStandings();
+
+      expect(standings.map(row => row.teamId)).toEqual(['team-1', 'team-3', 'team-5', 'team-2', 'team-4']);
+      expect(standings[0]).toEqual({
+        teamId: 'team-1',
+        name: 'Player 1 & Player 2',
+        played: 1,
+        wins: 1,
+        byes: 0,
+        pointsFor: 1500,
+        pointsAgainst: 1000,
+        difference: 500
+      });
+      expect(standings[2]).toMatchObject({ played: 0, wins: 1, byes: 1 });
+      expect(tournament.getLeaderName()).toBe('Player 1 & Player 2');
+    });
+
+    test('should complete after the last round', () => {
+      const tournament = createSwiss(2);
+      finishRound(tournament);
+      tournament.pairNextRound();
+
+      expect(tournament.isComplete()).toBe(false);
+      finishRound(tournament);
+      expect(tournament.isComplete()).toBe(true);
+      expect(tournament.canPairNextRound()).toBe(false);
+    });
+
+    describe('swapTeams', () => {
+      test('should swap teams between tables and reseat them', () => {
+        const tournament = createSwiss();
+
+        expect(tournament.swapTeams(1, 'team-2', 'team-3')).toBe(true);
+        expect(tournament.rounds[0].tables.map(table => table.teamIds)).toEqual([['team-1', 'team-3'], ['team-2', 'team-4']]);
+        expect(tournament.rounds[0].tables[1].playerIds).toEqual(['s3', 's7', 's4', 's8']);
+      });
+
+      test('should swap a team with the bye', () => {
+        const tournament = createSwiss();
+
+        expect(tournament.swapTeams(1, 'team-1', 'team-5')).toBe(true);
+        expect(tournament.rounds[0].byeTeamId).toBe('team-1');
+        expect(tournament.rounds[0].byes).toEqual(['s1', 's2']);
+        expect(tournament.rounds[0].tables[0].teamIds).toEqual(['team-5', 'team-2']);
+      });
+
+      test('should refuse tables that have started and teams at the same table', () => {
+        const tournament = createSwiss();
+        tournament.startTable('1-1', 'game-1');
+
+        expect(tournament.swapTeams(1, 'team-1', 'team-3')).toBe(false);
+        expect(tournament.swapTeams(1, 'team-3', 'team-4')).toBe(false);
+        expect(tournament.swapTeams(2, 'team-3', 'team-5')).toBe(false);
+      });
+    });
+  });
+
+  describe('fromData / toData', () => {
+    test('should round-trip stored tournaments', () => {
+      const tournament = new Tournament('Spring', players, '3', 'double-set');
+      tournament.generateSchedule();
+
+      const restored = Tournament.fromData(tournament.toData());
+
+      expect(restored.toData()).toEqual(tournament.toData());
+    });
+
+    test('should round-trip Swiss teams and settings', () => {
+      const tournament = new Tournament('Partners', players, '4', 'standard', 'swiss');
+      tournament.setTeams([['p1', 'p3'], ['p2', 'p4']]);
+      tournament.roundCount = 1;
+      tournament.generateSchedule();
+
+      const restored = Tournament.fromData(tournament.toData());
+
+      expect(restored.toData()).toEqual(tournament.toData());
+      expect(restored.isSwiss()).toBe(true);
+    });
+
+    test('should treat stored tournaments without a pairing as round-robin', () => {
+      const data = new Tournament('Spring', players, '2').toData();
+      delete data.pairing;
+      delete data.teams;
+
+      expect(Tournament.fromData(data).isSwiss()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import UndoHistory from '../../models/UndoHistory.js';
+
+describe('UndoHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new UndoHistory();
+  });
+
+  test('should start with nothing to undo or redo', () => {
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toBeNull();
+    expect(history.redo()).toBeNull();
+  });
+
+  test('should undo and redo recorded actions in order', () => {
+    history.record('Hand 1', { hands: 0 }, { hands: 1 });
+    history.record('Hand 2', { hands: 1 }, { hands: 2 });
+
+    expect(history.getUndoLabel()).toBe('Hand 2');
+    expect(history.undo().before).toEqual({ hands: 1 });
+    expect(history.undo().before).toEqual({ hands: 0 });
+    expect(history.canUndo()).toBe(false);
+
+    expect(history.getRedoLabel()).toBe('Hand 1');
+    expect(history.redo().after).toEqual({ hands: 1 });
+    expect(history.getUndoLabel()).toBe('Hand 1');
+    expect(history.getRedoLabel()).toBe('Hand 2');
+  });
+
+  test('should discard redo entries when a new action is recorded', () => {
+    history.record('Hand 1', {}, {});
+    history.undo();
+    history.record('Throw-in', {}, {});
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.getUndoLabel()).toBe('Throw-in');
+  });
+
+  test('should keep only the most recent actions', () => {
+    history = new UndoHistory(2);
+    history.record('Hand 1', {}, {});
+    history.record('Hand 2', {}, {});
+    history.record('Hand 3', {}, {});
+
+    expect(history.undo().label).toBe('Hand 3');
+    expect(history.undo().label).toBe('Hand 2');
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('should forget everything on clear', () => {
+    history.record('Hand 1', {}, {});
+    history.undo();
+    history.clear();
+
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+  });
+});
@@ -0,0 +1,221 @@
+import statsService from '../../services/StatsService.js';
+import storageService from '../../services/StorageService.js';
+import Game from '../../models/Game.js';
+import GameHand from '../../models/GameHand.js';
+import Player from '../../models/Player.js';
+import Season from '../../models/Season.js';
+
+describe('StatsService', () => {
+  let players;
+
+  const playHand = (game, bidderId, bid, scores, meld = {}) => {
+    const dealer = game.getCurrentDealer();
+    const hand = new GameHand(game.getNextHandNumber(), dealer.id, dealer.name);
+    const bidder = game.players.find(p => p.id === bidderId);
+    hand.setWinningBid(bid, bidder.id, bidder.name);
+    hand.setTrumpSuit('hearts');
+    game.players.forEach(p => {
+      hand.setPlayerMeld(p.id, meld[p.id] || 0);
+      hand.setPlayerScore(p.id, scores[p.id] || 0);
+    });
+    game.addHand(hand);
+    return hand;
+  };
+
+  beforeEach(() => {
+    players = [new Player('Alice', 'p1'), new Player('Bob', 'p2')];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('computePlayerStats', () => {
+    test('should add up hand stats from every played hand', () => {
+      const game = new Game(players, 2);
+      playHand(game, 'p1', 250, { p1: 200, p2: 50 }, { p1: 80 });
+      playHand(game, 'p2', 260, { p1: 150, p2: 100 }, { p2: 40 });
+      const thrownIn = new GameHand(3, 'p1', 'Alice');
+      thrownIn.throwIn();
+      game.addHand(thrownIn);
+
+      const stats = statsService.computePlayerStats(players, [game]);
+
+      expect(stats.p1).toMatchObject({
+        handsPlayed: 2,
+        totalMeld: 80,
+        totalBids: 1,
+        successfulBids: 1,
+        highestBid: 250,
+        highestHand: 280,
+        totalTricks: 35,
+        gamesPlayed: 0,
+        trumpStats: { hearts: { called: 1, made: 1 } }
+      });
+      expect(stats.p2).toMatchObject({ totalBids: 1, successfulBids: 0 });
+    });
+
+    test('should add game stats only for completed games', () => {
+      const finished = new Game(players, 2);
+      playHand(finished, 'p1', 250, { p1: 200, p2: 50 }, { p1: 50 });
+      finished.endGame('p1', 'Alice');
+      const inProgress = new Game(players, 2);
+      playHand(inProgress, 'p2', 250, { p1: 0, p2: 250 });
+
+      const stats = statsService.computePlayerStats(players, [finished, inProgress]);
+
+      expect(stats.p1).toMatchObject({ gamesPlayed: 1, gamesWon: 1, totalScore: 250, handsPlayed: 2 });
+      expect(stats.p2).toMatchObject({ gamesPlayed: 1, gamesWon: 0, totalScore: 50 });
+    });
+
+    test('should ignore players who are not being rebuilt', () => {
+      const game = new Game([...players, new Player('Cara', 'p3')], 3);
+      playHand(game, 'p3', 250, { p3: 250 });
+
+      expect(Object.keys(statsService.computePlayerStats(players, [game]))).toEqual(['p1', 'p2']);
+    });
+  });
+
+  describe('findChanges', () => {
+    test('should list only the stats that differ', () => {
+      players[0].handsPlayed = 3;
+      players[0].trumpStats = { spades: { called: 1, made: 0 } };
+      const stats = {
+        p1: { ...statsService.pickStats(players[0]), handsPlayed: 2, trumpStats: {} },
+        p2: statsService.pickStats(players[1])
+      };
+
+      expect(statsService.findChanges(players, stats)).toEqual([
+        { playerId: 'p1', name: 'Alice', field: 'handsPlayed', from: 3, to: 2 },
+        { playerId: 'p1', name: 'Alice', field: 'trumpStats', from: { spades: { called: 1, made: 0 } }, to: {} }
+      ]);
+    });
+  });
+
+  describe('rebuild', () => {
+    test('should rebuild from the stored history and every game in progress', () => {
+      const finished = new Game(players, 2);
+      playHand(finished, 'p1', 250, { p1: 200, p2: 50 });
+      finished.endGame('p1', 'Alice');
+      const current = new Game(players, 2);
+      playHand(current, 'p2', 250, { p2: 250 });
+      const otherTable = new Game(players, 2);
+      playHand(otherTable, 'p1', 250, { p1: 250 });
+      jest.spyOn(storageService, 'loadGameHistory').mockReturnValue([finished.toData()]);
+      jest.spyOn(storageService, 'loadActiveGames').mockReturnValue([current.toData(), otherTable.toData()]);
+
+      const { stats, changes } = statsService.rebuild(players);
+
+      expect(stats.p2.handsPlayed).toBe(3);
+      expect(changes).toContainEqual({ playerId: 'p1', name: 'Alice', field: 'gamesWon', from: 0, to: 1 });
+    });
+
+    test('should report no changes when stats already match', () => {
+      jest.spyOn(storageService, 'loadGameHistory').mockReturnValue([]);
+      jest.spyOn(storageService, 'loadActiveGames').mockReturnValue([]);
+
+      expect(statsService.rebuild(players).changes).toEqual([]);
+    });
+  });
+
+  describe('computeRatings', () => {
+    const finished = (id, gamePlayers, scores, winnerId, endTime, teamAssignments = null) => {
+      const game = new Game(gamePlayers, gamePlayers.length);
+      game.id = id;
+      game.teamAssignments = teamAssignments;
+      game.scores = gamePlayers.map(p => ({ playerId: p.id, name: p.name, score: scores[p.id] }));
+      game.endGame(winnerId, 'Winner');
+      game.endTime = endTime;
+      return game;
+    };
+
+    test('should start everyone at the initial rating and move winner and loser evenly', () => {
+      const game = finished('g1', players, { p1: 1000, p2: 700 }, 'p1', '2024-01-01T10:00:00.000Z');
+
+      const ratings = statsService.computeRatings([game]);
+
+      expect(ratings.p1).toEqual({
+        playerId: 'p1',
+        name: 'Alice',
+        rating: 1516,
+        peak: 1516,
+        games: 1,
+        history: [{ gameId: 'g1', date: '2024-01-01T10:00:00.000Z', rating: 1516, change: 16 }]
+      });
+      expect(ratings.p2).toMatchObject({ rating: 1484, peak: 1500 });
+    });
+
+    test('should replay games in the order they ended, whatever order they are stored in', () => {
+      const first = finished('g1', players, { p1: 1000, p2: 700 }, 'p1', '2024-01-01T10:00:00.000Z');
+      const second = finished('g2', players, { p1: 600, p2: 1000 }, 'p2', '2024-01-02T10:00:00.000Z');
+      const unfinished = new Game(players, 2);
+
+      const forwards = statsService.computeRatings([first, second, unfinished]);
+      const backwards = statsService.computeRatings([unfinished, second, first]);
+
+      expect(backwards).toEqual(forwards);
+      expect(forwards.p1.history.map(entry => entry.gameId)).toEqual(['g1', 'g2']);
+      expect(forwards.p1.games).toBe(2);
+    });
+
+    test('should place the declared winner first in 3-handed games', () => {
+      const three = [...players, new Player('Charlie', 'p3')];
+      // Charlie counted out first on the bid despite Bob's higher score
+      const game = finished('g1', three, { p1: 400, p2: 1060, p3: 1010 }, 'p3', '2024-01-01T10:00:00.000Z');
+
+      const ratings = statsService.computeRatings([game]);
+
+      expect(ratings.p3.rating).toBe(1516);
+      expect(ratings.p2.rating).toBe(1500);
+      expect(ratings.p1.rating).toBe(1484);
+    });
+
+    test('should give both partners their team\'s change', () => {
+      const four = [...players, new Player('Charlie', 'p3'), new Player('Diana', 'p4')];
+      const [a, b, c, d] = four;
+      const game = finished('g1', four, { p1: 600, p2: 300, p3: 500, p4: 200 }, 'team_teamA',
+        '2024-01-01T10:00:00.000Z', { teamA: [a, c], teamB: [b, d] });
+
+      const ratings = statsService.computeRatings([game]);
+
+      expect([ratings.p1.rating, ratings.p3.rating]).toEqual([1516, 1516]);
+      expect([ratings.p2.rating, ratings.p4.rating]).toEqual([1484, 1484]);
+    });
+  });
+
+  describe('getRatingLeaderboard', () => {
+    test('should rank rated roster players by rating with their current names', () => {
+      const game = new Game(players, 2);
+      game.id = 'g1';
+      game.scores = [{ playerId: 'p1', name: 'Alice', score: 500 }, { playerId: 'p2', name: 'Bob', score: 1000 }];
+      game.endGame('p2', 'Bob');
+      const roster = [new Player('Alicia', 'p1'), new Player('Bob', 'p2'), new Player('Newcomer', 'p9')];
+
+      const leaderboard = statsService.getRatingLeaderboard(roster, [game]);
+
+      expect(leaderboard.map(row => [row.name, row.rating])).toEqual([['Bob', 1516], ['Alicia', 1484]]);
+    });
+  });
+
+  describe('computeSeasonStats', () => {
+    test('should count only the games assigned to the season', () => {
+      const inSeason = new Game(players, 2);
+      inSeason.id = 'game-1';
+      playHand(inSeason, 'p1', 250, { p1: 200, p2: 50 });
+      inSeason.endGame('p1', 'Alice');
+      const earlier = new Game(players, 2);
+      earlier.id = 'game-2';
+      playHand(earlier, 'p2', 250, { p2: 250 });
+      earlier.endGame('p2', 'Bob');
+      const season = new Season('Fall', '2000-01-01');
+      season.addGame(inSeason);
+      jest.spyOn(storageService, 'loadGameHistory').mockReturnValue([earlier.toData(), inSeason.toData()]);
+      jest.spyOn(storageService, 'loadActiveGames').mockReturnValue([]);
+
+      const stats = statsService.computeSeasonStats(players, season);
+
+      expect(stats.p1).toMatchObject({ gamesPlayed: 1, gamesWon: 1, handsPlayed: 1 });
+      expect(stats.p2).toMatchObject({ gamesPlayed: 1, gamesWon: 0, totalBids: 0 });
+    });
+  });
+});
@@ -159,18 +159,70 @@ describe('StorageService', () => {
   });
 
   describe('game data methods', () => {
+    const useMemoryStorage = (initial = {}) => {
+      const store = { ...initial };
+      Object.defineProperty(global, 'localStorage', {
+        value: {
+          getItem: jest.fn(key => (key in store ? store[key] : null)),
+          setItem: jest.fn((key, value) => { store[key] = value; }),
+          removeItem: jest.fn(key => { delete store[key]; }),
+          clear: jest.fn(),
+          key: jest.fn(),
+          length: 0
+        },
+        configurable: true
+      });
+      return store;
+    };
+
+    const createService = () => {
+      const { StorageService } = require('../../services/StorageService.js');
+      return new StorageService();
+    };
+
     test('should save and load current game', () => {
+      useMemoryStorage();
+      const service = createService();
       const game = { id: 'game-1', players: ['Alice', 'Bob'] };
-      
-      storageService.saveCurrentGame(game);
+
+      service.saveCurrentGame(game);
       expect(localStorage.setItem).toHaveBeenCalledWith(
-        'pinochle-current-game',
-        JSON.stringify(game)
+        'pinochle-active-games',
+        JSON.stringify([game])
       );
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'pinochle-active-game-id',
+        JSON.stringify('game-1')
+      );
+      expect(service.loadCurrentGame()).toEqual(game);
+    });
 
-      localStorage.getItem.mockReturnValue(JSON.stringify(game));
-      const result = storageService.loadCurrentGame();
-      expect(result).toEqual(game);
+    test('should keep several games in progress', () => {
+      useMemoryStorage();
+      const service = createService();
+      const first = { id: 'game-1', hands: [] };
+      const second = { id: 'game-2', hands: [] };
+
+      service.saveCurrentGame(first);
+      service.saveCurrentGame(second);
+      expect(service.loadActiveGames()).toEqual([first, second]);
+      expect(service.loadCurrentGame()).toEqual(second);
+
+      service.setActiveGameId('game-1');
+      service.saveCurrentGame({ ...first, hands: [{ handNumber: 1 }] });
+      expect(service.loadActiveGames()).toHaveLength(2);
+      expect(service.loadCurrentGame().hands).toEqual([{ handNumber: 1 }]);
+      expect(service.loadActiveGame('game-2')).toEqual(second);
+    });
+
+    test('should move a game saved under the old single-game key', () => {
+      const game = { id: 'game-1', hands: [] };
+      const store = useMemoryStorage({ 'pinochle-current-game': JSON.stringify(game) });
+      const service = createService();
+
+      expect(service.loadCurrentGame()).toEqual(game);
+      expect(JSON.parse(store['pinochle-active-games'])).toEqual([game]);
+      expect(store['pinochle-current-game']).toBeUndefined();
     });
 
     test('should return null for current game by default', () => {
@@ -191,9 +243,60 @@ describe('StorageService', () => {
       expect(result).toBeNull();
     });
 
-    test('should remove current game', () => {
-      storageService.removeCurrentGame();
-      expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-current-game');
+    test('should save, replace and load matches', () => {
+      useMemoryStorage();
+      const service = createService();
+
+      service.saveMatch({ id: 'match-1', results: [] });
+      service.saveMatch({ id: 'match-2', results: [] });
+      service.saveMatch({ id: 'match-1', results: [{ gameId: 'game-1', winnerId: 'p1' }] });
+
+      expect(service.loadMatches()).toHaveLength(2);
+      expect(service.loadMatch('match-1').results).toHaveLength(1);
+      expect(service.loadMatch('missing')).toBeNull();
+    });
+
+    test('should save, load and remove tournaments', () => {
+      useMemoryStorage();
+      const service = createService();
+
+      service.saveTournament({ id: 't1', name: 'Spring' });
+      service.saveTournament({ id: 't2', name: 'Summer' });
+      service.saveTournament({ id: 't1', name: 'Spring Open' });
+
+      expect(service.loadTournaments()).toHaveLength(2);
+      expect(service.loadTournament('t1').name).toBe('Spring Open');
+      expect(service.removeTournament('t2')).toBe(true);
+      expect(service.removeTournament('t2')).toBe(false);
+      expect(service.loadTournaments()).toEqual([{ id: 't1', name: 'Spring Open' }]);
+    });
+
+    test('should save, replace and load seasons', () => {
+      useMemoryStorage();
+      const service = createService();
+
+      service.saveSeason({ id: 's1', name: 'Spring', status: 'active' });
+      service.saveSeason({ id: 's2', name: 'Summer', status: 'active' });
+      service.saveSeason({ id: 's1', name: 'Spring', status: 'closed' });
+
+      expect(service.loadSeasons()).toHaveLength(2);
+      expect(service.loadSeason('s1').status).toBe('closed');
+      expect(service.loadSeason('missing')).toBeNull();
+      expect(service.exportData().seasons).toHaveLength(2);
+    });
+
+    test('should remove only the current game', () => {
+      useMemoryStorage();
+      const service = createService();
+      service.saveCurrentGame({ id: 'game-1' });
+      service.saveCurrentGame({ id: 'game-2' });
+
+      service.removeCurrentGame();
+
+      expect(service.loadActiveGames()).toEqual([{ id: 'game-1' }]);
+      expect(service.getActiveGameId()).toBeNull();
+      expect(service.loadCurrentGame()).toBeNull();
+      expect(service.removeActiveGame('missing')).toBe(false);
     });
   });
 
@@ -252,6 +355,31 @@ describe('StorageService', () => {
         JSON.stringify([{ id: 'game-1' }, { id: 'game-2' }])
       );
     });
+
+    test('should remove a game from history', () => {
+      const existingHistory = [{ id: 'game-1' }, { id: 'game-2' }];
+      Object.defineProperty(global, 'localStorage', {
+        value: {
+          getItem: jest.fn(() => JSON.stringify(existingHistory)),
+          setItem: jest.fn(),
+          removeItem: jest.fn(),
+          clear: jest.fn(),
+          key: jest.fn(),
+          length: 0
+        },
+        configurable: true
+      });
+      const { StorageService } = require('../../services/StorageService.js');
+      const isolatedService = new StorageService();
+
+      expect(isolatedService.removeFromGameHistory('game-1')).toBe(true);
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'pinochle-game-history',
+        JSON.stringify([{ id: 'game-2' }])
+      );
+      expect(isolatedService.removeFromGameHistory('missing')).toBe(false);
+      expect(localStorage.setItem).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('clearAll', () => {
@@ -261,7 +389,12 @@ describe('StorageService', () => {
       expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-players');
       expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-current-game');
       expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-game-history');
-      expect(localStorage.removeItem).toHaveBeenCalledTimes(3);
+      expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-active-games');
+      expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-active-game-id');
+      expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-matches');
+      expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-tournaments');
+      expect(localStorage.removeItem).toHaveBeenCalledWith('pinochle-seasons');
+      expect(localStorage.removeItem).toHaveBeenCalledTimes(8);
     });
   });
 
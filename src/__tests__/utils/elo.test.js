@@ -0,0 +1,59 @@
+import { Elo } from '../../utils/elo.js';
+
+describe('Elo', () => {
+  describe('expectedScore', () => {
+    test('should expect an even result between equal ratings', () => {
+      expect(Elo.expectedScore(1500, 1500)).toBe(0.5);
+    });
+
+    test('should favour the higher rating', () => {
+      expect(Elo.expectedScore(1900, 1500)).toBeCloseTo(10 / 11);
+      expect(Elo.expectedScore(1500, 1900) + Elo.expectedScore(1900, 1500)).toBeCloseTo(1);
+    });
+  });
+
+  describe('actualScore', () => {
+    test('should score finishing ahead, tied and behind', () => {
+      expect(Elo.actualScore(1, 2)).toBe(1);
+      expect(Elo.actualScore(2, 2)).toBe(0.5);
+      expect(Elo.actualScore(3, 2)).toBe(0);
+    });
+  });
+
+  describe('rateGame', () => {
+    test('should move equal players by half the K-factor', () => {
+      expect(Elo.rateGame([{ rating: 1500, place: 1 }, { rating: 1500, place: 2 }], 32)).toEqual([16, -16]);
+    });
+
+    test('should reward an upset more than an expected win', () => {
+      const [upset] = Elo.rateGame([{ rating: 1400, place: 1 }, { rating: 1600, place: 2 }], 32);
+      const [expected] = Elo.rateGame([{ rating: 1600, place: 1 }, { rating: 1400, place: 2 }], 32);
+
+      expect(upset).toBeGreaterThan(expected);
+    });
+
+    test('should share the K-factor across the pairings of a 3-handed game', () => {
+      const changes = Elo.rateGame([
+        { rating: 1500, place: 1 },
+        { rating: 1500, place: 2 },
+        { rating: 1500, place: 3 }
+      ], 32);
+
+      expect(changes).toEqual([16, 0, -16]);
+    });
+
+    test('should keep the total rating unchanged', () => {
+      const changes = Elo.rateGame([
+        { rating: 1620, place: 2 },
+        { rating: 1480, place: 1 },
+        { rating: 1505, place: 2 }
+      ]);
+
+      expect(changes.reduce((total, change) => total + change, 0)).toBeCloseTo(0);
+    });
+
+    test('should not rate a game with a single side', () => {
+      expect(Elo.rateGame([{ rating: 1500, place: 1 }])).toEqual([0]);
+    });
+  });
+});
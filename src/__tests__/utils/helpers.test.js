@@ -157,6 +157,23 @@ describe('DOM Utilities', () => {
       expect(() => DOM.clear(null)).not.toThrow();
     });
   });
+
+  describe('downloadJSON', () => {
+    test('should save the data through a temporary link', () => {
+      const link = { click: jest.fn(), remove: jest.fn() };
+      jest.spyOn(document, 'createElement').mockReturnValue(link);
+      jest.spyOn(document.body, 'appendChild').mockImplementation(() => link);
+      URL.createObjectURL = jest.fn(() => 'blob:game');
+      URL.revokeObjectURL = jest.fn();
+
+      DOM.downloadJSON('game.json', { id: 'game-1' });
+
+      expect(link.download).toBe('game.json');
+      expect(link.href).toBe('blob:game');
+      expect(link.click).toHaveBeenCalled();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:game');
+    });
+  });
 });
 
 describe('Validation Utilities', () => {
@@ -221,6 +238,12 @@ describe('Validation Utilities', () => {
         expect(result.error).toBe(error);
       });
     });
+
+    test('should respect a custom meld step and maximum', () => {
+      expect(Validation.meld(27, 1, 3000).valid).toBe(true);
+      expect(Validation.meld(2500, 1, 3000).valid).toBe(true);
+      expect(Validation.meld(25, 2).error).toBe('Meld must be divisible by 2');
+    });
   });
 
   describe('tricks', () => {
@@ -310,6 +333,39 @@ describe('Validation Utilities', () => {
       expect(result.valid).toBe(false);
       expect(result.error).toBe('Total tricks (26) cannot exceed 25');
     });
+
+    test('should respect a custom maximum', () => {
+      expect(Validation.totalTricks([30, 20], 50).valid).toBe(true);
+      expect(Validation.totalTricks([30, 21], 50).error).toBe('Total tricks (51) cannot exceed 50');
+      expect(Validation.tricks(40, 50).valid).toBe(true);
+      expect(Validation.tricks(51, 50).error).toBe('Tricks cannot exceed 50');
+    });
+  });
+
+  describe('counters', () => {
+    test('should validate counters within the deck total', () => {
+      expect(Validation.counters(0)).toEqual({ valid: true, value: 0 });
+      expect(Validation.counters(250)).toEqual({ valid: true, value: 250 });
+      expect(Validation.counters(48, 48).valid).toBe(true);
+    });
+
+    test('should reject invalid counters', () => {
+      expect(Validation.counters(NaN).error).toBe('Counters must be a number');
+      expect(Validation.counters(-5).error).toBe('Counters cannot be negative');
+      expect(Validation.counters(251).error).toBe('Counters cannot exceed 250');
+    });
+  });
+
+  describe('counterTotal', () => {
+    test('should accept counters that add up exactly', () => {
+      expect(Validation.counterTotal([130, 120])).toEqual({ valid: true, value: 250 });
+      expect(Validation.counterTotal([20, 20, 8], 48).valid).toBe(true);
+    });
+
+    test('should reject totals that are short or over', () => {
+      expect(Validation.counterTotal([130, 110]).error).toBe('Counters must add up to exactly 250 (got 240)');
+      expect(Validation.counterTotal([30, 20], 48).error).toBe('Counters must add up to exactly 48 (got 50)');
+    });
   });
 });
 
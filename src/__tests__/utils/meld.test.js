@@ -0,0 +1,77 @@
+import MeldCalculator from '../../utils/meld.js';
+
+describe('MeldCalculator', () => {
+  describe('getValue', () => {
+    test('should return single-deck values', () => {
+      expect(MeldCalculator.getValue('run')).toBe(150);
+      expect(MeldCalculator.getValue('double-pinochle', 'single')).toBe(300);
+    });
+
+    test('should return double-deck values', () => {
+      expect(MeldCalculator.getValue('run', 'double')).toBe(15);
+      expect(MeldCalculator.getValue('aces-around', 'double')).toBe(10);
+    });
+
+    test('should return null for unknown or unavailable combinations', () => {
+      expect(MeldCalculator.getValue('not-a-meld')).toBeNull();
+      expect(MeldCalculator.getValue('dix', 'double')).toBeNull();
+      expect(MeldCalculator.getValue('run', 'triple')).toBeNull();
+    });
+  });
+
+  describe('getCombinations', () => {
+    test('should list every combination for a single deck', () => {
+      const combinations = MeldCalculator.getCombinations('single');
+
+      expect(combinations.map(c => c.id)).toContain('dix');
+      expect(combinations.find(c => c.id === 'pinochle').value).toBe(40);
+    });
+
+    test('should leave out combinations the double deck does not have', () => {
+      const combinations = MeldCalculator.getCombinations('double');
+
+      expect(combinations.map(c => c.id)).not.toContain('dix');
+      expect(combinations.find(c => c.id === 'marriage').value).toBe(2);
+    });
+  });
+
+  describe('total', () => {
+    test('should add up selected combinations with counts', () => {
+      const combinations = [
+        { id: 'run', count: 1 },
+        { id: 'marriage', count: 2 },
+        { id: 'pinochle', count: 1 },
+        { id: 'dix', count: 2 }
+      ];
+
+      expect(MeldCalculator.total(combinations)).toBe(250);
+    });
+
+    test('should use deck values and skip unavailable combinations', () => {
+      const combinations = [
+        { id: 'aces-around', count: 1 },
+        { id: 'royal-marriage', count: 1 },
+        { id: 'dix', count: 1 }
+      ];
+
+      expect(MeldCalculator.total(combinations, 'double')).toBe(14);
+    });
+
+    test('should count a selection once when no count is given', () => {
+      expect(MeldCalculator.total([{ id: 'kings-around' }])).toBe(80);
+    });
+
+    test('should return zero for no selections', () => {
+      expect(MeldCalculator.total([])).toBe(0);
+    });
+  });
+
+  describe('fromCounts', () => {
+    test('should drop combinations with no count', () => {
+      expect(MeldCalculator.fromCounts({ run: 1, marriage: 0, pinochle: 2 })).toEqual([
+        { id: 'run', count: 1 },
+        { id: 'pinochle', count: 2 }
+      ]);
+    });
+  });
+});
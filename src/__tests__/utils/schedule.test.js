@@ -0,0 +1,111 @@
+import { RoundRobin, Swiss } from '../../utils/schedule.js';
+
+describe('RoundRobin', () => {
+  const field = (count) => Array.from({ length: count }, (_, i) => `p${i + 1}`);
+
+  const pairsMet = (rounds) => {
+    const pairs = new Set();
+    rounds.forEach(round => round.tables.forEach(table => {
+      table.forEach((a, i) => table.slice(i + 1).forEach(b => {
+        pairs.add([a, b].sort().join('|'));
+      }));
+    }));
+    return pairs;
+  };
+
+  const allPairs = (count) => count * (count - 1) / 2;
+
+  describe('schedule', () => {
+    test('should return no rounds when the field cannot fill a table', () => {
+      expect(RoundRobin.schedule(field(2), 3)).toEqual([]);
+      expect(RoundRobin.schedule(field(4), 1)).toEqual([]);
+    });
+
+    test('should seat every player once per round', () => {
+      RoundRobin.schedule(field(9), 4).forEach(round => {
+        const seated = [...round.tables.flat(), ...round.byes];
+        expect(seated.sort()).toEqual(field(9).sort());
+        round.tables.forEach(table => expect(table).toHaveLength(4));
+      });
+    });
+  });
+
+  describe('pairRounds', () => {
+    test('should pair every player with every other exactly once', () => {
+      const rounds = RoundRobin.schedule(field(6), 2);
+
+      expect(rounds).toHaveLength(5);
+      expect(rounds.flatMap(round => round.tables)).toHaveLength(allPairs(6));
+      expect(pairsMet(rounds).size).toBe(allPairs(6));
+    });
+
+    test('should give each player one bye in an odd field', () => {
+      const rounds = RoundRobin.schedule(field(5), 2);
+      const byes = rounds.flatMap(round => round.byes);
+
+      expect(rounds).toHaveLength(5);
+      expect(byes.sort()).toEqual(field(5));
+      expect(pairsMet(rounds).size).toBe(allPairs(5));
+    });
+  });
+
+  describe('tableRounds', () => {
+    test.each([
+      [6, 3],
+      [7, 3],
+      [8, 4],
+      [12, 4]
+    ])('should seat every pair together with %i players at tables of %i', (count, tableSize) => {
+      const rounds = RoundRobin.schedule(field(count), tableSize);
+
+      expect(pairsMet(rounds).size).toBe(allPairs(count));
+    });
+
+    test('should need only three rounds for eight players at tables of four', () => {
+      expect(RoundRobin.schedule(field(8), 4)).toHaveLength(3);
+    });
+
+    test('should share the byes around', () => {
+      const rounds = RoundRobin.schedule(field(7), 3);
+      const byes = rounds.flatMap(round => round.byes);
+
+      expect(new Set(byes).size).toBe(byes.length);
+    });
+  });
+});
+
+describe('Swiss', () => {
+  describe('pairRound', () => {
+    test('should pair neighbouring teams in the standings', () => {
+      expect(Swiss.pairRound(['t1', 't2', 't3', 't4'])).toEqual({
+        pairs: [['t1', 't2'], ['t3', 't4']],
+        bye: null
+      });
+    });
+
+    test('should never repeat an opponent', () => {
+      const opponents = { t1: ['t2'], t2: ['t1'], t3: ['t4'], t4: ['t3'] };
+
+      expect(Swiss.pairRound(['t1', 't2', 't3', 't4'], opponents).pairs).toEqual([['t1', 't3'], ['t2', 't4']]);
+    });
+
+    test('should backtrack when a greedy pairing strands a team', () => {
+      // t1-t3 would leave t2 and t4, who have already met
+      const opponents = { t1: ['t2'], t2: ['t1', 't4'], t3: [], t4: ['t2'] };
+
+      expect(Swiss.pairRound(['t1', 't2', 't3', 't4'], opponents).pairs).toEqual([['t1', 't4'], ['t2', 't3']]);
+    });
+
+    test('should give the bye to the lowest-ranked team without one', () => {
+      expect(Swiss.pairRound(['t1', 't2', 't3']).bye).toBe('t3');
+      expect(Swiss.pairRound(['t1', 't2', 't3'], {}, ['t3'])).toEqual({
+        pairs: [['t1', 't3']],
+        bye: 't2'
+      });
+    });
+
+    test('should return null when every pairing repeats an opponent', () => {
+      expect(Swiss.pairRound(['t1', 't2'], { t1: ['t2'], t2: ['t1'] })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import ChipSettlement from '../../utils/settlement.js';
+
+describe('ChipSettlement', () => {
+  const playerIds = ['player1', 'player2', 'player3'];
+
+  const makeHand = (bid, { set = false, conceded = false, trumpSuit = 'hearts' } = {}) => ({
+    thrownIn: false,
+    bidderId: 'player1',
+    winningBid: bid,
+    trumpSuit,
+    conceded,
+    isBidderSet: () => set || conceded
+  });
+
+  describe('getBracketChips', () => {
+    test('should use the bracket the bid falls in', () => {
+      expect(ChipSettlement.getBracketChips(300)).toBe(3);
+      expect(ChipSettlement.getBracketChips(340)).toBe(3);
+      expect(ChipSettlement.getBracketChips(420)).toBe(10);
+      expect(ChipSettlement.getBracketChips(750)).toBe(30);
+    });
+
+    test('should be worth nothing below the lowest bracket', () => {
+      expect(ChipSettlement.getBracketChips(250)).toBe(0);
+    });
+  });
+
+  describe('getHandValue', () => {
+    test('should double the value in spades', () => {
+      expect(ChipSettlement.getHandValue(350, 'hearts')).toBe(5);
+      expect(ChipSettlement.getHandValue(350, 'spades')).toBe(10);
+    });
+  });
+
+  describe('settle', () => {
+    test('should collect from each opponent when the bid is made', () => {
+      expect(ChipSettlement.settle(makeHand(300), playerIds)).toEqual({
+        player1: 6,
+        player2: -3,
+        player3: -3
+      });
+    });
+
+    test('should settle with the kitty at higher bids', () => {
+      expect(ChipSettlement.settle(makeHand(360), playerIds)).toEqual({
+        player1: 15,
+        player2: -5,
+        player3: -5,
+        kitty: -5
+      });
+    });
+
+    test('should pay each opponent the value on a concession', () => {
+      expect(ChipSettlement.settle(makeHand(400, { conceded: true }), playerIds)).toEqual({
+        player1: -30,
+        player2: 10,
+        player3: 10,
+        kitty: 10
+      });
+    });
+
+    test('should pay double when the bid is played and set', () => {
+      expect(ChipSettlement.settle(makeHand(400, { set: true, trumpSuit: 'spades' }), playerIds)).toEqual({
+        player1: -120,
+        player2: 40,
+        player3: 40,
+        kitty: 40
+      });
+    });
+
+    test('should settle nothing for thrown-in hands', () => {
+      expect(ChipSettlement.settle({ thrownIn: true }, playerIds)).toEqual({});
+    });
+  });
+});
@@ -1,11 +1,16 @@
 import Game from '../models/Game.js';
 import GameHand from '../models/GameHand.js';
+import Ruleset from '../models/Ruleset.js';
+import Auction from '../models/Auction.js';
+import Match from '../models/Match.js';
+import UndoHistory from '../models/UndoHistory.js';
 import TableSetupController from './TableSetupController.js';
 import storageService from '../services/StorageService.js';
 import notificationService from '../services/NotificationService.js';
 import eventService, { EVENTS } from '../services/EventService.js';
-import { DOM, Validation } from '../utils/helpers.js';
-import { getGameConfig, getMinBid } from '../utils/config.js';
+import { DOM, Format, Validation } from '../utils/helpers.js';
+import MeldCalculator from '../utils/meld.js';
+import { AUCTION_SETTLEMENT, CONFIG, RULESETS, SUITS, getGameConfig, getGameType, getDeckConfig, getSuit } from '../utils/config.js';
 
 /**
  * Controller for managing game logic and flow
@@ -16,6 +21,11 @@ class GameController {
         this.tableSetupController = new TableSetupController();
         this.currentGame = null;
         this.pendingHand = null;
+        this.meldBuilders = {};
+        this.auction = null;
+        this.undoHistory = new UndoHistory();
+        // Undo history of the other tables, keyed by game ID
+        this.undoHistories = {};
         this.elements = {};
         this.init();
     }
@@ -25,6 +35,10 @@ class GameController {
      */
     init() {
         this.bindElements();
+        this.renderRulesetOptions();
+        this.renderTrumpOptions();
+        this.updatePointsEntryOptions();
+        this.updateScoringOptions();
         this.attachEventListeners();
         this.loadCurrentGame();
     }
@@ -34,8 +48,26 @@ class GameController {
      */
     bindElements() {
         this.elements = {
+            // Table switcher
+            gameSwitcher: DOM.getById('game-switcher'),
+            gameSwitcherSelect: DOM.getById('game-switcher-select'),
+            newTableBtn: DOM.getById('new-table-btn'),
+
             // Game setup
             gameType: DOM.getById('game-type'),
+            houseRules: DOM.getById('house-rules'),
+            houseRulesDescription: DOM.getById('house-rules-description'),
+            pointsEntry: DOM.getById('points-entry'),
+            gameEndRule: DOM.getById('game-end-rule'),
+            matchLength: DOM.getById('match-length'),
+            allPassPolicy: DOM.getById('all-pass-policy'),
+            moonOutcome: DOM.getById('moon-outcome'),
+            moonAnyBid: DOM.getById('moon-any-bid'),
+            playOnTie: DOM.getById('play-on-tie'),
+            setPaysTable: DOM.getById('set-pays-table'),
+            setPaysTableGroup: DOM.getById('set-pays-table-group'),
+            lastTrickBonus: DOM.getById('last-trick-bonus'),
+            lastTrickBonusGroup: DOM.getById('last-trick-bonus-group'),
             playerSelection: DOM.getById('player-selection'),
             setupTableBtn: DOM.getById('setup-table'),
             startGameBtn: DOM.getById('start-game'),
@@ -47,6 +79,9 @@ class GameController {
             dealerDisplay: DOM.getById('dealer-display'),
             currentDealerHand: DOM.getById('current-dealer-hand'),
             targetScore: DOM.getById('target-score'),
+            targetScoreLabel: DOM.getById('target-score-label'),
+            gameRules: DOM.getById('game-rules'),
+            matchInfo: DOM.getById('match-info'),
             
             // Hand phases
             handStartSection: DOM.getById('hand-start-section'),
@@ -56,6 +91,17 @@ class GameController {
             // Hand inputs
             winningBidInput: DOM.getById('winning-bid'),
             bidderSelect: DOM.getById('bidder'),
+            trumpSuitSelect: DOM.getById('trump-suit'),
+            widowGroup: DOM.getById('widow-group'),
+            widowInput: DOM.getById('widow-cards'),
+            recordAuctionBtn: DOM.getById('record-auction'),
+            auctionSection: DOM.getById('auction-section'),
+            auctionTurn: DOM.getById('auction-turn'),
+            auctionBidInput: DOM.getById('auction-bid'),
+            auctionBidBtn: DOM.getById('auction-bid-btn'),
+            auctionPassBtn: DOM.getById('auction-pass-btn'),
+            auctionUndoBtn: DOM.getById('auction-undo-btn'),
+            auctionLog: DOM.getById('auction-log'),
             meldInputs: DOM.getById('meld-inputs'),
             scoreInputs: DOM.getById('score-inputs'),
             
@@ -63,6 +109,12 @@ class GameController {
             meldWinningBid: DOM.getById('meld-winning-bid'),
             scoreWinningBid: DOM.getById('score-winning-bid'),
             scoreTricksRequired: DOM.getById('score-tricks-required'),
+            scoreTrickLabel: DOM.getById('score-trick-label'),
+            scoreTricksMax: DOM.getById('score-tricks-max'),
+            scoreTotalRule: DOM.getById('score-total-rule'),
+            scoreRequiredLabel: DOM.getById('score-required-label'),
+            lastTrickGroup: DOM.getById('last-trick-group'),
+            lastTrickWinner: DOM.getById('last-trick-winner'),
             
             // Actions
             nextToMeldBtn: DOM.getById('next-to-meld'),
@@ -70,8 +122,10 @@ class GameController {
             submitHandBtn: DOM.getById('submit-hand'),
             throwInHandBtn: DOM.getById('throw-in-hand'),
             shotMoonBtn: DOM.getById('shot-the-moon'),
+            moonFailedBtn: DOM.getById('moon-failed'),
             endGameBtn: DOM.getById('end-game'),
             backToBidBtn: DOM.getById('back-to-bid'),
+            concedeBtn: DOM.getById('concede-hand'),
             backToMeldBtn: DOM.getById('back-to-meld'),
             
             // Moon options
@@ -79,7 +133,10 @@ class GameController {
             
             // Scoreboard
             scoreboard: DOM.getById('scoreboard'),
-            editScoresBtn: DOM.getById('edit-scores')
+            editScoresBtn: DOM.getById('edit-scores'),
+            showRevisionsBtn: DOM.getById('show-revisions'),
+            undoBtn: DOM.getById('undo-action'),
+            redoBtn: DOM.getById('redo-action')
         };
     }
 
@@ -87,16 +144,35 @@ class GameController {
      * Attach event listeners
      */
     attachEventListeners() {
+        // Table switcher
+        if (this.elements.gameSwitcherSelect) {
+            DOM.on(this.elements.gameSwitcherSelect, 'change', (e) => this.switchGame(e.target.value));
+        }
+
+        if (this.elements.newTableBtn) {
+            DOM.on(this.elements.newTableBtn, 'click', () => this.newTable());
+        }
+
         // Game setup
         if (this.elements.gameType) {
             DOM.on(this.elements.gameType, 'change', () => {
                 this.updatePlayerSelection();
-                const gameType = parseInt(this.elements.gameType.value);
-                this.tableSetupController.setGameType(gameType);
+                const gameTypeConfig = this.getSelectedGameType();
+                const gameType = gameTypeConfig.players;
+                this.tableSetupController.setGameType(gameType, gameTypeConfig.teams || 0);
+                this.updateScoringOptions();
                 eventService.emit('game-type-changed', gameType);
             });
         }
 
+        if (this.elements.houseRules) {
+            DOM.on(this.elements.houseRules, 'change', () => this.updateRulesetDescription());
+        }
+
+        if (this.elements.pointsEntry) {
+            DOM.on(this.elements.pointsEntry, 'change', () => this.updatePointsEntryOptions());
+        }
+
         if (this.elements.setupTableBtn) {
             DOM.on(this.elements.setupTableBtn, 'click', () => this.setupTable());
         }
@@ -105,6 +181,23 @@ class GameController {
             DOM.on(this.elements.startGameBtn, 'click', () => this.startGame());
         }
 
+        // Bidding round recorder
+        if (this.elements.recordAuctionBtn) {
+            DOM.on(this.elements.recordAuctionBtn, 'click', () => this.toggleAuction());
+        }
+
+        if (this.elements.auctionBidBtn) {
+            DOM.on(this.elements.auctionBidBtn, 'click', () => this.recordAuctionBid());
+        }
+
+        if (this.elements.auctionPassBtn) {
+            DOM.on(this.elements.auctionPassBtn, 'click', () => this.recordAuctionPass());
+        }
+
+        if (this.elements.auctionUndoBtn) {
+            DOM.on(this.elements.auctionUndoBtn, 'click', () => this.undoAuctionEntry());
+        }
+
         // Hand phases
         if (this.elements.nextToMeldBtn) {
             DOM.on(this.elements.nextToMeldBtn, 'click', () => this.nextToMeldPhase());
@@ -118,6 +211,12 @@ class GameController {
             DOM.on(this.elements.submitHandBtn, 'click', () => this.submitHand());
         }
 
+        // Meld builder controls are re-rendered with the meld inputs, so listen on the container
+        if (this.elements.meldInputs) {
+            DOM.on(this.elements.meldInputs, 'click', (e) => this.handleMeldBuilderClick(e));
+            DOM.on(this.elements.meldInputs, 'change', (e) => this.handleMeldBuilderChange(e));
+        }
+
         if (this.elements.throwInHandBtn) {
             DOM.on(this.elements.throwInHandBtn, 'click', () => this.throwInHand());
         }
@@ -126,6 +225,10 @@ class GameController {
             DOM.on(this.elements.shotMoonBtn, 'click', () => this.shotTheMoon());
         }
 
+        if (this.elements.moonFailedBtn) {
+            DOM.on(this.elements.moonFailedBtn, 'click', () => this.shotTheMoon(false));
+        }
+
         if (this.elements.endGameBtn) {
             DOM.on(this.elements.endGameBtn, 'click', () => this.endGame());
         }
@@ -134,11 +237,27 @@ class GameController {
             DOM.on(this.elements.editScoresBtn, 'click', () => this.showEditScores());
         }
 
+        if (this.elements.showRevisionsBtn) {
+            DOM.on(this.elements.showRevisionsBtn, 'click', () => this.showRevisions());
+        }
+
+        if (this.elements.undoBtn) {
+            DOM.on(this.elements.undoBtn, 'click', () => this.undo());
+        }
+
+        if (this.elements.redoBtn) {
+            DOM.on(this.elements.redoBtn, 'click', () => this.redo());
+        }
+
         // Back navigation buttons
         if (this.elements.backToBidBtn) {
             DOM.on(this.elements.backToBidBtn, 'click', () => this.backToBidPhase());
         }
 
+        if (this.elements.concedeBtn) {
+            DOM.on(this.elements.concedeBtn, 'click', () => this.concedeHand());
+        }
+
         if (this.elements.backToMeldBtn) {
             DOM.on(this.elements.backToMeldBtn, 'click', () => this.backToMeldPhase());
         }
@@ -157,13 +276,239 @@ class GameController {
             const gameData = storageService.loadCurrentGame();
             if (gameData) {
                 this.currentGame = Game.fromData(gameData);
+                this.undoHistory.clear();
                 this.updateGameInterface();
+                this.restoreHandPhase(this.currentGame.pendingHand);
+                this.showGameInterface();
                 eventService.emit(EVENTS.GAME_LOADED, this.currentGame);
             }
         } catch (error) {
             console.error('Failed to load current game:', error);
             notificationService.error('Failed to load current game');
         }
+
+        this.renderGameSwitcher();
+    }
+
+    /**
+     * Describe a game in progress for the table switcher
+     * @param {Game} game - Game in progress
+     * @returns {string} Players and hand number
+     */
+    getTableLabel(game) {
+        const players = game.players.map(p => p.name).join(', ');
+        return `${players} (Hand ${game.getNextHandNumber()})`;
+    }
+
+    /**
+     * Render the table switcher with every game in progress
+     */
+    renderGameSwitcher() {
+        const select = this.elements.gameSwitcherSelect;
+        if (!select) return;
+
+        const games = storageService.loadActiveGames();
+        if (games.length === 0) {
+            DOM.hide(this.elements.gameSwitcher);
+            return;
+        }
+
+        const options = games.map(data => {
+            const game = data.id === this.currentGame?.id ? this.currentGame : Game.fromData(data);
+            return `<option value="${game.id}">${this.getTableLabel(game)}</option>`;
+        });
+        if (!this.currentGame) {
+            options.push('<option value="">New table</option>');
+        }
+
+        DOM.setHTML(select, options.join(''));
+        select.value = this.currentGame?.id || '';
+        DOM.show(this.elements.gameSwitcher);
+    }
+
+    /**
+     * Save the current game with its hand in progress and set it aside
+     */
+    parkCurrentGame() {
+        if (!this.currentGame) return;
+
+        this.currentGame.pendingHand = this.captureHandPhase();
+        this.saveCurrentGame();
+        this.undoHistories[this.currentGame.id] = this.undoHistory;
+
+        this.currentGame = null;
+        this.pendingHand = null;
+        this.undoHistory = new UndoHistory();
+        this.resetHandInputs();
+    }
+
+    /**
+     * Switch the Game tab to another game in progress
+     * @param {string} gameId - ID of the game, or '' for a new table
+     */
+    switchGame(gameId) {
+        if (!gameId) {
+            this.newTable();
+            return;
+        }
+        if (gameId === this.currentGame?.id) return;
+
+        const gameData = storageService.loadActiveGame(gameId);
+        if (!gameData) {
+            notificationService.error('That game is no longer in progress');
+            this.renderGameSwitcher();
+            return;
+        }
+
+        try {
+            this.parkCurrentGame();
+            this.currentGame = Game.fromData(gameData);
+            this.undoHistory = this.undoHistories[gameId] || new UndoHistory();
+            delete this.undoHistories[gameId];
+            storageService.setActiveGameId(gameId);
+
+            this.updateGameInterface();
+            this.restoreHandPhase(this.currentGame.pendingHand);
+            this.showGameInterface();
+            this.renderGameSwitcher();
+            eventService.emit(EVENTS.GAME_LOADED, this.currentGame);
+        } catch (error) {
+            console.error('Failed to switch game:', error);
+            notificationService.error('Failed to switch game');
+        }
+    }
+
+    /**
+     * Set the current game aside and show the setup for another table
+     */
+    newTable() {
+        this.parkCurrentGame();
+        storageService.setActiveGameId(null);
+
+        DOM.show(this.elements.gameSetup);
+        DOM.hide(this.elements.gamePlay);
+        this.updatePlayerSelection();
+        this.renderGameSwitcher();
+    }
+
+    /**
+     * Get the hand phase shown in the Game tab
+     * @returns {string} 'bid', 'meld' or 'score'
+     */
+    getHandPhase() {
+        if (this.elements.scoreSectionCard && !this.elements.scoreSectionCard.classList.contains('hidden')) {
+            return 'score';
+        }
+        if (this.elements.meldSectionCard && !this.elements.meldSectionCard.classList.contains('hidden')) {
+            return 'meld';
+        }
+        return 'bid';
+    }
+
+    /**
+     * Snapshot the hand being entered so it can be picked up again later
+     * @returns {Object|null} Pending hand with its phase and inputs, or null between hands
+     */
+    captureHandPhase() {
+        if (!this.currentGame || !this.pendingHand) return null;
+
+        const meld = {};
+        const ninesOnly = {};
+        const scores = {};
+        const tookTrick = {};
+        const meldBuilders = {};
+        this.currentGame.players.forEach(({ id }) => {
+            meld[id] = parseInt(DOM.getById(`meld-${id}`)?.value) || 0;
+            ninesOnly[id] = DOM.getById(`nines-only-${id}`)?.checked || false;
+            scores[id] = parseInt(DOM.getById(`score-${id}`)?.value) || 0;
+            tookTrick[id] = DOM.getById(`took-trick-${id}`)?.checked || false;
+            const builder = this.meldBuilders[id];
+            if (builder) {
+                meldBuilders[id] = { trumpSuit: builder.trumpSuit, counts: { ...builder.counts } };
+            }
+        });
+
+        return {
+            ...this.pendingHand,
+            auction: this.pendingHand.auction?.toData() || null,
+            phase: this.getHandPhase(),
+            meld,
+            ninesOnly,
+            scores,
+            tookTrick,
+            lastTrickWinnerId: this.elements.lastTrickWinner?.value || null,
+            meldBuilders
+        };
+    }
+
+    /**
+     * Put a saved hand in progress back into the Game tab
+     * @param {Object|null} state - State captured with captureHandPhase()
+     */
+    restoreHandPhase(state) {
+        if (!state) return;
+
+        const {
+            phase, meld = {}, ninesOnly = {}, scores = {}, tookTrick = {},
+            lastTrickWinnerId = null, meldBuilders = {}, ...pendingHand
+        } = state;
+        this.pendingHand = {
+            ...pendingHand,
+            auction: pendingHand.auction ? Auction.fromData(pendingHand.auction) : null
+        };
+
+        // Rebuild the inputs so the bidder's side has no 9's checkbox
+        this.updateMeldScoreInputs();
+        this.currentGame.players.forEach(({ id }) => {
+            const meldInput = DOM.getById(`meld-${id}`);
+            if (meldInput) {
+                meldInput.value = meld[id] || 0;
+                this.toggleNinesCheckbox(id);
+            }
+            const ninesCheckbox = DOM.getById(`nines-only-${id}`);
+            if (ninesCheckbox) {
+                ninesCheckbox.checked = ninesOnly[id] || false;
+            }
+            const scoreInput = DOM.getById(`score-${id}`);
+            if (scoreInput) {
+                scoreInput.value = scores[id] || 0;
+            }
+            const tookTrickCheckbox = DOM.getById(`took-trick-${id}`);
+            if (tookTrickCheckbox) {
+                tookTrickCheckbox.checked = tookTrick[id] || false;
+            }
+        });
+
+        // Fresh inputs drop the builders, so bring back the selections made for this hand
+        Object.entries(meldBuilders).forEach(([id, builder]) => {
+            this.meldBuilders[id] = { trumpSuit: builder.trumpSuit, counts: { ...builder.counts } };
+        });
+        if (this.elements.lastTrickWinner) {
+            this.elements.lastTrickWinner.value = lastTrickWinnerId || '';
+        }
+
+        if (phase === 'bid') {
+            this.backToBidPhase();
+            return;
+        }
+
+        DOM.hide(this.elements.handStartSection);
+        DOM.show(this.elements.meldSectionCard);
+        DOM.setText(this.elements.meldWinningBid,
+            `${this.pendingHand.winningBid} (${this.pendingHand.bidderName})`);
+        if (phase === 'score') {
+            this.nextToScorePhase();
+        }
+    }
+
+    /**
+     * Save the hand in progress with the current game
+     */
+    saveHandPhase() {
+        if (!this.currentGame) return;
+
+        this.currentGame.pendingHand = this.captureHandPhase();
+        this.saveCurrentGame();
     }
 
     /**
@@ -175,6 +520,7 @@ class GameController {
         try {
             const gameData = this.currentGame.toData();
             storageService.saveCurrentGame(gameData);
+            this.renderGameSwitcher();
             eventService.emit(EVENTS.DATA_SAVED, { type: 'game', data: gameData });
         } catch (error) {
             console.error('Failed to save current game:', error);
@@ -182,11 +528,80 @@ class GameController {
         }
     }
 
+    /**
+     * Populate the house rules select with the configured presets
+     */
+    renderRulesetOptions() {
+        if (!this.elements.houseRules) return;
+
+        const html = RULESETS.map(ruleset => `
+            <option value="${ruleset.id}" ${ruleset.id === CONFIG.GAME.DEFAULT_RULESET ? 'selected' : ''}>
+                ${ruleset.name}
+            </option>
+        `).join('');
+
+        DOM.setHTML(this.elements.houseRules, html);
+        this.updateRulesetDescription();
+    }
+
+    /**
+     * Populate the trump suit select
+     */
+    renderTrumpOptions() {
+        if (!this.elements.trumpSuitSelect) return;
+
+        const html = SUITS.map(suit => `
+            <option value="${suit.id}">${suit.symbol} ${suit.name}</option>
+        `).join('');
+
+        DOM.setHTML(this.elements.trumpSuitSelect, `<option value="">Not recorded</option>${html}`);
+    }
+
+    /**
+     * Show the description of the selected house rules
+     */
+    updateRulesetDescription() {
+        const ruleset = Ruleset.fromPreset(this.elements.houseRules?.value);
+        DOM.setText(this.elements.houseRulesDescription, ruleset.description);
+    }
+
+    /**
+     * Only offer the last trick bonus when counters are entered directly
+     */
+    updatePointsEntryOptions() {
+        const usesCounters = this.elements.pointsEntry?.value === CONFIG.GAME.POINTS_ENTRY_MODES.COUNTERS;
+        if (usesCounters) {
+            DOM.show(this.elements.lastTrickBonusGroup);
+        } else {
+            DOM.hide(this.elements.lastTrickBonusGroup);
+        }
+    }
+
+    /**
+     * Only offer "set pays the table" for cutthroat 3-player games
+     */
+    updateScoringOptions() {
+        if (this.getSelectedGameType().players === 3) {
+            DOM.show(this.elements.setPaysTableGroup);
+        } else {
+            DOM.hide(this.elements.setPaysTableGroup);
+        }
+    }
+
+    /**
+     * Get the game type chosen in the setup form
+     * @returns {Object} GAME_TYPES entry for the selected game type
+     */
+    getSelectedGameType() {
+        const value = this.elements.gameType?.value || '2';
+        return getGameType(value) || getGameConfig(parseInt(value));
+    }
+
     /**
      * Update player selection display
      */
     updatePlayerSelection() {
-        const gameType = parseInt(this.elements.gameType?.value || '2');
+        const gameType = this.getSelectedGameType().players;
         const playerSelection = this.elements.playerSelection;
         
         if (!playerSelection) return;
@@ -234,7 +649,7 @@ class GameController {
      * Check if the correct number of players are selected
      */
     checkPlayerSelection() {
-        const gameType = parseInt(this.elements.gameType?.value || '2');
+        const gameType = this.getSelectedGameType().players;
         const selectedElements = DOM.queryAll('.player-item.selected');
         
         if (selectedElements.length === gameType) {
@@ -263,7 +678,8 @@ class GameController {
      * Setup table with selected players
      */
     setupTable() {
-        const gameType = parseInt(this.elements.gameType?.value || '2');
+        const gameTypeConfig = this.getSelectedGameType();
+        const gameType = gameTypeConfig.players;
         const selectedElements = DOM.queryAll('.player-item.selected');
         const selectedPlayerIds = Array.from(selectedElements).map(el => el.dataset.playerId);
 
@@ -273,6 +689,7 @@ class GameController {
         }
 
         // Show table setup interface
+        this.tableSetupController.setGameType(gameType, gameTypeConfig.teams || 0);
         this.tableSetupController.showTableSetup();
     }
 
@@ -289,18 +706,43 @@ class GameController {
         try {
             // Get arranged players from table setup
             const arrangedPlayers = this.tableSetupController.getArrangedPlayers();
-            const gameType = parseInt(this.elements.gameType?.value || '2');
+            const gameTypeConfig = this.getSelectedGameType();
+            const gameType = gameTypeConfig.players;
             
-            // Create game with arranged players
-            this.currentGame = new Game(arrangedPlayers, gameType);
+            // Create game with arranged players and the chosen house rules
+            const rules = Ruleset.fromPreset(this.elements.houseRules?.value, getDeckConfig(gameTypeConfig.deck));
+            rules.setPaysTable = gameType === 3 && (this.elements.setPaysTable?.checked || false);
+            rules.gameEnd = this.elements.gameEndRule?.value || CONFIG.GAME.GAME_END_RULES.HIGHEST;
+            rules.playOnTie = this.elements.playOnTie?.checked || false;
+            rules.moonOutcome = this.elements.moonOutcome?.value || CONFIG.GAME.MOON_OUTCOMES.POINTS;
+            rules.moonAnyBid = this.elements.moonAnyBid?.checked || false;
+            this.parkCurrentGame();
+            this.currentGame = new Game(arrangedPlayers, gameType, rules, gameTypeConfig.id);
+            this.undoHistory.clear();
+
+            // Apply the chosen points entry mode
+            this.currentGame.pointsEntry = this.elements.pointsEntry?.value || CONFIG.GAME.POINTS_ENTRY_MODES.TRICKS;
+            this.currentGame.lastTrickBonus = this.currentGame.usesCounters() &&
+                (this.elements.lastTrickBonus?.checked || false);
+
+            // Apply the chosen all-pass policy
+            this.currentGame.allPassPolicy = this.elements.allPassPolicy?.value || CONFIG.GAME.ALL_PASS_POLICIES.THROW_IN;
             
-            // For 4-player games, set team assignments
-            if (gameType === 4) {
+            // For partnership games, set team assignments
+            if (gameTypeConfig.teams > 1) {
                 const teamAssignments = this.tableSetupController.getTeamAssignments();
                 if (teamAssignments) {
                     this.currentGame.teamAssignments = teamAssignments;
                 }
             }
+
+            // Play a match when the table chose best of several games
+            const bestOf = parseInt(this.elements.matchLength?.value) || 1;
+            if (bestOf > 1) {
+                const match = Match.forGame(this.currentGame, bestOf);
+                this.currentGame.matchId = match.id;
+                storageService.saveMatch(match.toData());
+            }
             
             this.saveCurrentGame();
             this.updateGameInterface();
@@ -335,19 +777,52 @@ class GameController {
         try {
             // Update basic info
             DOM.setText(this.elements.currentHand, this.currentGame.getNextHandNumber());
-            DOM.setText(this.elements.targetScore, this.currentGame.targetScore);
+            const isChipGame = this.currentGame.isChipGame();
+            DOM.setText(this.elements.targetScoreLabel, isChipGame ? 'Kitty' : 'Target Score');
+            DOM.setText(this.elements.targetScore, isChipGame ? this.currentGame.kitty : this.currentGame.targetScore);
+            DOM.setText(this.elements.gameRules, this.currentGame.rules.name);
+            this.updateMatchInfo();
+
+            // Update deck-specific limits
+            const deck = this.currentGame.getDeck();
+            if (this.currentGame.usesCounters()) {
+                DOM.setText(this.elements.scoreTrickLabel, 'Counters');
+                DOM.setText(this.elements.scoreTotalRule, 'exactly');
+                DOM.setText(this.elements.scoreTricksMax, this.currentGame.getCounterTotal());
+                DOM.setText(this.elements.scoreRequiredLabel, 'Points Required');
+            } else {
+                DOM.setText(this.elements.scoreTrickLabel, deck.trickLabel);
+                DOM.setText(this.elements.scoreTotalRule, 'Max');
+                DOM.setText(this.elements.scoreTricksMax, deck.maxTricks);
+                DOM.setText(this.elements.scoreRequiredLabel, 'Tricks Required');
+            }
+            if (this.elements.winningBidInput) {
+                this.elements.winningBidInput.min = this.currentGame.getMinBid();
+                this.elements.winningBidInput.step = deck.bidStep;
+            }
 
             // Update dealer info
             const dealer = this.currentGame.getCurrentDealer();
             const dealerText = `Dealer: ${dealer.name}`;
             DOM.setText(this.elements.dealerDisplay, dealerText);
             DOM.setText(this.elements.currentDealerHand, dealerText);
+            DOM.setText(this.elements.throwInHandBtn, this.getAllPassLabel());
+
+            // Auction pinochle takes a widow and lets the bidder concede
+            if (isChipGame) {
+                DOM.show(this.elements.widowGroup);
+                DOM.show(this.elements.concedeBtn);
+            } else {
+                DOM.hide(this.elements.widowGroup);
+                DOM.hide(this.elements.concedeBtn);
+            }
 
             // Reset hand phase display
             this.showHandStartPhase();
             this.updateBidderOptions();
             this.updateMeldScoreInputs();
             this.updateScoreboard();
+            this.updateUndoButtons();
 
         } catch (error) {
             console.error('Failed to update game interface:', error);
@@ -355,6 +830,47 @@ class GameController {
         }
     }
 
+    /**
+     * Load a match from storage
+     * @param {string|null} matchId - ID of the match
+     * @returns {Match|null} Match or null for a single game
+     */
+    getMatch(matchId) {
+        const data = matchId ? storageService.loadMatch(matchId) : null;
+        return data ? Match.fromData(data) : null;
+    }
+
+    /**
+     * Show the current game's place in its match and the match score
+     */
+    updateMatchInfo() {
+        const match = this.getMatch(this.currentGame?.matchId);
+        if (!match) {
+            DOM.hide(this.elements.matchInfo);
+            return;
+        }
+
+        const score = match.getStandings().map(side => `${side.name} ${side.wins}`).join(', ');
+        DOM.setText(this.elements.matchInfo, `Match: ${match.getGameLabel(this.currentGame.id)} (${score})`);
+        DOM.show(this.elements.matchInfo);
+    }
+
+    /**
+     * Get the label for the no-bids button under the game's all-pass policy
+     * @returns {string} Button label
+     */
+    getAllPassLabel() {
+        const policies = CONFIG.GAME.ALL_PASS_POLICIES;
+        switch (this.currentGame?.allPassPolicy) {
+            case policies.STUCK_DEALER:
+                return 'Dealer Stuck (No Bids)';
+            case policies.REDEAL:
+                return 'Redeal (No Bids)';
+            default:
+                return 'Throw In Hand (No Bids)';
+        }
+    }
+
     /**
      * Show hand start phase
      */
@@ -383,21 +899,11 @@ class GameController {
      * @returns {boolean} True if player is the bidder's teammate
      */
     isPlayerBidderTeammate(playerId) {
-        if (!this.currentGame || !this.pendingHand || this.currentGame.gameType !== 4) {
+        if (!this.currentGame || !this.pendingHand) {
             return false;
         }
 
-        const bidderId = this.pendingHand.bidderId;
-        const teamAssignments = this.currentGame.teamAssignments;
-        
-        if (!teamAssignments) return false;
-
-        // Check if both players are on the same team
-        const bidderOnTeamA = teamAssignments.teamA.some(p => p.id === bidderId);
-        const playerOnTeamA = teamAssignments.teamA.some(p => p.id === playerId);
-        
-        // They are teammates if they're on the same team
-        return bidderOnTeamA === playerOnTeamA;
+        return this.currentGame.getPartnerIds(this.pendingHand.bidderId).includes(playerId);
     }
 
     /**
@@ -406,6 +912,8 @@ class GameController {
     updateMeldScoreInputs() {
         if (!this.currentGame) return;
 
+        const deck = this.currentGame.getDeck();
+
         // Meld inputs
         if (this.elements.meldInputs) {
             const meldHtml = this.currentGame.players.map(p => {
@@ -423,13 +931,18 @@ class GameController {
                     <div class="player-input-container">
                         <div class="player-input">
                             <label>${p.name} Meld:</label>
-                            <input type="number" id="meld-${p.id}" min="0" step="10" value="0">
+                            <input type="number" id="meld-${p.id}" min="0" step="${deck.meldStep}" value="0">
+                            <button type="button" class="secondary-button meld-builder-toggle"
+                                    data-meld-action="toggle" data-player-id="${p.id}">Builder</button>
                         </div>
                         ${checkbox}
+                        <div id="meld-builder-${p.id}" class="meld-builder hidden"></div>
                     </div>
                 `;
             }).join('');
 
+            // Fresh meld inputs start at zero, so any built meld no longer applies
+            this.meldBuilders = {};
             DOM.setHTML(this.elements.meldInputs, meldHtml);
             
             // Add event listeners to meld inputs to toggle 9's checkbox visibility
@@ -449,16 +962,155 @@ class GameController {
         }
 
         // Score inputs
+        const usesCounters = this.currentGame.usesCounters();
         if (this.elements.scoreInputs) {
+            const label = usesCounters ? 'Counters' : deck.trickLabel;
+            const max = usesCounters ? this.currentGame.getCounterTotal() : deck.maxTricks;
+            // A trick of non-counters scores nothing but still saves meld
             const scoreHtml = this.currentGame.players.map(p => `
                 <div class="player-input">
-                    <label>${p.name} Tricks:</label>
-                    <input type="number" id="score-${p.id}" min="0" max="25" value="0">
+                    <label>${p.name} ${label}:</label>
+                    <input type="number" id="score-${p.id}" min="0" max="${max}" value="0">
+                    ${usesCounters ? `<label class="took-trick-label">
+                        <input type="checkbox" id="took-trick-${p.id}"> Took a trick
+                    </label>` : ''}
                 </div>
             `).join('');
 
             DOM.setHTML(this.elements.scoreInputs, scoreHtml);
         }
+
+        // Last trick selector (counter entry with a separate last trick bonus)
+        if (usesCounters && this.currentGame.lastTrickBonus) {
+            const options = this.currentGame.players.map(p =>
+                `<option value="${p.id}">${p.name}</option>`
+            ).join('');
+            DOM.setHTML(this.elements.lastTrickWinner, `<option value="">Select player</option>${options}`);
+            DOM.show(this.elements.lastTrickGroup);
+        } else {
+            DOM.hide(this.elements.lastTrickGroup);
+        }
+    }
+
+    /**
+     * Handle clicks on the meld builder controls
+     * @param {Event} e - Click event from the meld inputs container
+     */
+    handleMeldBuilderClick(e) {
+        const button = e.target.closest('[data-meld-action]');
+        if (!button) return;
+
+        const playerId = button.dataset.playerId;
+        const action = button.dataset.meldAction;
+
+        if (action === 'toggle') {
+            this.toggleMeldBuilder(playerId);
+        } else if (action === 'add' || action === 'remove') {
+            const builder = this.meldBuilders[playerId];
+            if (!builder) return;
+
+            const combinationId = button.dataset.combination;
+            const count = (builder.counts[combinationId] || 0) + (action === 'add' ? 1 : -1);
+            builder.counts[combinationId] = Math.max(0, count);
+            this.updateMeldFromBuilder(playerId);
+        }
+    }
+
+    /**
+     * Handle trump suit changes in the meld builder
+     * @param {Event} e - Change event from the meld inputs container
+     */
+    handleMeldBuilderChange(e) {
+        if (!e.target.classList.contains('meld-builder-trump')) return;
+
+        const builder = this.meldBuilders[e.target.dataset.playerId];
+        if (builder) {
+            builder.trumpSuit = e.target.value;
+        }
+    }
+
+    /**
+     * Show or hide the meld builder for a player
+     * @param {string} playerId - Player ID
+     */
+    toggleMeldBuilder(playerId) {
+        const container = DOM.getById(`meld-builder-${playerId}`);
+        if (!container) return;
+
+        if (!container.classList.contains('hidden')) {
+            DOM.hide(container);
+            return;
+        }
+
+        if (!this.meldBuilders[playerId]) {
+            const trumpSuit = this.pendingHand?.trumpSuit || SUITS[0].id;
+            this.meldBuilders[playerId] = { trumpSuit, counts: {} };
+        }
+
+        const builder = this.meldBuilders[playerId];
+        const deckId = this.currentGame.getDeck().id;
+        const suitOptions = SUITS.map(suit => `
+            <option value="${suit.id}" ${suit.id === builder.trumpSuit ? 'selected' : ''}>${suit.symbol} ${suit.name}</option>
+        `).join('');
+        const rows = MeldCalculator.getCombinations(deckId).map(combination => `
+            <div class="meld-builder-row">
+                <span class="meld-builder-name">${combination.name} (${combination.value})</span>
+                <button type="button" class="secondary-button" data-meld-action="remove"
+                        data-player-id="${playerId}" data-combination="${combination.id}">-</button>
+                <span id="meld-count-${playerId}-${combination.id}" class="meld-builder-count">${builder.counts[combination.id] || 0}</span>
+                <button type="button" class="secondary-button" data-meld-action="add"
+                        data-player-id="${playerId}" data-combination="${combination.id}">+</button>
+            </div>
+        `).join('');
+
+        DOM.setHTML(container, `
+            <div class="meld-builder-row">
+                <label>Trump:
+                    <select class="meld-builder-trump" data-player-id="${playerId}">${suitOptions}</select>
+                </label>
+            </div>
+            ${rows}
+        `);
+        DOM.show(container);
+    }
+
+    /**
+     * Fill a player's meld input from their meld builder selections
+     * @param {string} playerId - Player ID
+     */
+    updateMeldFromBuilder(playerId) {
+        const builder = this.meldBuilders[playerId];
+        if (!builder || !this.currentGame) return;
+
+        Object.keys(builder.counts).forEach(combinationId => {
+            DOM.setText(DOM.getById(`meld-count-${playerId}-${combinationId}`), builder.counts[combinationId]);
+        });
+
+        const meldInput = DOM.getById(`meld-${playerId}`);
+        if (meldInput) {
+            const combinations = MeldCalculator.fromCounts(builder.counts);
+            meldInput.value = MeldCalculator.total(combinations, this.currentGame.getDeck().id);
+            this.toggleNinesCheckbox(playerId);
+        }
+    }
+
+    /**
+     * Get the meld builder selections for a player if they still match the meld entered
+     * @param {string} playerId - Player ID
+     * @param {number} meld - Meld entered for the player
+     * @returns {Object|null} Meld details to store on the hand, or null
+     */
+    getBuiltMeldDetails(playerId, meld) {
+        const builder = this.meldBuilders[playerId];
+        if (!builder) return null;
+
+        const combinations = MeldCalculator.fromCounts(builder.counts);
+        if (!combinations.length || MeldCalculator.total(combinations, this.currentGame.getDeck().id) !== meld) {
+            // The meld was typed over after building it, so the combinations no longer describe it
+            return null;
+        }
+
+        return { trumpSuit: builder.trumpSuit, combinations };
     }
 
     /**
@@ -478,7 +1130,10 @@ class GameController {
         
         // Show checkbox only if meld value could be made up of only 9's of trump
         let shouldShow = false;
-        if (gameType === 2) {
+        if (!this.currentGame.rules.allowsNinesSave() || !this.currentGame.getDeck().ninesOfTrump) {
+            // House rules don't treat 9's of trump specially, or the deck has no 9's
+            shouldShow = false;
+        } else if (gameType === 2) {
             // 2-player: only 1 nine of trump (max 10 points)
             shouldShow = (meldValue === 10);
         } else {
@@ -498,78 +1153,218 @@ class GameController {
     }
 
     /**
-     * Proceed to meld phase
+     * Start or stop recording the bidding round for the current hand
      */
-    nextToMeldPhase() {
+    toggleAuction() {
         if (!this.currentGame) return;
 
-        const winningBid = parseInt(this.elements.winningBidInput?.value);
-        const bidderId = this.elements.bidderSelect?.value;
-
-        // Validate bid
-        const minBid = getMinBid(this.currentGame.gameType);
-        const bidValidation = Validation.bid(winningBid, minBid);
-        if (!bidValidation.valid) {
-            notificationService.error(bidValidation.error);
-            return;
-        }
-
-        if (!bidderId) {
-            notificationService.error('Please select a bidder');
+        if (this.auction) {
+            this.clearAuction();
             return;
         }
 
-        try {
-            const bidder = this.currentGame.players.find(p => p.id === bidderId);
-            this.pendingHand = {
-                winningBid,
-                bidderId,
-                bidderName: bidder.name
-            };
+        this.auction = Auction.forHand(
+            this.currentGame.players,
+            this.currentGame.dealerIndex,
+            this.currentGame.getMinBid(),
+            this.currentGame.rules.bidIncrement
+        );
+        DOM.setText(this.elements.recordAuctionBtn, 'Stop Recording');
+        DOM.show(this.elements.auctionSection);
+        this.renderAuction();
+    }
 
-            // Update UI
-            DOM.hide(this.elements.handStartSection);
-            DOM.show(this.elements.meldSectionCard);
-            DOM.setText(this.elements.meldWinningBid, 
-                `${winningBid} (${this.pendingHand.bidderName})`);
+    /**
+     * Discard the recorded bidding round
+     */
+    clearAuction() {
+        this.auction = null;
+        DOM.setText(this.elements.recordAuctionBtn, 'Record Bidding');
+        DOM.hide(this.elements.auctionSection);
+    }
 
-            // Update meld inputs to reflect any bidder changes
-            this.updateMeldScoreInputs();
+    /**
+     * Record a bid for the player whose turn it is
+     */
+    recordAuctionBid() {
+        if (!this.auction) return;
 
-            eventService.emit(EVENTS.HAND_STARTED, this.pendingHand);
-        } catch (error) {
-            console.error('Failed to proceed to meld phase:', error);
-            notificationService.error('Failed to proceed to meld phase');
+        const bid = parseInt(this.elements.auctionBidInput?.value);
+        const result = this.auction.bid(bid);
+        if (!result.valid) {
+            notificationService.error(result.error);
+            return;
         }
+
+        this.renderAuction();
     }
 
     /**
-     * Proceed to score phase
+     * Record a pass for the player whose turn it is
      */
-    nextToScorePhase() {
-        if (!this.currentGame || !this.pendingHand) return;
+    recordAuctionPass() {
+        if (!this.auction) return;
+
+        const result = this.auction.pass();
+        if (!result.valid) {
+            notificationService.error(result.error);
+            return;
+        }
+
+        this.renderAuction();
+    }
+
+    /**
+     * Remove the last recorded bid or pass
+     */
+    undoAuctionEntry() {
+        if (!this.auction) return;
+
+        this.auction.undo();
+        this.renderAuction();
+    }
+
+    /**
+     * Show the bidding log and whose turn it is
+     * When bidding is over the winning bid and bidder are filled in.
+     */
+    renderAuction() {
+        if (!this.auction || !this.currentGame) return;
+
+        const nameOf = (playerId) => this.currentGame.players.find(p => p.id === playerId)?.name || 'Unknown';
+        const logHtml = this.auction.entries.map(entry =>
+            `<li>${nameOf(entry.playerId)}: ${entry.bid === null ? 'Pass' : entry.bid}</li>`
+        ).join('');
+        DOM.setHTML(this.elements.auctionLog, logHtml);
+
+        const winner = this.auction.getWinner();
+        let turnText;
+        if (this.auction.isAllPass()) {
+            turnText = 'Everyone passed - throw in the hand';
+        } else if (winner) {
+            turnText = `${nameOf(winner.playerId)} wins the bid at ${winner.bid}`;
+            if (this.elements.winningBidInput) {
+                this.elements.winningBidInput.value = winner.bid;
+            }
+            if (this.elements.bidderSelect) {
+                this.elements.bidderSelect.value = winner.playerId;
+            }
+        } else {
+            const nextMinimum = this.auction.getNextMinimumBid();
+            turnText = `${nameOf(this.auction.getCurrentPlayerId())} to bid (${nextMinimum} or more) or pass`;
+            if (this.elements.auctionBidInput) {
+                this.elements.auctionBidInput.min = nextMinimum;
+                this.elements.auctionBidInput.step = this.auction.increment;
+                this.elements.auctionBidInput.value = nextMinimum;
+            }
+        }
+        DOM.setText(this.elements.auctionTurn, turnText);
+    }
+
+    /**
+     * Proceed to meld phase
+     * @param {boolean} [stuckDealer] - Whether the dealer was forced to take the bid
+     */
+    nextToMeldPhase(stuckDealer = false) {
+        if (!this.currentGame) return;
+
+        const winningBid = parseInt(this.elements.winningBidInput?.value);
+        const bidderId = this.elements.bidderSelect?.value;
+
+        // Validate bid
+        const minBid = this.currentGame.getMinBid();
+        const bidStep = this.currentGame.getDeck().bidStep;
+        const bidValidation = this.currentGame.rules.validateBid(winningBid, minBid, bidStep);
+        if (!bidValidation.valid) {
+            notificationService.error(bidValidation.error);
+            return;
+        }
+
+        if (!bidderId) {
+            notificationService.error('Please select a bidder');
+            return;
+        }
+
+        const widow = this.getWidowCards();
+        if (widow.length > 0 && widow.length !== AUCTION_SETTLEMENT.widowSize) {
+            notificationService.error(`The widow has ${AUCTION_SETTLEMENT.widowSize} cards`);
+            return;
+        }
+
+        try {
+            const bidder = this.currentGame.players.find(p => p.id === bidderId);
+            this.pendingHand = {
+                winningBid,
+                bidderId,
+                bidderName: bidder.name,
+                trumpSuit: this.elements.trumpSuitSelect?.value || null,
+                auction: null,
+                allPass: stuckDealer ? CONFIG.GAME.ALL_PASS_POLICIES.STUCK_DEALER : null,
+                widow
+            };
+
+            // Keep the recorded bidding only if it agrees with the winning bid entered
+            if (stuckDealer) {
+                this.pendingHand.auction = this.auction?.isAllPass() ? this.auction : null;
+            } else if (this.auction) {
+                const auctionWinner = this.auction.getWinner();
+                if (auctionWinner && auctionWinner.playerId === bidderId && auctionWinner.bid === winningBid) {
+                    this.pendingHand.auction = this.auction;
+                } else {
+                    notificationService.warning('The recorded bidding does not match the winning bid and will not be saved');
+                }
+            }
+
+            // Update UI
+            DOM.hide(this.elements.handStartSection);
+            DOM.show(this.elements.meldSectionCard);
+            DOM.setText(this.elements.meldWinningBid, 
+                `${winningBid} (${this.pendingHand.bidderName})`);
+
+            // Update meld inputs to reflect any bidder changes
+            this.updateMeldScoreInputs();
+            this.saveHandPhase();
+
+            eventService.emit(EVENTS.HAND_STARTED, this.pendingHand);
+        } catch (error) {
+            console.error('Failed to proceed to meld phase:', error);
+            notificationService.error('Failed to proceed to meld phase');
+        }
+    }
+
+    /**
+     * Proceed to score phase
+     */
+    nextToScorePhase() {
+        if (!this.currentGame || !this.pendingHand) return;
 
         try {
             DOM.hide(this.elements.meldSectionCard);
             DOM.show(this.elements.scoreSectionCard);
             DOM.setText(this.elements.scoreWinningBid, this.pendingHand.winningBid);
 
-            // Calculate tricks required
-            const meldInput = DOM.getById(`meld-${this.pendingHand.bidderId}`);
-            const meldValue = meldInput ? parseInt(meldInput.value) || 0 : 0;
-            let tricksRequired = Math.floor((this.pendingHand.winningBid - meldValue) / 10);
+            // Calculate tricks required (partners make the bid with their combined meld)
+            const biddingSide = [this.pendingHand.bidderId, ...this.currentGame.getPartnerIds(this.pendingHand.bidderId)];
+            const meldValue = biddingSide.reduce((total, playerId) =>
+                total + (parseInt(DOM.getById(`meld-${playerId}`)?.value) || 0), 0);
+            const deck = this.currentGame.getDeck();
+            const pointsRequired = this.pendingHand.winningBid - meldValue;
+            const unit = this.currentGame.usesCounters() ? 1 : deck.pointsPerTrick;
+            let tricksRequired = Math.floor(pointsRequired / unit);
             if (tricksRequired < 1) tricksRequired = 1;
 
             DOM.setText(this.elements.scoreTricksRequired, tricksRequired);
 
-            // Show moon options if needed
+            // Show moon options if the house rules allow a moon at this bid
             if (this.elements.moonOptions) {
-                if (tricksRequired > 25) {
+                if (this.currentGame.rules.canShootMoon(pointsRequired, deck.maxTricks * deck.pointsPerTrick)) {
                     DOM.show(this.elements.moonOptions);
                 } else {
                     DOM.hide(this.elements.moonOptions);
                 }
             }
+
+            this.saveHandPhase();
         } catch (error) {
             console.error('Failed to proceed to score phase:', error);
             notificationService.error('Failed to proceed to score phase');
@@ -595,8 +1390,12 @@ class GameController {
                 if (this.elements.bidderSelect && this.pendingHand.bidderId) {
                     this.elements.bidderSelect.value = this.pendingHand.bidderId;
                 }
+                if (this.elements.trumpSuitSelect) {
+                    this.elements.trumpSuitSelect.value = this.pendingHand.trumpSuit || '';
+                }
             }
 
+            this.saveHandPhase();
             eventService.emit('hand-phase-changed', 'bid');
         } catch (error) {
             console.error('Failed to go back to bid phase:', error);
@@ -619,6 +1418,7 @@ class GameController {
             DOM.setText(this.elements.meldWinningBid, 
                 `${this.pendingHand.winningBid} (${this.pendingHand.bidderName})`);
 
+            this.saveHandPhase();
             eventService.emit('hand-phase-changed', 'meld');
         } catch (error) {
             console.error('Failed to go back to meld phase:', error);
@@ -633,6 +1433,7 @@ class GameController {
         if (!this.currentGame || !this.pendingHand) return;
 
         try {
+            const before = this.captureState();
             const dealer = this.currentGame.getCurrentDealer();
             const hand = new GameHand(
                 this.currentGame.getNextHandNumber(),
@@ -645,79 +1446,116 @@ class GameController {
                 this.pendingHand.bidderId,
                 this.pendingHand.bidderName
             );
+            hand.setAuction(this.pendingHand.auction || null);
+            hand.setTrumpSuit(this.pendingHand.trumpSuit || null);
+            hand.setAllPass(this.pendingHand.allPass || null);
+            hand.setWidow(this.pendingHand.widow || []);
 
             // Collect meld and scores
+            const deck = this.currentGame.getDeck();
+            const usesCounters = this.currentGame.usesCounters();
+            const lastTrickWinnerId = usesCounters && this.currentGame.lastTrickBonus
+                ? this.elements.lastTrickWinner?.value || null
+                : null;
+
+            if (usesCounters && this.currentGame.lastTrickBonus && !lastTrickWinnerId) {
+                notificationService.error('Please select who took the last trick');
+                return;
+            }
+
             const trickCounts = [];
             for (const player of this.currentGame.players) {
                 const meldInput = DOM.getById(`meld-${player.id}`);
                 const scoreInput = DOM.getById(`score-${player.id}`);
 
                 const meld = parseInt(meldInput?.value) || 0;
-                const tricks = parseInt(scoreInput?.value) || 0;
+                const entered = parseInt(scoreInput?.value) || 0;
 
                 // Validate meld
-                const meldValidation = Validation.meld(meld);
+                const meldValidation = Validation.meld(meld, deck.meldStep, deck.maxMeld);
                 if (!meldValidation.valid) {
                     notificationService.error(`${player.name}: ${meldValidation.error}`);
                     return;
                 }
 
-                // Validate tricks
-                const tricksValidation = Validation.tricks(tricks);
-                if (!tricksValidation.valid) {
-                    notificationService.error(`${player.name}: ${tricksValidation.error}`);
+                // Validate tricks or counters
+                const entryValidation = usesCounters
+                    ? Validation.counters(entered, this.currentGame.getCounterTotal())
+                    : Validation.tricks(entered, deck.maxTricks);
+                if (!entryValidation.valid) {
+                    notificationService.error(`${player.name}: ${entryValidation.error}`);
                     return;
                 }
 
-                trickCounts.push(tricks);
-
-                // Apply meld safety logic for non-bidders
-                let finalMeld = meld;
-                if (player.id !== this.pendingHand.bidderId && meld > 0) {
-                    const ninesCheckbox = DOM.getById(`nines-only-${player.id}`);
-                    const ninesOnly = ninesCheckbox?.checked || false;
-
-                    if ((meld === 10 || meld === 20) && ninesOnly) {
-                        // Safe - keep meld
-                    } else if (tricks < 1) {
-                        // Not safe - lose meld
-                        finalMeld = 0;
-                        notificationService.warning(
-                            `${player.name}'s meld is lost (must win at least 1 trick)`
-                        );
-                    }
+                trickCounts.push(entered);
+
+                // Counters are already points; tricks are worth a fixed amount each
+                let score = usesCounters ? entered : entered * deck.pointsPerTrick;
+                if (player.id === lastTrickWinnerId) {
+                    score += deck.lastTrickPoints;
                 }
 
-                hand.setPlayerMeld(player.id, finalMeld);
-                hand.setPlayerScore(player.id, tricks * 10);
+                const ninesCheckbox = DOM.getById(`nines-only-${player.id}`);
+                hand.declareMeld(player.id, meld, ninesCheckbox?.checked || false);
+                hand.setPlayerScore(player.id, score);
+
+                const meldDetails = this.getBuiltMeldDetails(player.id, meld);
+                if (meldDetails) {
+                    hand.setPlayerMeldDetails(player.id, meldDetails);
+                }
+                if (usesCounters) {
+                    hand.setPlayerCounters(player.id, entered);
+                    hand.setPlayerTookTrick(player.id, DOM.getById(`took-trick-${player.id}`)?.checked || false);
+                }
             }
 
-            // Validate total tricks
-            const totalTricksValidation = Validation.totalTricks(trickCounts);
-            if (!totalTricksValidation.valid) {
-                notificationService.error(totalTricksValidation.error);
-                return;
+            if (usesCounters) {
+                hand.setLastTrickWinner(lastTrickWinnerId);
+
+                // Counted cards always account for every point in the deck
+                const counterTotalValidation = Validation.counterTotal(trickCounts, this.currentGame.getCounterTotal());
+                if (!counterTotalValidation.valid) {
+                    notificationService.error(counterTotalValidation.error);
+                    return;
+                }
+            } else {
+                // Validate total tricks
+                const totalTricksValidation = Validation.totalTricks(trickCounts, deck.maxTricks);
+                if (!totalTricksValidation.valid) {
+                    notificationService.error(totalTricksValidation.error);
+                    return;
+                }
+
+                const ruleTricksValidation = this.currentGame.rules.validateTrickTotal(
+                    totalTricksValidation.value,
+                    deck.maxTricks
+                );
+                if (!ruleTricksValidation.valid) {
+                    notificationService.error(ruleTricksValidation.error);
+                    return;
+                }
             }
 
             // Validate hand
-            const handValidation = hand.validate(this.currentGame.players);
+            const handValidation = hand.validate(this.currentGame.players, deck);
             if (!handValidation.valid) {
                 notificationService.error(handValidation.errors[0]);
                 return;
             }
 
+            // Apply the house meld safety rules for the non-bidding side once the entry is valid
+            this.warnLostMeld(this.currentGame.applyMeldSave(hand));
+
             // Add hand to game
             this.currentGame.addHand(hand);
             this.saveCurrentGame();
 
-            // Check if bidder made their bid
-            const bidderMeld = hand.playerMeld[this.pendingHand.bidderId] || 0;
-            const bidderTricks = hand.playerScores[this.pendingHand.bidderId] || 0;
-            const bidderTotal = bidderMeld + bidderTricks;
-            const bidderWon = bidderTotal >= this.pendingHand.winningBid;
+            // Check if bidder (with partners in team games) made their bid
+            const bidderWon = !this.currentGame.isBidderSet(hand);
 
             // Update player statistics
             this.updatePlayerHandStats(hand, bidderWon);
+            this.recordUndo(`Hand ${hand.handNumber}`, before);
 
             // Reset interface
             this.resetHandInputs();
@@ -735,28 +1573,135 @@ class GameController {
     }
 
     /**
-     * Throw in hand (no bids)
+     * Tell the table whose meld was lost to the meld-save rules
+     * @param {Array<string>} playerIds - IDs of players who lost their meld
+     */
+    warnLostMeld(playerIds) {
+        playerIds.forEach(playerId => {
+            const player = this.currentGame.players.find(p => p.id === playerId);
+            notificationService.warning(this.currentGame.getPartnerIds(playerId).length > 0
+                ? `${player.name}'s meld is lost (team must win at least 1 trick)`
+                : `${player.name}'s meld is lost (must win at least 1 trick)`
+            );
+        });
+    }
+
+    /**
+     * Read the widow cards entered for an auction pinochle hand
+     * @returns {Array<string>} Card labels (empty when not recorded)
+     */
+    getWidowCards() {
+        if (!this.currentGame?.isChipGame()) {
+            return [];
+        }
+
+        return (this.elements.widowInput?.value || '')
+            .split(/[\s,]+/)
+            .filter(card => card !== '');
+    }
+
+    /**
+     * Concede the hand before playing it (auction pinochle)
+     * The bidder pays each opponent the hand's value without playing it out.
+     */
+    concedeHand() {
+        if (!this.currentGame || !this.pendingHand) return;
+
+        if (!notificationService.confirm(`Concede the hand for ${this.pendingHand.bidderName}?`)) {
+            return;
+        }
+
+        try {
+            const dealer = this.currentGame.getCurrentDealer();
+            const hand = new GameHand(
+                this.currentGame.getNextHandNumber(),
+                dealer.id,
+                dealer.name
+            );
+
+            hand.setWinningBid(
+                this.pendingHand.winningBid,
+                this.pendingHand.bidderId,
+                this.pendingHand.bidderName
+            );
+            hand.setAuction(this.pendingHand.auction || null);
+            hand.setTrumpSuit(this.pendingHand.trumpSuit || null);
+            hand.setAllPass(this.pendingHand.allPass || null);
+            hand.setWidow(this.pendingHand.widow || []);
+            hand.concede();
+            const before = this.captureState();
+
+            // Keep the meld as entered; no tricks are played
+            for (const player of this.currentGame.players) {
+                const meldInput = DOM.getById(`meld-${player.id}`);
+                hand.setPlayerMeld(player.id, parseInt(meldInput?.value) || 0);
+                hand.setPlayerScore(player.id, 0);
+            }
+
+            this.currentGame.addHand(hand);
+            this.saveCurrentGame();
+            this.updatePlayerHandStats(hand, false);
+            this.recordUndo(`Hand ${hand.handNumber} (conceded)`, before);
+
+            this.resetHandInputs();
+            this.pendingHand = null;
+            this.updateGameInterface();
+
+            notificationService.info(`${hand.bidderName} conceded the hand`);
+            eventService.emit(EVENTS.HAND_COMPLETED, hand);
+
+        } catch (error) {
+            console.error('Failed to concede hand:', error);
+            notificationService.error('Failed to concede hand');
+        }
+    }
+
+    /**
+     * Handle a hand where nobody bid, following the game's all-pass policy
+     * A stuck dealer plays the hand at the minimum bid; otherwise the hand is
+     * thrown in, and on a redeal the same dealer deals again.
      */
     throwInHand() {
         if (!this.currentGame) return;
 
+        const policies = CONFIG.GAME.ALL_PASS_POLICIES;
+        const dealer = this.currentGame.getCurrentDealer();
+
+        if (this.currentGame.allPassPolicy === policies.STUCK_DEALER) {
+            if (this.elements.winningBidInput) {
+                this.elements.winningBidInput.value = this.currentGame.getMinBid();
+            }
+            if (this.elements.bidderSelect) {
+                this.elements.bidderSelect.value = dealer.id;
+            }
+            this.nextToMeldPhase(true);
+            notificationService.info(`${dealer.name} is stuck with the bid`);
+            return;
+        }
+
         try {
-            const dealer = this.currentGame.getCurrentDealer();
             const hand = new GameHand(
                 this.currentGame.getNextHandNumber(),
                 dealer.id,
                 dealer.name
             );
 
+            const before = this.captureState();
+            const redeal = this.currentGame.allPassPolicy === policies.REDEAL;
             hand.throwIn();
+            hand.setAllPass(redeal ? policies.REDEAL : policies.THROW_IN);
+            if (this.auction?.isAllPass()) {
+                hand.setAuction(this.auction);
+            }
             this.currentGame.addHand(hand);
             this.saveCurrentGame();
+            this.recordUndo(`Hand ${hand.handNumber} (${redeal ? 'redeal' : 'thrown in'})`, before);
 
             this.resetHandInputs();
             this.pendingHand = null;
             this.updateGameInterface();
 
-            notificationService.info('Hand thrown in (no bids)');
+            notificationService.info(redeal ? `${dealer.name} redeals (no bids)` : 'Hand thrown in (no bids)');
             eventService.emit(EVENTS.HAND_THROWN_IN, hand);
 
         } catch (error) {
@@ -767,8 +1712,11 @@ class GameController {
 
     /**
      * Handle shot the moon scenario
+     * The bidder scores the moon value from the house rules (or loses it when
+     * the attempt fails); everyone else keeps their meld.
+     * @param {boolean} [made] - Whether the bidder took every trick
      */
-    shotTheMoon() {
+    shotTheMoon(made = true) {
         if (!this.currentGame || !this.pendingHand) return;
 
         try {
@@ -784,28 +1732,36 @@ class GameController {
                 this.pendingHand.bidderId,
                 this.pendingHand.bidderName
             );
-
-            // Bidder gets 500 points, others get their meld only
+            hand.setAuction(this.pendingHand.auction || null);
+            hand.setTrumpSuit(this.pendingHand.trumpSuit || null);
+            hand.setAllPass(this.pendingHand.allPass || null);
+            hand.setWidow(this.pendingHand.widow || []);
+            hand.setMoon(made ? 'made' : 'failed');
+            const before = this.captureState();
+
+            // The rules score the bidder's moon; record everyone's meld and no tricks
             for (const player of this.currentGame.players) {
-                if (player.id === this.pendingHand.bidderId) {
-                    hand.setPlayerMeld(player.id, 0);
-                    hand.setPlayerScore(player.id, 500);
-                } else {
-                    const meldInput = DOM.getById(`meld-${player.id}`);
-                    const meld = parseInt(meldInput?.value) || 0;
-                    hand.setPlayerMeld(player.id, meld);
-                    hand.setPlayerScore(player.id, 0);
-                }
+                const meldInput = DOM.getById(`meld-${player.id}`);
+                const meld = parseInt(meldInput?.value) || 0;
+                hand.declareMeld(player.id, meld);
+                hand.setPlayerScore(player.id, 0);
             }
 
             this.currentGame.addHand(hand);
             this.saveCurrentGame();
+            this.updatePlayerHandStats(hand, made);
+            this.recordUndo(`Hand ${hand.handNumber} (moon)`, before);
 
             this.resetHandInputs();
             this.pendingHand = null;
             this.updateGameInterface();
+            this.checkGameEnd();
 
-            notificationService.success('Shot the Moon! Scores updated.');
+            if (made) {
+                notificationService.success('Shot the Moon! Scores updated.');
+            } else {
+                notificationService.warning('Moon failed! Scores updated.');
+            }
             eventService.emit(EVENTS.HAND_SHOT_MOON, hand);
 
         } catch (error) {
@@ -820,7 +1776,12 @@ class GameController {
     checkGameEnd() {
         if (!this.currentGame) return;
 
-        const winner = this.currentGame.checkForWinner();
+        const { winner, reason, playOn } = this.currentGame.resolveGameEnd();
+        if (playOn) {
+            notificationService.info(reason);
+            return;
+        }
+
         if (winner) {
             const winnerName = winner.teamName || winner.name;
             const winnerScore = winner.score;
@@ -828,7 +1789,7 @@ class GameController {
             notificationService.gameWin(winnerName, winnerScore);
             
             setTimeout(() => {
-                this.showFinalScoreModal(winnerName, winnerScore);
+                this.showFinalScoreModal(winnerName, winnerScore, reason);
             }, 1500);
         }
     }
@@ -837,8 +1798,10 @@ class GameController {
      * Show final score modal before ending the game
      * @param {string} winnerName - Name of the winner
      * @param {number} winnerScore - Winner's score
+     * @param {string} [reason] - Why this side won
+     * @param {boolean} [playOn] - Whether the leaders are tied and must play on
      */
-    showFinalScoreModal(winnerName, winnerScore) {
+    showFinalScoreModal(winnerName, winnerScore, reason = '', playOn = false) {
         // Remove existing modal if it exists
         const existingModal = DOM.getById('final-score-modal');
         if (existingModal) {
@@ -857,9 +1820,13 @@ class GameController {
         // Create header
         const header = document.createElement('div');
         header.classList.add('final-score-header');
-        header.innerHTML = `
+        header.innerHTML = playOn ? `
+            <h2>Tied at the Top</h2>
+            <p class="final-score-reason">${reason}</p>
+        ` : `
             <h2>🎉 Game Complete!</h2>
             <p><strong>${winnerName}</strong> wins with <strong>${winnerScore}</strong> points!</p>
+            ${reason ? `<p class="final-score-reason">${reason}</p>` : ''}
         `;
 
         // Create scoreboard container
@@ -875,8 +1842,9 @@ class GameController {
         // Create actions
         const actions = document.createElement('div');
         actions.classList.add('final-score-actions');
+        // A tied game under play-on-tie rules can only be played on
         actions.innerHTML = `
-            <button id="end-game-confirm" class="primary-button">End Game</button>
+            ${playOn ? '' : '<button id="end-game-confirm" class="primary-button">End Game</button>'}
             <button id="continue-playing" class="secondary-button">Continue Playing</button>
         `;
 
@@ -891,32 +1859,42 @@ class GameController {
     }
 
     /**
-     * Generate scoreboard HTML (reusable from updateScoreboard)
+     * Generate scoreboard HTML (reusable from updateScoreboard and the history tab)
+     * @param {Game} [game] - Game to render (defaults to the current game)
      * @returns {string} HTML string for the scoreboard
      */
-    generateScoreboardHTML() {
-        if (!this.currentGame) return '';
-
-        const players = this.currentGame.players;
-        const scores = this.currentGame.scores;
-        const hands = this.currentGame.hands;
-        const is4PlayerTeamGame = this.currentGame.gameType === 4 && this.currentGame.teamAssignments;
+    generateScoreboardHTML(game = this.currentGame) {
+        if (!game) return '';
+
+        const players = game.players;
+        const scores = game.scores;
+        const hands = game.hands;
+        const isTeamGame = game.isTeamGame();
+        const teamIds = game.getTeamIds();
+        const pointsPerTrick = game.getDeck().pointsPerTrick;
+        const usesCounters = game.usesCounters();
+        const isChipGame = game.isChipGame();
 
         let html = '<table><thead><tr><th>Round / Winning Bid</th>';
         
-        // Header row with player names and team colors for 4-player games
-        if (is4PlayerTeamGame) {
+        // Header row with player names and team colors for team games
+        if (isTeamGame) {
             for (const player of players) {
-                const teamClass = this.getPlayerTeamClass(player.id);
+                const teamClass = this.getPlayerTeamClass(player.id, game);
                 html += `<th class="${teamClass}">${player.name}</th>`;
             }
             // Add team total columns
-            html += '<th class="team-a-header">Team A Total</th>';
-            html += '<th class="team-b-header">Team B Total</th>';
+            for (const team of teamIds) {
+                html += `<th class="${this.getTeamClass(team)}-header">${game.getTeamName(team)} Total</th>`;
+            }
         } else {
             for (const player of players) {
                 html += `<th>${player.name}</th>`;
             }
+            // Auction pinochle settles with the kitty as well as the players
+            if (isChipGame) {
+                html += '<th>Kitty</th>';
+            }
         }
         html += '</tr></thead><tbody>';
 
@@ -924,103 +1902,127 @@ class GameController {
         hands.forEach(hand => {
             let roundInfo = `#${hand.handNumber}`;
             if (hand.winningBid) {
-                roundInfo += ` | Bid: ${hand.winningBid}`;
+                const trump = getSuit(hand.trumpSuit);
+                roundInfo += ` | Bid: ${hand.winningBid}${trump ? ` ${trump.symbol}` : ''}`;
                 if (hand.bidderName) {
-                    roundInfo += ` (${hand.bidderName})`;
+                    const stuck = hand.allPass === CONFIG.GAME.ALL_PASS_POLICIES.STUCK_DEALER;
+                    roundInfo += ` (${hand.bidderName}${stuck ? ', dealer stuck' : ''})`;
+                }
+                if (hand.moon) {
+                    roundInfo += ' | 🌙 Moon';
+                }
+                if (hand.conceded) {
+                    roundInfo += ' | Conceded';
+                }
+                if (hand.widow?.length) {
+                    roundInfo += `<br>Widow: ${hand.widow.join(' ')}`;
                 }
             }
 
-            html += `<tr><td>${roundInfo}</td>`;
+            html += `<tr${hand.moon ? ` class="moon-hand moon-${hand.moon}"` : ''}><td>${roundInfo}</td>`;
 
             if (hand.thrownIn) {
-                const colSpan = is4PlayerTeamGame ? players.length + 2 : players.length;
-                html += `<td colspan="${colSpan}" style="color:#e74c3c;font-weight:bold;">Thrown In (No Bids)</td>`;
+                const colSpan = players.length + (isTeamGame ? teamIds.length : 0) + (isChipGame ? 1 : 0);
+                const allPassText = hand.allPass === CONFIG.GAME.ALL_PASS_POLICIES.REDEAL
+                    ? `Redealt by ${hand.dealerName} (No Bids)`
+                    : 'Thrown In (No Bids)';
+                html += `<td colspan="${colSpan}" style="color:#e74c3c;font-weight:bold;">${allPassText}</td>`;
+            } else if (hand.pendingEntry) {
+                const colSpan = players.length + (isTeamGame ? teamIds.length : 0) + (isChipGame ? 1 : 0);
+                html += `<td colspan="${colSpan}" style="font-style:italic;">Inserted hand: edit it to enter the bid and scores</td>`;
             } else {
+                const handPoints = game.scoreHand(hand);
+                const bidderSet = game.isBidderSet(hand);
+                const partnerIds = game.getPartnerIds(hand.bidderId);
+                const setPayout = game.getSetPayout(hand);
+                const handChips = game.getHandChips(hand);
+
                 // Player scores
                 for (const player of players) {
                     const meld = hand.playerMeld[player.id] || 0;
                     const score = hand.playerScores[player.id] || 0;
-                    const tricks = score / 10; // Convert score back to tricks for display
-                    const handTotal = meld + score;
-                    const teamClass = is4PlayerTeamGame ? this.getPlayerTeamClass(player.id) : '';
+                    const tricks = score / pointsPerTrick; // Convert score back to tricks for display
+                    const counters = hand.playerCounters[player.id] ?? score;
+                    const tookLastTrick = hand.lastTrickWinnerId === player.id;
+                    const teamClass = isTeamGame ? this.getPlayerTeamClass(player.id, game) : '';
                     
-                    // Check if this player is the bidder for hand result
-                    const isBidder = player.id === hand.bidderId;
+                    // Show the hand result for the bidder (and partners in team games)
+                    const onBiddingSide = player.id === hand.bidderId || partnerIds.includes(player.id);
                     let handResult = '';
-                    let displayTotal = handTotal;
-                    if (isBidder && hand.winningBid) {
-                        const bidderTotal = meld + score;
-                        if (bidderTotal >= hand.winningBid) {
-                            handResult = 'Success';
-                            // For successful bids, show actual total points earned
-                            displayTotal = handTotal;
-                        } else {
-                            handResult = 'Set';
-                            // For set bids, show negative bid amount (what actually gets added to score)
-                            displayTotal = -hand.winningBid;
-                        }
+                    if (hand.conceded && player.id === hand.bidderId) {
+                        handResult = 'Conceded';
+                    } else if (hand.moon && player.id === hand.bidderId) {
+                        handResult = hand.moon === 'made' ? '🌙 Shot the Moon' : '🌙 Moon Failed';
+                    } else if (onBiddingSide && hand.winningBid) {
+                        handResult = bidderSet ? 'Set' : 'Success';
                     }
+                    // What actually gets added to the score, including any set penalty
+                    const displayTotal = handPoints[player.id] || 0;
                     
                     // Build the cell content
-                    let cellContent = `Meld: ${meld}<br>Tricks: ${tricks}`;
+                    let cellContent = usesCounters
+                        ? `Meld: ${meld}<br>Counters: ${counters}${tookLastTrick ? ' + last trick' : ''}`
+                        : `Meld: ${meld}<br>Tricks: ${tricks}`;
                     if (handResult) {
                         cellContent += `<br><strong>${handResult}</strong>`;
+                    } else if (setPayout) {
+                        cellContent += `<br><strong>Paid: +${setPayout}</strong>`;
                     }
-                    cellContent += `<br>Total: ${displayTotal}`;
+                    cellContent += isChipGame
+                        ? `<br>Chips: ${this.formatChips(handChips[player.id] || 0)}`
+                        : `<br>Total: ${displayTotal}`;
                     
                     html += `<td class="${teamClass}">${cellContent}</td>`;
                 }
+
+                if (isChipGame) {
+                    html += `<td>${handChips.kitty !== undefined ? this.formatChips(handChips.kitty) : '-'}</td>`;
+                }
                 
-                // Team totals for this hand (4-player only)
-                if (is4PlayerTeamGame) {
-                    const teamAHandTotal = this.currentGame.teamAssignments.teamA.reduce((total, player) => {
-                        const meld = hand.playerMeld[player.id] || 0;
-                        const score = hand.playerScores[player.id] || 0;
-                        return total + meld + score;
-                    }, 0);
+                // Team totals for this hand (team games only)
+                if (isTeamGame) {
+                    const teamHandTotals = game.getTeamHandTotals(hand);
                     
-                    const teamBHandTotal = this.currentGame.teamAssignments.teamB.reduce((total, player) => {
-                        const meld = hand.playerMeld[player.id] || 0;
-                        const score = hand.playerScores[player.id] || 0;
-                        return total + meld + score;
-                    }, 0);
-                    
-                    html += `<td class="team-a-cell"><b>${teamAHandTotal}</b></td>`;
-                    html += `<td class="team-b-cell"><b>${teamBHandTotal}</b></td>`;
+                    for (const team of teamIds) {
+                        html += `<td class="${this.getTeamClass(team)}-cell"><b>${teamHandTotals[team]}</b></td>`;
+                    }
                 }
             }
             html += '</tr>';
         });
 
         // Totals row
-        html += '<tr class="totals-row"><td><b>Total</b></td>';
+        html += `<tr class="totals-row"><td><b>${isChipGame ? 'Chips' : 'Total'}</b></td>`;
         for (const player of players) {
             const total = scores.find(s => s.playerId === player.id).score;
-            const teamClass = is4PlayerTeamGame ? this.getPlayerTeamClass(player.id) : '';
-            html += `<td class="${teamClass}"><b>${total}</b></td>`;
+            const teamClass = isTeamGame ? this.getPlayerTeamClass(player.id, game) : '';
+            html += `<td class="${teamClass}"><b>${isChipGame ? this.formatChips(total) : total}</b></td>`;
+        }
+
+        if (isChipGame) {
+            html += `<td><b>${this.formatChips(game.kitty)}</b></td>`;
         }
         
-        // Team grand totals (4-player only)
-        if (is4PlayerTeamGame) {
-            const teamScores = this.currentGame.getTeamScores();
-            html += `<td class="team-a-total"><b>${teamScores.teamA}</b></td>`;
-            html += `<td class="team-b-total"><b>${teamScores.teamB}</b></td>`;
+        // Team grand totals (team games only)
+        if (isTeamGame) {
+            const teamScores = game.getTeamScores();
+            for (const team of teamIds) {
+                html += `<td class="${this.getTeamClass(team)}-total"><b>${teamScores[team]}</b></td>`;
+            }
         }
         
         html += '</tr></tbody></table>';
 
-        // Add team legend for 4-player games
-        if (is4PlayerTeamGame) {
+        // Add team legend for team games
+        if (isTeamGame) {
             html += `
                 <div class="team-legend" style="margin-top: 15px;">
-                    <div class="team-indicator">
-                        <div class="team-color team-a"></div>
-                        <span>Team A: ${this.currentGame.teamAssignments.teamA.map(p => p.name).join(' & ')}</span>
-                    </div>
-                    <div class="team-indicator">
-                        <div class="team-color team-b"></div>
-                        <span>Team B: ${this.currentGame.teamAssignments.teamB.map(p => p.name).join(' & ')}</span>
-                    </div>
+                    ${teamIds.map(team => `
+                        <div class="team-indicator">
+                            <div class="team-color ${this.getTeamClass(team)}"></div>
+                            <span>${game.getTeamName(team)}: ${game.teamAssignments[team].map(p => p.name).join(' & ')}</span>
+                        </div>
+                    `).join('')}
                 </div>
             `;
         }
@@ -1078,27 +2080,15 @@ class GameController {
 
         try {
             // Determine the winner to show in the final score modal
-            let winner;
-            let winnerName;
-            let winnerScore;
-            
-            // Check for team or individual winner
-            const gameWinner = this.currentGame.checkForWinner();
-            if (gameWinner && gameWinner.type === 'team') {
-                // Team winner
-                winnerName = gameWinner.teamName;
-                winnerScore = gameWinner.score;
-            } else {
-                // Individual winner (highest score)
-                winner = this.currentGame.scores.reduce((prev, current) => 
-                    (prev.score > current.score) ? prev : current
-                );
-                winnerName = winner.name;
-                winnerScore = winner.score;
+            // (by the game end rules, else highest score)
+            const { winner, reason, playOn } = this.currentGame.resolveManualEnd();
+            if (playOn) {
+                this.showFinalScoreModal(null, null, reason, true);
+                return;
             }
 
             // Show the final score modal instead of immediately ending
-            this.showFinalScoreModal(winnerName, winnerScore);
+            this.showFinalScoreModal(winner.teamName || winner.name, winner.score, reason);
 
         } catch (error) {
             console.error('Failed to show final score:', error);
@@ -1112,6 +2102,13 @@ class GameController {
     confirmEndGame() {
         if (!this.currentGame) return;
 
+        // A tie at the top can't be settled by ending early under play-on-tie rules
+        const result = this.currentGame.resolveManualEnd();
+        if (result.playOn) {
+            notificationService.error(result.reason);
+            return;
+        }
+
         if (!notificationService.confirm('Are you sure you want to end this game?')) {
             return;
         }
@@ -1121,8 +2118,8 @@ class GameController {
             let winnerMessage;
             
             // Check for team or individual winner
-            const gameWinner = this.currentGame.checkForWinner();
-            if (gameWinner && gameWinner.type === 'team') {
+            const gameWinner = result.winner;
+            if (gameWinner.type === 'team') {
                 // Team winner
                 winner = { 
                     playerId: `team_${gameWinner.team}`, 
@@ -1130,10 +2127,8 @@ class GameController {
                 };
                 winnerMessage = `${gameWinner.teamName} wins with ${gameWinner.score} points!`;
             } else {
-                // Individual winner (highest score)
-                winner = this.currentGame.scores.reduce((prev, current) => 
-                    (prev.score > current.score) ? prev : current
-                );
+                // Individual winner (by the game end rules, else highest score)
+                winner = gameWinner;
                 winnerMessage = `Game ended! ${winner.name} wins with ${winner.score} points!`;
             }
 
@@ -1150,11 +2145,14 @@ class GameController {
             // Reset UI
             this.currentGame = null;
             this.pendingHand = null;
+            this.undoHistory.clear();
             DOM.show(this.elements.gameSetup);
             DOM.hide(this.elements.gamePlay);
+            this.renderGameSwitcher();
 
             notificationService.success(winnerMessage);
             eventService.emit(EVENTS.GAME_ENDED, gameData);
+            this.recordMatchResult(gameData);
 
         } catch (error) {
             console.error('Failed to end game:', error);
@@ -1162,6 +2160,86 @@ class GameController {
         }
     }
 
+    /**
+     * Count a finished game towards its match and show the match standings
+     * @param {Object} gameData - Stored data of the finished game
+     */
+    recordMatchResult(gameData) {
+        const match = this.getMatch(gameData.matchId);
+        if (!match) return;
+
+        try {
+            const decided = match.recordResult(gameData.id, gameData.winnerId);
+            storageService.saveMatch(match.toData());
+            if (decided) {
+                eventService.emit(EVENTS.MATCH_ENDED, match.toData());
+            }
+            this.showMatchSummary(match, gameData);
+        } catch (error) {
+            console.error('Failed to record match result:', error);
+            notificationService.error('Failed to record match result');
+        }
+    }
+
+    /**
+     * Show the match standings after a game, with the next game if the match goes on
+     * @param {Match} match - Match the game was played in
+     * @param {Object} gameData - Stored data of the game that just ended
+     */
+    showMatchSummary(match, gameData) {
+        const existingModal = DOM.getById('match-summary-modal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const decided = match.isDecided();
+        const nameOf = (sideId) => match.sides.find(side => side.id === sideId)?.name || 'No winner';
+        const title = decided
+            ? `${match.winnerName} wins the match!`
+            : `Match after ${match.results.length} of up to ${match.bestOf} games`;
+        const standings = match.getStandings().map(side => `
+            <tr>
+                <td>${side.name}</td>
+                <td>${side.wins}</td>
+            </tr>
+        `).join('');
+        const games = match.results.map((result, idx) => `
+            <li>Game ${idx + 1}: ${nameOf(result.winnerId)}</li>
+        `).join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'match-summary-modal';
+        modal.classList.add('edit-scores-modal');
+
+        const modalContent = document.createElement('div');
+        modalContent.classList.add('edit-scores-modal-content');
+        modalContent.innerHTML = `
+            <h2>${title}</h2>
+            <p>First to ${match.getWinsNeeded()} wins</p>
+            <table class="match-standings">
+                <tr><th>${match.sides[0]?.id.startsWith('team_') ? 'Team' : 'Player'}</th><th>Wins</th></tr>
+                ${standings}
+            </table>
+            <ul class="revision-log">${games}</ul>
+            <div class="match-summary-actions">
+                ${decided ? '' : '<button type="button" id="match-next-game" class="primary-button">Next Game</button>'}
+                <button type="button" id="close-match-summary" class="secondary-button">Close</button>
+            </div>
+        `;
+
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
+
+        if (!decided) {
+            DOM.on(DOM.getById('match-next-game'), 'click', () => {
+                if (this.startRematch(gameData, match)) {
+                    modal.remove();
+                }
+            });
+        }
+        DOM.on(DOM.getById('close-match-summary'), 'click', () => modal.remove());
+    }
+
     /**
      * Update scoreboard display
      */
@@ -1179,15 +2257,34 @@ class GameController {
     }
 
     /**
-     * Get team class for a player in 4-player games
+     * Format a chip amount with its sign
+     * @param {number} chips - Chips won (positive) or lost
+     * @returns {string} Signed chip amount (e.g. '+5', '-10')
+     */
+    formatChips(chips) {
+        return chips > 0 ? `+${chips}` : String(chips);
+    }
+
+    /**
+     * Get the CSS class for a team
+     * @param {string} teamId - Team key (e.g. 'teamA')
+     * @returns {string} Team class name (e.g. 'team-a')
+     */
+    getTeamClass(teamId) {
+        return `team-${teamId.replace('team', '').toLowerCase()}`;
+    }
+
+    /**
+     * Get team class for a player in team games
      * @param {string} playerId - Player ID
+     * @param {Game} [game] - Game the player is in (defaults to the current game)
      * @returns {string} Team class name
      */
-    getPlayerTeamClass(playerId) {
-        if (!this.currentGame?.teamAssignments) return '';
+    getPlayerTeamClass(playerId, game = this.currentGame) {
+        const team = game?.getPlayerTeam(playerId);
+        if (!team) return '';
         
-        const isTeamA = this.currentGame.teamAssignments.teamA.some(p => p.id === playerId);
-        return isTeamA ? 'team-a' : 'team-b';
+        return this.getTeamClass(team);
     }
 
     /**
@@ -1199,6 +2296,7 @@ class GameController {
         if (!this.currentGame) return;
 
         try {
+            const pointsPerTrick = this.currentGame.getDeck().pointsPerTrick;
             for (const player of this.currentGame.players) {
                 const meld = hand.playerMeld[player.id] || 0;
                 const tricks = hand.playerScores[player.id] || 0;
@@ -1208,7 +2306,10 @@ class GameController {
                 const bidSuccessful = isBidder ? bidderWon : null;
 
                 // Call the updateHandStats method on the Player object
-                player.updateHandStats(meld, handTotal, tricks, bid, bidSuccessful);
+                player.updateHandStats(meld, handTotal, tricks, bid, bidSuccessful, pointsPerTrick);
+                if (isBidder && hand.trumpSuit) {
+                    player.recordTrumpCall(hand.trumpSuit, bidderWon);
+                }
                 
                 // Update the stored player data
                 this.playerController.updatePlayerStats(player.id, {
@@ -1218,7 +2319,8 @@ class GameController {
                     successfulBids: player.successfulBids,
                     totalTricks: player.totalTricks,
                     highestHand: player.highestHand,
-                    highestBid: player.highestBid
+                    highestBid: player.highestBid,
+                    trumpStats: player.trumpStats
                 });
             }
         } catch (error) {
@@ -1235,7 +2337,7 @@ class GameController {
         try {
             for (const player of this.currentGame.players) {
                 const finalScore = this.currentGame.scores.find(s => s.playerId === player.id).score;
-                const won = player.id === this.currentGame.winnerId;
+                const won = this.currentGame.isWinner(player.id);
 
                 this.playerController.updatePlayerStats(player.id, {
                     gamesPlayed: player.gamesPlayed + 1,
@@ -1255,9 +2357,18 @@ class GameController {
         if (this.elements.winningBidInput) {
             this.elements.winningBidInput.value = '';
         }
+        if (this.elements.trumpSuitSelect) {
+            this.elements.trumpSuitSelect.value = '';
+        }
+
+        if (this.elements.widowInput) {
+            this.elements.widowInput.value = '';
+        }
 
         DOM.queryAll('[id^="meld-"]').forEach(input => input.value = '0');
         DOM.queryAll('[id^="score-"]').forEach(input => input.value = '0');
+        this.meldBuilders = {};
+        this.clearAuction();
     }
 
     /**
@@ -1274,8 +2385,9 @@ class GameController {
 
     /**
      * Create and display the edit scores modal
+     * @param {number} [roundIdx] - Index of the round to show first
      */
-    createEditScoresModal() {
+    createEditScoresModal(roundIdx = 0) {
         // Remove existing modal if it exists
         const existingModal = DOM.getById('edit-scores-modal');
         if (existingModal) {
@@ -1301,9 +2413,11 @@ class GameController {
         // Initialize event handlers
         this.initializeEditScoresHandlers(modal);
 
-        // Initialize with the first round
+        // Initialize with the chosen round
         if (this.currentGame.hands.length > 0) {
-            this.renderRoundFields(0);
+            const selectedIdx = Math.min(roundIdx, this.currentGame.hands.length - 1);
+            DOM.getById('edit-round-select').value = selectedIdx;
+            this.renderRoundFields(selectedIdx);
         }
     }
 
@@ -1315,13 +2429,28 @@ class GameController {
         const handsOptions = this.currentGame.hands
             .map((hand, idx) => `<option value="${idx}">Round #${hand.handNumber}</option>`)
             .join('');
+        const bidderOptions = this.currentGame.players
+            .map(player => `<option value="${player.id}">${player.name}</option>`)
+            .join('');
 
         return `
             <h2>Edit Prior Round Scores</h2>
             <form id="edit-scores-form">
                 <label for="edit-round-select">Select Round:</label>
                 <select id="edit-round-select">${handsOptions}</select>
+                <div class="edit-round-actions">
+                    <button type="button" id="move-hand-up" class="secondary-button">Move Up</button>
+                    <button type="button" id="move-hand-down" class="secondary-button">Move Down</button>
+                    <button type="button" id="delete-hand" class="danger-button">Delete Round</button>
+                </div>
+                <div class="edit-round-actions">
+                    <label for="insert-hand-bidder">Insert a missed round before this one, bid by:</label>
+                    <select id="insert-hand-bidder">${bidderOptions}</select>
+                    <button type="button" id="insert-hand" class="secondary-button">Insert Round</button>
+                </div>
                 <div id="edit-round-fields"></div>
+                <label for="edit-reason">Reason for change (optional):</label>
+                <input type="text" id="edit-reason" placeholder="e.g., Miscounted tricks">
                 <button type="submit" class="primary-button" style="margin-top:16px;">Save Changes</button>
                 <button type="button" id="cancel-edit-scores" class="secondary-button" style="margin-left:8px;">Cancel</button>
             </form>
@@ -1341,6 +2470,13 @@ class GameController {
             });
         }
 
+        // Insert, delete and reorder handlers
+        const selectedIdx = () => parseInt(roundSelect.value);
+        DOM.on(DOM.getById('move-hand-up'), 'click', () => this.moveEditedHand(selectedIdx(), -1));
+        DOM.on(DOM.getById('move-hand-down'), 'click', () => this.moveEditedHand(selectedIdx(), 1));
+        DOM.on(DOM.getById('delete-hand'), 'click', () => this.deleteEditedHand(selectedIdx()));
+        DOM.on(DOM.getById('insert-hand'), 'click', () => this.insertEditedHand(selectedIdx()));
+
         // Cancel button handler
         const cancelBtn = DOM.getById('cancel-edit-scores');
         if (cancelBtn) {
@@ -1368,6 +2504,8 @@ class GameController {
 
     /**
      * Render the input fields for a specific round
+     * Every outcome is editable: the bidder and bid, meld with the 9's of
+     * trump decision, and tricks or counters for hands that were played out.
      * @param {number} roundIdx - Index of the round to edit
      */
     renderRoundFields(roundIdx) {
@@ -1376,53 +2514,116 @@ class GameController {
         
         if (!fieldsContainer || !hand) return;
 
-        let fieldsHTML = `<h4>Hand ${hand.handNumber}</h4>`;
-        
-        // Check if this is a thrown-in hand (not editable)
-        if (hand.thrownIn) {
+        const outcomes = CONFIG.GAME.HAND_OUTCOMES;
+        const outcomeLabels = CONFIG.GAME.HAND_OUTCOME_LABELS;
+        const outcome = hand.getOutcome();
+        const outcomeOptions = Object.values(outcomes)
+            .filter(value => value !== outcomes.CONCEDED || this.currentGame.isChipGame())
+            .map(value => `<option value="${value}" ${value === outcome ? 'selected' : ''}>${outcomeLabels[value]}</option>`)
+            .join('');
+        const bidderOptions = this.currentGame.players
+            .map(player => `<option value="${player.id}" ${player.id === hand.bidderId ? 'selected' : ''}>${player.name}</option>`)
+            .join('');
+        const deck = this.currentGame.getDeck();
+
+        let fieldsHTML = `
+            <h4>Hand ${hand.handNumber}</h4>
+            <div style="margin-bottom: 16px;">
+                <label>Outcome: 
+                    <select name="outcome-${roundIdx}">${outcomeOptions}</select>
+                </label>
+            </div>
+            <p class="edit-thrown-in-note" style="color: #e74c3c; font-weight: bold;">
+                <em>No bids - nothing is scored for this hand</em>
+            </p>
+            <div class="edit-bid-fields" style="margin-bottom: 16px;">
+                <label>Bidder: 
+                    <select name="bidder-${roundIdx}">${bidderOptions}</select>
+                </label>
+                <label style="margin-left: 16px;">Winning Bid: 
+                    <input type="number" name="winning-bid-${roundIdx}" value="${hand.winningBid || this.currentGame.getMinBid()}" 
+                           style="width:80px;" step="${deck.bidStep}" min="0">
+                </label>
+            </div>
+        `;
+
+        // Add fields for each player
+        const usesCounters = this.currentGame.usesCounters();
+        const entryLabel = usesCounters ? 'Counters' : deck.trickLabel;
+        const entryMax = usesCounters ? this.currentGame.getCounterTotal() : deck.maxTricks;
+        const allowsNines = this.currentGame.rules.allowsNinesSave() && deck.ninesOfTrump;
+        this.currentGame.players.forEach(player => {
+            const meld = hand.getDeclaredMeld(player.id);
+            const tricks = usesCounters
+                ? hand.playerCounters[player.id] ?? (hand.playerScores[player.id] || 0)
+                : Math.round((hand.playerScores[player.id] || 0) / deck.pointsPerTrick);
+            const ninesCheckbox = allowsNines ? `
+                <label style="margin-left: 16px;">
+                    <input type="checkbox" name="nines-${roundIdx}-${player.id}" ${hand.playerNinesOnly[player.id] ? 'checked' : ''}> Only 9's of trump
+                </label>
+            ` : '';
+            
             fieldsHTML += `
-                <div style="padding: 16px; background-color: #f8f9fa; border: 1px solid #dee2e6; border-radius: 4px; margin-bottom: 16px;">
-                    <p style="margin: 0; color: #e74c3c; font-weight: bold; text-align: center;">
-                        <em>This hand was thrown in (no bids) - Cannot be edited</em>
-                    </p>
+                <div class="edit-player-fields" style="margin-bottom: 12px; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                    <strong>${player.name}</strong><br>
+                    <label>Meld: 
+                        <input type="number" name="meld-${roundIdx}-${player.id}" value="${meld}" 
+                               style="width:80px;" step="${deck.meldStep}" min="0">
+                    </label>
+                    ${ninesCheckbox}
+                    <label class="edit-trick-entry" style="margin-left: 16px;">${entryLabel}: 
+                        <input type="number" name="tricks-${roundIdx}-${player.id}" value="${tricks}" 
+                               min="0" max="${entryMax}" style="width:60px;" step="1">
+                    </label>
+                    ${usesCounters ? `<label class="edit-trick-entry" style="margin-left: 16px;">
+                        <input type="checkbox" name="took-trick-${roundIdx}-${player.id}" ${hand.playerTookTrick[player.id] ? 'checked' : ''}> Took a trick
+                    </label>` : ''}
                 </div>
             `;
-        } else {
+        });
+
+        // Last trick selector (counter entry with a separate last trick bonus)
+        if (usesCounters && this.currentGame.lastTrickBonus) {
+            const lastTrickOptions = this.currentGame.players
+                .map(player => `<option value="${player.id}" ${player.id === hand.lastTrickWinnerId ? 'selected' : ''}>${player.name}</option>`)
+                .join('');
             fieldsHTML += `
-                <div style="margin-bottom: 16px;">
-                    <label>Winning Bid: 
-                        <input type="number" name="winning-bid-${roundIdx}" value="${hand.winningBid || 0}" 
-                               style="width:80px;" step="10" min="0">
+                <div class="edit-player-fields" style="margin-bottom: 12px;">
+                    <label class="edit-trick-entry">Last Trick: 
+                        <select name="last-trick-${roundIdx}">
+                            <option value="">Select player</option>${lastTrickOptions}
+                        </select>
                     </label>
                 </div>
             `;
-
-            // Add fields for each player
-            this.currentGame.players.forEach(player => {
-                const meld = hand.playerMeld[player.id] || 0;
-                const tricks = Math.round((hand.playerScores[player.id] || 0) / 10);
-                
-                fieldsHTML += `
-                    <div style="margin-bottom: 12px; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
-                        <strong>${player.name}</strong><br>
-                        <label>Meld: 
-                            <input type="number" name="meld-${roundIdx}-${player.id}" value="${meld}" 
-                                   style="width:80px;" step="10" min="0">
-                        </label>
-                        <label style="margin-left: 16px;">Tricks: 
-                            <input type="number" name="tricks-${roundIdx}-${player.id}" value="${tricks}" 
-                                   min="0" max="25" style="width:60px;" step="1">
-                        </label>
-                    </div>
-                `;
-            });
         }
 
         DOM.setHTML(fieldsContainer, fieldsHTML);
+
+        const outcomeSelect = DOM.query(`[name='outcome-${roundIdx}']`);
+        DOM.on(outcomeSelect, 'change', () => this.toggleEditOutcomeFields(outcomeSelect.value));
+        this.toggleEditOutcomeFields(outcome);
     }
 
     /**
-     * Save the edited scores and recalculate
+     * Show the edit fields that apply to an outcome
+     * Thrown-in hands have nothing to enter, and a moon scores no tricks.
+     * @param {string} outcome - HAND_OUTCOMES value selected
+     */
+    toggleEditOutcomeFields(outcome) {
+        const outcomes = CONFIG.GAME.HAND_OUTCOMES;
+        const thrownIn = outcome === outcomes.THROWN_IN;
+        const moon = outcome === outcomes.MOON_MADE || outcome === outcomes.MOON_FAILED;
+
+        DOM.queryAll('.edit-thrown-in-note').forEach(el => thrownIn ? DOM.show(el) : DOM.hide(el));
+        DOM.queryAll('.edit-bid-fields, .edit-player-fields').forEach(el => thrownIn ? DOM.hide(el) : DOM.show(el));
+        DOM.queryAll('.edit-trick-entry').forEach(el => moon ? DOM.hide(el) : DOM.show(el));
+    }
+
+    /**
+     * Save the edited hand and recalculate
+     * The edited values go through the same validation and meld-save rules
+     * as a hand entered live.
      * @param {HTMLElement} modal - Modal element to close
      */
     saveEditedScores(modal) {
@@ -1431,39 +2632,154 @@ class GameController {
             const roundIdx = parseInt(roundSelect.value);
             const hand = this.currentGame.hands[roundIdx];
 
-            // Prevent editing thrown-in hands
-            if (hand.thrownIn) {
-                notificationService.warning('Cannot edit thrown-in hands');
-                return;
-            }
+            const outcomes = CONFIG.GAME.HAND_OUTCOMES;
+            const outcome = DOM.query(`[name='outcome-${roundIdx}']`)?.value || hand.getOutcome();
+            const moon = outcome === outcomes.MOON_MADE || outcome === outcomes.MOON_FAILED;
+            const deck = this.currentGame.getDeck();
+            const usesCounters = this.currentGame.usesCounters();
 
-            // Update winning bid
-            const bidInput = DOM.query(`[name='winning-bid-${roundIdx}']`);
-            if (bidInput) {
-                hand.winningBid = parseInt(bidInput.value) || 0;
-            }
+            const before = this.captureState();
+            const beforeValues = hand.getEditableValues();
 
-            // Update player meld and scores
-            this.currentGame.players.forEach(player => {
-                const meldInput = DOM.query(`[name='meld-${roundIdx}-${player.id}']`);
-                const tricksInput = DOM.query(`[name='tricks-${roundIdx}-${player.id}']`);
-                
-                if (meldInput) {
-                    hand.playerMeld[player.id] = parseInt(meldInput.value) || 0;
+            if (outcome === outcomes.THROWN_IN) {
+                this.currentGame.setHandOutcome(hand, outcome);
+            } else {
+                const bidderId = DOM.query(`[name='bidder-${roundIdx}']`)?.value || hand.bidderId;
+                const bidder = this.currentGame.players.find(p => p.id === bidderId);
+                if (!bidder) {
+                    notificationService.error('Please select who won the bid');
+                    return;
                 }
-                if (tricksInput) {
-                    hand.playerScores[player.id] = (parseInt(tricksInput.value) || 0) * 10;
+
+                const winningBid = parseInt(DOM.query(`[name='winning-bid-${roundIdx}']`)?.value) || 0;
+                const bidValidation = this.currentGame.rules.validateBid(winningBid, this.currentGame.getMinBid(), deck.bidStep);
+                if (!bidValidation.valid) {
+                    notificationService.error(bidValidation.error);
+                    return;
                 }
-            });
 
-            // Recalculate all scores using the existing method
+                const lastTrickWinnerId = usesCounters && this.currentGame.lastTrickBonus && !moon
+                    ? DOM.query(`[name='last-trick-${roundIdx}']`)?.value || null
+                    : hand.lastTrickWinnerId;
+                if (usesCounters && this.currentGame.lastTrickBonus && !moon && !lastTrickWinnerId) {
+                    notificationService.error('Please select who took the last trick');
+                    return;
+                }
+
+                const entries = {};
+                for (const player of this.currentGame.players) {
+                    const meld = parseInt(DOM.query(`[name='meld-${roundIdx}-${player.id}']`)?.value) || 0;
+                    const meldValidation = Validation.meld(meld, deck.meldStep, deck.maxMeld);
+                    if (!meldValidation.valid) {
+                        notificationService.error(`${player.name}: ${meldValidation.error}`);
+                        return;
+                    }
+
+                    const tricksInput = DOM.query(`[name='tricks-${roundIdx}-${player.id}']`);
+                    const entered = tricksInput ? parseInt(tricksInput.value) || 0 : null;
+                    if (!moon && entered !== null) {
+                        const entryValidation = usesCounters
+                            ? Validation.counters(entered, this.currentGame.getCounterTotal())
+                            : Validation.tricks(entered, deck.maxTricks);
+                        if (!entryValidation.valid) {
+                            notificationService.error(`${player.name}: ${entryValidation.error}`);
+                            return;
+                        }
+                    }
+
+                    // The rules score the bidder's moon; nobody scores tricks
+                    let score = hand.playerScores[player.id] || 0;
+                    if (moon) {
+                        score = 0;
+                    } else if (entered !== null && usesCounters) {
+                        score = entered + (lastTrickWinnerId === player.id ? deck.lastTrickPoints : 0);
+                    } else if (entered !== null) {
+                        score = entered * deck.pointsPerTrick;
+                    }
+
+                    entries[player.id] = {
+                        meld,
+                        ninesOnly: DOM.query(`[name='nines-${roundIdx}-${player.id}']`)?.checked || false,
+                        tookTrick: DOM.query(`[name='took-trick-${roundIdx}-${player.id}']`)?.checked || false,
+                        entered,
+                        score
+                    };
+                }
+
+                // The entries must pass the live entry checks before anything changes
+                if (usesCounters && !moon) {
+                    // Counted cards always account for every point in the deck
+                    const counters = this.currentGame.players.map(player =>
+                        entries[player.id].entered ?? hand.playerCounters[player.id] ?? 0
+                    );
+                    const counterTotalValidation = Validation.counterTotal(counters, this.currentGame.getCounterTotal());
+                    if (!counterTotalValidation.valid) {
+                        notificationService.error(counterTotalValidation.error);
+                        return;
+                    }
+                } else if (!moon) {
+                    const trickCounts = this.currentGame.players.map(player =>
+                        entries[player.id].score / deck.pointsPerTrick
+                    );
+                    const totalTricksValidation = Validation.totalTricks(trickCounts, deck.maxTricks);
+                    if (!totalTricksValidation.valid) {
+                        notificationService.error(totalTricksValidation.error);
+                        return;
+                    }
+
+                    const ruleTricksValidation = this.currentGame.rules.validateTrickTotal(
+                        totalTricksValidation.value,
+                        deck.maxTricks
+                    );
+                    if (!ruleTricksValidation.valid) {
+                        notificationService.error(ruleTricksValidation.error);
+                        return;
+                    }
+                }
+
+                const edited = new GameHand(hand.handNumber, hand.dealerId, hand.dealerName);
+                this.currentGame.players.forEach(player => {
+                    edited.declareMeld(player.id, entries[player.id].meld);
+                    edited.setPlayerScore(player.id, entries[player.id].score);
+                });
+                const handValidation = edited.validate(this.currentGame.players, deck);
+                if (!handValidation.valid) {
+                    notificationService.error(handValidation.errors[0]);
+                    return;
+                }
+
+                this.currentGame.setHandOutcome(hand, outcome);
+                hand.setWinningBid(winningBid, bidder.id, bidder.name);
+                hand.setLastTrickWinner(lastTrickWinnerId);
+
+                this.currentGame.players.forEach(player => {
+                    const { meld, ninesOnly, tookTrick, entered, score } = entries[player.id];
+                    hand.declareMeld(player.id, meld, ninesOnly);
+                    hand.setPlayerScore(player.id, score);
+
+                    if (!moon && entered !== null && usesCounters) {
+                        hand.setPlayerCounters(player.id, entered);
+                        hand.setPlayerTookTrick(player.id, tookTrick);
+                    }
+                });
+
+                if (!moon) {
+                    this.warnLostMeld(this.currentGame.applyMeldSave(hand));
+                }
+            }
+
+            // Log what changed, then recalculate all scores using the existing method
+            hand.pendingEntry = false;
+            this.currentGame.recordHandEdit(hand, beforeValues, this.getEditReason());
             this.currentGame.recalculateScores();
 
-            // Save to storage
-            storageService.saveCurrentGame(this.currentGame);
+            // Save to storage and bring player stats back in line with the hands
+            this.saveCurrentGame();
+            eventService.emit(EVENTS.HAND_EDITED, hand);
+            this.recordUndo(`Edit hand ${hand.handNumber}`, before);
 
-            // Update the UI
-            this.updateScoreboard();
+            // Update the UI (the next dealer changes if a redeal was added or removed)
+            this.updateGameInterface();
 
             // Close modal and show success message
             modal.remove();
@@ -1475,6 +2791,265 @@ class GameController {
         }
     }
 
+    /**
+     * Insert a missed hand before the selected round
+     * The new hand starts at the minimum bid with no meld or points, ready to be edited.
+     * @param {number} roundIdx - Index of the selected round
+     */
+    insertEditedHand(roundIdx) {
+        const bidder = this.currentGame.players.find(p => p.id === DOM.getById('insert-hand-bidder')?.value);
+        if (!bidder) return;
+
+        this.changeHandSequence(`Insert hand ${roundIdx + 1}`, roundIdx, () => {
+            const hand = new GameHand(roundIdx + 1, null, null);
+            hand.setWinningBid(this.currentGame.getMinBid(), bidder.id, bidder.name);
+            // Scores nothing until the hand is saved from the editor
+            hand.pendingEntry = true;
+            this.currentGame.insertHand(roundIdx, hand, this.getEditReason());
+            return true;
+        });
+    }
+
+    /**
+     * Delete the selected round (e.g. one that was entered twice)
+     * @param {number} roundIdx - Index of the selected round
+     */
+    deleteEditedHand(roundIdx) {
+        const hand = this.currentGame.hands[roundIdx];
+        if (!hand || !notificationService.confirm(`Delete hand ${hand.handNumber}? Later hands will be renumbered.`)) {
+            return;
+        }
+
+        this.changeHandSequence(`Delete hand ${hand.handNumber}`, roundIdx, () =>
+            this.currentGame.deleteHand(roundIdx, this.getEditReason()) !== null
+        );
+    }
+
+    /**
+     * Move the selected round one place earlier or later
+     * @param {number} roundIdx - Index of the selected round
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveEditedHand(roundIdx, offset) {
+        const targetIdx = roundIdx + offset;
+
+        this.changeHandSequence(`Move hand ${roundIdx + 1}`, targetIdx, () =>
+            this.currentGame.moveHand(roundIdx, targetIdx, this.getEditReason())
+        );
+    }
+
+    /**
+     * Apply an insert, delete or move and refresh the game and the edit modal
+     * Hands are renumbered and dealers reassigned by the game, so the next
+     * dealer shown is updated too.
+     * @param {string} label - Undo label for the change
+     * @param {number} selectIdx - Index of the round to select afterwards
+     * @param {Function} change - Makes the change and returns true if anything changed
+     */
+    changeHandSequence(label, selectIdx, change) {
+        try {
+            const before = this.captureState();
+            if (!change()) return;
+
+            this.saveCurrentGame();
+            eventService.emit(EVENTS.HAND_EDITED, null);
+            this.recordUndo(label, before);
+            this.updateGameInterface();
+
+            if (this.currentGame.hands.length > 0) {
+                this.createEditScoresModal(Math.max(0, selectIdx));
+            } else {
+                DOM.getById('edit-scores-modal')?.remove();
+            }
+        } catch (error) {
+            console.error('Failed to change hands:', error);
+            notificationService.error('Failed to change hands');
+        }
+    }
+
+    /**
+     * Get the reason typed into the edit scores modal
+     * @returns {string} Reason (empty if none was given)
+     */
+    getEditReason() {
+        return DOM.getById('edit-reason')?.value || '';
+    }
+
+    /**
+     * Show the log of hand edits for the current game
+     */
+    showRevisions() {
+        if (!this.currentGame) return;
+
+        const existingModal = DOM.getById('revisions-modal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'revisions-modal';
+        modal.classList.add('edit-scores-modal');
+
+        const modalContent = document.createElement('div');
+        modalContent.classList.add('edit-scores-modal-content');
+        modalContent.innerHTML = `
+            <h2>History of Changes</h2>
+            ${this.generateRevisionsHTML()}
+            <button type="button" id="close-revisions" class="secondary-button" style="margin-top:16px;">Close</button>
+        `;
+
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
+
+        DOM.on(DOM.getById('close-revisions'), 'click', () => modal.remove());
+        DOM.on(modal, 'click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    /**
+     * Build the list of hand edits, newest first
+     * @returns {string} HTML string
+     */
+    generateRevisionsHTML() {
+        const revisions = this.currentGame.getRevisions();
+        if (revisions.length === 0) {
+            return '<p>No hands have been edited.</p>';
+        }
+
+        const items = revisions.map(revision => {
+            const changes = revision.changes.map(change =>
+                `<li>${this.currentGame.describeRevisionChange(change)}</li>`
+            ).join('');
+
+            const actionLabels = {
+                insert: 'inserted',
+                delete: 'deleted',
+                move: `moved to hand ${revision.toHandNumber}`
+            };
+            const action = revision.action ? ` ${actionLabels[revision.action]}` : '';
+
+            return `
+                <li class="revision">
+                    <strong>Hand ${revision.handNumber}${action}</strong>
+                    <span class="revision-time">${Format.dateTime(revision.timestamp)}</span>
+                    ${changes ? `<ul>${changes}</ul>` : ''}
+                    ${revision.reason ? `<p class="revision-reason">Reason: ${revision.reason}</p>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `<ol class="revision-log">${items}</ol>`;
+    }
+
+    /**
+     * Snapshot the current game and its players' stats for undo/redo
+     * @returns {Object} State snapshot ({ game, players })
+     */
+    captureState() {
+        const players = this.currentGame.players.map(player =>
+            this.playerController.getPlayer(player.id)?.toData() || player
+        );
+
+        return JSON.parse(JSON.stringify({
+            game: this.currentGame.toData(),
+            players
+        }));
+    }
+
+    /**
+     * Record an action that just changed the game so it can be undone
+     * @param {string} label - Description of the action
+     * @param {Object} before - State captured before the action
+     */
+    recordUndo(label, before) {
+        this.undoHistory.record(label, before, this.captureState());
+        this.updateUndoButtons();
+    }
+
+    /**
+     * Put the game and player stats back to a snapshot
+     * @param {Object} state - State captured with captureState()
+     */
+    restoreState(state) {
+        const game = Game.fromData(JSON.parse(JSON.stringify(state.game)));
+
+        // Keep playing with the live player records so later stats still apply
+        game.players = game.players.map(player => this.playerController.getPlayer(player.id) || player);
+        state.players.forEach(({ id, ...stats }) => {
+            this.playerController.updatePlayerStats(id, JSON.parse(JSON.stringify(stats)));
+        });
+
+        this.currentGame = game;
+        this.currentGame.pendingHand = null;
+        this.pendingHand = null;
+        this.saveCurrentGame();
+        this.resetHandInputs();
+        this.updateGameInterface();
+    }
+
+    /**
+     * Undo the last game action (hand, throw-in, moon or edit), restoring the dealer and stats
+     */
+    undo() {
+        if (!this.currentGame) return;
+
+        const entry = this.undoHistory.undo();
+        if (!entry) {
+            notificationService.info('Nothing to undo');
+            return;
+        }
+
+        try {
+            this.restoreState(entry.before);
+            notificationService.info(`Undid ${entry.label}`);
+        } catch (error) {
+            console.error('Failed to undo:', error);
+            notificationService.error('Failed to undo');
+        }
+    }
+
+    /**
+     * Redo the last undone game action
+     */
+    redo() {
+        if (!this.currentGame) return;
+
+        const entry = this.undoHistory.redo();
+        if (!entry) {
+            notificationService.info('Nothing to redo');
+            return;
+        }
+
+        try {
+            this.restoreState(entry.after);
+            notificationService.info(`Redid ${entry.label}`);
+        } catch (error) {
+            console.error('Failed to redo:', error);
+            notificationService.error('Failed to redo');
+        }
+    }
+
+    /**
+     * Enable the undo/redo buttons when there is something to undo or redo
+     */
+    updateUndoButtons() {
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.disabled = !this.undoHistory.canUndo();
+            this.elements.undoBtn.title = this.undoHistory.canUndo()
+                ? `Undo ${this.undoHistory.getUndoLabel()} (Ctrl+Z)`
+                : 'Undo (Ctrl+Z)';
+        }
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.disabled = !this.undoHistory.canRedo();
+            this.elements.redoBtn.title = this.undoHistory.canRedo()
+                ? `Redo ${this.undoHistory.getRedoLabel()} (Ctrl+Y)`
+                : 'Redo (Ctrl+Y)';
+        }
+    }
+
     /**
      * Get current game status
      * @returns {Object|null} Game status or null
@@ -1483,6 +3058,97 @@ class GameController {
         return this.currentGame ? this.currentGame.getStatus() : null;
     }
 
+    /**
+     * Start a new game with the same table and settings as a finished game
+     * A game in progress is set aside and stays in the table switcher.
+     * The deal passes one seat to the left of the previous game's first dealer.
+     * @param {Object} gameData - Stored data of the finished game
+     * @param {Match} [match] - Match the new game continues
+     * @returns {boolean} True if the rematch started
+     */
+    startRematch(gameData, match = null) {
+        try {
+            const previous = Game.fromData(gameData);
+            const players = this.playerController.getPlayersByIds(previous.players.map(p => p.id));
+            if (players.length !== previous.players.length) {
+                notificationService.error('Some players from that game have been removed');
+                return false;
+            }
+
+            this.parkCurrentGame();
+            this.currentGame = previous.createRematch(players);
+            this.undoHistory.clear();
+
+            if (match) {
+                this.currentGame.matchId = match.id;
+                match.addGame(this.currentGame.id);
+                storageService.saveMatch(match.toData());
+            }
+
+            this.saveCurrentGame();
+            this.updateGameInterface();
+            this.showGameInterface();
+
+            notificationService.success(match
+                ? `${match.getGameLabel(this.currentGame.id)} started`
+                : 'Rematch started with the same table!');
+            eventService.emit(EVENTS.GAME_STARTED, this.currentGame);
+            return true;
+        } catch (error) {
+            console.error('Failed to start rematch:', error);
+            notificationService.error('Failed to start rematch');
+            return false;
+        }
+    }
+
+    /**
+     * Start a game for a table arranged outside the setup form (e.g. a tournament schedule)
+     * Players are seated in the order given, with partners in alternate seats.
+     * A game in progress is set aside and stays in the table switcher.
+     * @param {Array} players - Player objects in seating order
+     * @param {string} gameTypeId - GAME_TYPES ID to play
+     * @param {string} rulesetId - House rules preset to play
+     * @returns {Game|null} The new game, or null if it could not start
+     */
+    startScheduledGame(players, gameTypeId, rulesetId) {
+        try {
+            const gameTypeConfig = getGameType(gameTypeId);
+            if (!gameTypeConfig || players.length !== gameTypeConfig.players) {
+                notificationService.error('The table does not match the game type');
+                return null;
+            }
+
+            this.parkCurrentGame();
+            const rules = Ruleset.fromPreset(rulesetId, getDeckConfig(gameTypeConfig.deck));
+            this.currentGame = new Game(players, gameTypeConfig.players, rules, gameTypeConfig.id);
+            this.undoHistory.clear();
+
+            if (gameTypeConfig.teams > 1) {
+                const teamIds = CONFIG.GAME.TEAM_IDS.slice(0, gameTypeConfig.teams);
+                const teamAssignments = {};
+                teamIds.forEach(team => {
+                    teamAssignments[team] = [];
+                });
+                players.forEach((player, seat) => {
+                    teamAssignments[teamIds[seat % teamIds.length]].push(player);
+                });
+                this.currentGame.teamAssignments = teamAssignments;
+            }
+
+            this.saveCurrentGame();
+            this.updateGameInterface();
+            this.showGameInterface();
+
+            notificationService.success('Game started from the schedule!');
+            eventService.emit(EVENTS.GAME_STARTED, this.currentGame);
+            return this.currentGame;
+        } catch (error) {
+            console.error('Failed to start scheduled game:', error);
+            notificationService.error('Failed to start game');
+            return null;
+        }
+    }
+
     /**
      * Export current game data
      * @returns {Object|null} Game data or null
@@ -0,0 +1,260 @@
+import Game from '../models/Game.js';
+import Match from '../models/Match.js';
+import { DOM, Format } from '../utils/helpers.js';
+import { CONFIG, getGameType } from '../utils/config.js';
+import eventService, { EVENTS } from '../services/EventService.js';
+import storageService from '../services/StorageService.js';
+import notificationService from '../services/NotificationService.js';
+
+/**
+ * Controller for browsing finished games
+ */
+class HistoryController {
+    /**
+     * @param {GameController} gameController - Renders scoreboards and starts rematches
+     * @param {UIController} uiController - Switches to the game tab for a rematch
+     */
+    constructor(gameController, uiController) {
+        this.gameController = gameController;
+        this.uiController = uiController;
+        this.elements = {};
+        this.init();
+    }
+
+    /**
+     * Initialize the controller
+     */
+    init() {
+        this.bindElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Bind DOM elements
+     */
+    bindElements() {
+        this.elements = {
+            historyList: DOM.getById('history-list')
+        };
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        if (this.elements.historyList) {
+            DOM.on(this.elements.historyList, 'click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (button) {
+                    this.handleAction(button.dataset.action, button.dataset.gameId);
+                }
+            });
+        }
+
+        eventService.on(EVENTS.TAB_CHANGED, (tabName) => {
+            if (tabName === 'history') {
+                this.renderHistory();
+            }
+        });
+
+        eventService.on(EVENTS.GAME_ENDED, () => this.renderHistory());
+        eventService.on(EVENTS.DATA_IMPORTED, () => this.renderHistory());
+    }
+
+    /**
+     * Run an action from a game's buttons
+     * @param {string} action - 'view', 'delete', 'export' or 'rematch'
+     * @param {string} gameId - ID of the game
+     */
+    handleAction(action, gameId) {
+        switch (action) {
+            case 'view':
+                this.showGame(gameId);
+                break;
+            case 'delete':
+                this.deleteGame(gameId);
+                break;
+            case 'export':
+                this.exportGame(gameId);
+                break;
+            case 'rematch':
+                this.rematch(gameId);
+                break;
+        }
+    }
+
+    /**
+     * Get a finished game's stored data
+     * @param {string} gameId - ID of the game
+     * @returns {Object|null} Game data or null if it is not in the history
+     */
+    getGameData(gameId) {
+        return storageService.loadGameHistory().find(game => game.id === gameId) || null;
+    }
+
+    /**
+     * Render the list of finished games, newest first
+     */
+    renderHistory() {
+        const historyList = this.elements.historyList;
+        if (!historyList) return;
+
+        const history = storageService.loadGameHistory();
+        if (history.length === 0) {
+            DOM.setHTML(historyList, '<p>No finished games yet. Completed games will appear here.</p>');
+            return;
+        }
+
+        try {
+            const matches = {};
+            storageService.loadMatches().forEach(data => {
+                matches[data.id] = Match.fromData(data);
+            });
+            const html = [...history].reverse()
+                .map(data => this.renderGameSummary(Game.fromData(data), matches[data.matchId]))
+                .join('');
+            DOM.setHTML(historyList, html);
+        } catch (error) {
+            console.error('Failed to render game history:', error);
+            DOM.setHTML(historyList, '<p>Error loading game history.</p>');
+        }
+    }
+
+    /**
+     * Render one finished game in the list
+     * @param {Game} game - Finished game
+     * @param {Match} [match] - Match the game was played in
+     * @returns {string} HTML for the game
+     */
+    renderGameSummary(game, match = null) {
+        const typeName = getGameType(game.variant)?.name || `${game.gameType}-Player Game`;
+        const players = game.players.map(p => p.name).join(', ');
+        const finalScores = game.scores
+            .map(s => `${s.name}: ${Format.number(s.score)}`)
+            .join(' | ');
+        const matchLine = match
+            ? `<div>Match: ${match.getGameLabel(game.id)}${match.isDecided() ? ` (won by ${match.winnerName})` : ''}</div>`
+            : '';
+
+        return `
+            <div class="history-item">
+                <div class="history-header">
+                    <strong>${Format.date(game.startTime)}</strong>
+                    <span>${typeName}</span>
+                    <span>${Format.duration(game.getDurationMinutes())}</span>
+                </div>
+                <div class="history-details">
+                    <div>Players: ${players}</div>
+                    <div>Winner: <strong>${game.winnerName || 'None'}</strong></div>
+                    <div>Final scores: ${finalScores}</div>
+                    ${matchLine}
+                </div>
+                <div class="history-actions">
+                    <button class="secondary-button" data-action="view" data-game-id="${game.id}">View</button>
+                    <button class="secondary-button" data-action="rematch" data-game-id="${game.id}">Rematch</button>
+                    <button class="secondary-button" data-action="export" data-game-id="${game.id}">Export</button>
+                    <button class="danger-button" data-action="delete" data-game-id="${game.id}">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show a finished game's full scoreboard (read-only)
+     * @param {string} gameId - ID of the game
+     */
+    showGame(gameId) {
+        const data = this.getGameData(gameId);
+        if (!data) return;
+
+        const existingModal = DOM.getById('history-game-modal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const game = Game.fromData(data);
+        const modal = document.createElement('div');
+        modal.id = 'history-game-modal';
+        modal.classList.add('edit-scores-modal');
+
+        const modalContent = document.createElement('div');
+        modalContent.classList.add('edit-scores-modal-content');
+        modalContent.innerHTML = `
+            <h2>${Format.dateTime(game.startTime)}</h2>
+            <p>Winner: <strong>${game.winnerName || 'None'}</strong></p>
+            <div class="scoreboard">${this.gameController.generateScoreboardHTML(game)}</div>
+            <button type="button" id="close-history-game" class="secondary-button" style="margin-top:16px;">Close</button>
+        `;
+
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
+
+        DOM.on(DOM.getById('close-history-game'), 'click', () => modal.remove());
+        DOM.on(modal, 'click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    /**
+     * Delete a finished game from the history
+     * @param {string} gameId - ID of the game
+     */
+    deleteGame(gameId) {
+        const data = this.getGameData(gameId);
+        if (!data) return;
+
+        if (!notificationService.confirm(`Delete the game from ${Format.date(data.startTime)}? This cannot be undone.`)) {
+            return;
+        }
+
+        if (storageService.removeFromGameHistory(gameId)) {
+            this.renderHistory();
+            notificationService.success('Game deleted');
+            eventService.emit(EVENTS.GAME_DELETED, data);
+        }
+    }
+
+    /**
+     * Download a finished game as a JSON file
+     * @param {string} gameId - ID of the game
+     */
+    exportGame(gameId) {
+        const data = this.getGameData(gameId);
+        if (!data) return;
+
+        try {
+            DOM.downloadJSON(`pinochle-game-${gameId}.json`, {
+                metadata: {
+                    appVersion: CONFIG.APP.VERSION,
+                    exportDate: new Date().toISOString()
+                },
+                game: data
+            });
+        } catch (error) {
+            console.error('Failed to export game:', error);
+            notificationService.error('Failed to export game');
+        }
+    }
+
+    /**
+     * Start a new game with the same table and settings
+     * @param {string} gameId - ID of the game
+     */
+    rematch(gameId) {
+        const data = this.getGameData(gameId);
+        if (data && this.gameController.startRematch(data)) {
+            this.uiController?.showTab('game');
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.elements = {};
+    }
+}
+
+export default HistoryController;
@@ -1,13 +1,22 @@
+import Game from '../models/Game.js';
+import Player from '../models/Player.js';
+import Season from '../models/Season.js';
 import { DOM, Format } from '../utils/helpers.js';
+import { CONFIG } from '../utils/config.js';
 import eventService, { EVENTS } from '../services/EventService.js';
 import storageService from '../services/StorageService.js';
+import statsService from '../services/StatsService.js';
+import notificationService from '../services/NotificationService.js';
 
 /**
  * Controller for managing statistics display
+ * Every view can be narrowed to one league season; finished games are
+ * assigned to the active season as they end.
  */
 class StatsController {
     constructor(playerController) {
         this.playerController = playerController;
+        this.selectedSeasonId = null;
         this.elements = {};
         this.init();
     }
@@ -18,6 +27,7 @@ class StatsController {
     init() {
         this.bindElements();
         this.attachEventListeners();
+        this.renderSeasonOptions();
     }
 
     /**
@@ -25,14 +35,59 @@ class StatsController {
      */
     bindElements() {
         this.elements = {
-            statsDisplay: DOM.getById('stats-display')
+            statsDisplay: DOM.getById('stats-display'),
+            rebuildStatsBtn: DOM.getById('rebuild-stats'),
+            seasonSelect: DOM.getById('stats-season'),
+            seasonStandings: DOM.getById('season-standings'),
+            ratingsLeaderboard: DOM.getById('ratings-leaderboard'),
+            seasonNameInput: DOM.getById('season-name'),
+            seasonStartInput: DOM.getById('season-start'),
+            seasonEndInput: DOM.getById('season-end'),
+            createSeasonBtn: DOM.getById('create-season'),
+            closeSeasonBtn: DOM.getById('close-season'),
+            archiveSeasonBtn: DOM.getById('archive-season')
         };
+
+        if (this.elements.seasonStartInput) {
+            this.elements.seasonStartInput.value = Season.toDay(new Date());
+        }
     }
 
     /**
      * Attach event listeners
      */
     attachEventListeners() {
+        if (this.elements.rebuildStatsBtn) {
+            DOM.on(this.elements.rebuildStatsBtn, 'click', () => this.rebuildStats(true));
+        }
+
+        if (this.elements.seasonSelect) {
+            DOM.on(this.elements.seasonSelect, 'change', (e) => {
+                this.selectedSeasonId = e.target.value || null;
+                this.updateStatsDisplay();
+            });
+        }
+
+        if (this.elements.createSeasonBtn) {
+            DOM.on(this.elements.createSeasonBtn, 'click', () => this.createSeason());
+        }
+
+        if (this.elements.closeSeasonBtn) {
+            DOM.on(this.elements.closeSeasonBtn, 'click', () => this.closeSeason());
+        }
+
+        if (this.elements.archiveSeasonBtn) {
+            DOM.on(this.elements.archiveSeasonBtn, 'click', () => this.archiveSeason());
+        }
+
+        // Recorded games changed underneath the stats
+        eventService.on(EVENTS.HAND_EDITED, () => this.rebuildStats());
+        eventService.on(EVENTS.DATA_IMPORTED, () => {
+            this.renderSeasonOptions();
+            this.rebuildStats();
+        });
+        eventService.on(EVENTS.GAME_DELETED, () => this.rebuildStats());
+
         // Listen for events that should trigger stats update
         eventService.on(EVENTS.TAB_CHANGED, (tabName) => {
             if (tabName === 'stats') {
@@ -40,7 +95,8 @@ class StatsController {
             }
         });
 
-        eventService.on(EVENTS.GAME_ENDED, () => {
+        eventService.on(EVENTS.GAME_ENDED, (gameData) => {
+            this.assignGameToSeason(gameData);
             this.updateStatsDisplay();
         });
 
@@ -53,6 +109,283 @@ class StatsController {
         });
     }
 
+    /**
+     * Load a season from storage
+     * @param {string|null} seasonId - ID of the season
+     * @returns {Season|null} Season or null
+     */
+    getSeason(seasonId) {
+        const data = seasonId ? storageService.loadSeason(seasonId) : null;
+        return data ? Season.fromData(data) : null;
+    }
+
+    /**
+     * Get the season collecting games, if any
+     * @returns {Season|null} Active season or null
+     */
+    getActiveSeason() {
+        const data = storageService.loadSeasons().find(season => Season.fromData(season).isActive());
+        return data ? Season.fromData(data) : null;
+    }
+
+    /**
+     * Get the season the views are narrowed to
+     * @returns {Season|null} Selected season, or null for all time
+     */
+    getSelectedSeason() {
+        return this.getSeason(this.selectedSeasonId);
+    }
+
+    /**
+     * Get the players, with season stats when a season is given
+     * Only players who played in the season are included.
+     * @param {Season|null} season - Season to narrow to, or null for all time
+     * @returns {Array<Player>} Players
+     */
+    getPlayersForSeason(season) {
+        const players = this.playerController.getAllPlayers();
+        if (!season) {
+            return players;
+        }
+
+        const stats = statsService.computeSeasonStats(players, season);
+        return players
+            .map(player => Player.fromData({ ...player.toData(), ...stats[player.id] }))
+            .filter(player => player.handsPlayed > 0 || player.gamesPlayed > 0);
+    }
+
+    /**
+     * Get the finished games, narrowed to a season when one is given
+     * @param {Season|null} season - Season to narrow to, or null for all time
+     * @returns {Array} Stored game data
+     */
+    getGameHistoryForSeason(season) {
+        const history = storageService.loadGameHistory();
+        return season ? history.filter(game => season.includesGame(game.id)) : history;
+    }
+
+    /**
+     * Get the rating leaderboard for the roster
+     * Ratings are replayed from the season's games only, or from every
+     * finished game for all time.
+     * @param {Season|null} season - Season to narrow to, or null for all time
+     * @returns {Array} Leaderboard rows from StatsService.getRatingLeaderboard()
+     */
+    getRatingsForSeason(season) {
+        const games = statsService.loadGames().filter(game => !season || season.includesGame(game.id));
+        return statsService.getRatingLeaderboard(this.playerController.getAllPlayers(), games);
+    }
+
+    /**
+     * Show the rating leaderboard
+     * @param {Array} ratings - Leaderboard rows from getRatingsForSeason()
+     */
+    renderRatings(ratings) {
+        const container = this.elements.ratingsLeaderboard;
+        if (!container) return;
+
+        if (ratings.length === 0) {
+            DOM.hide(container);
+            return;
+        }
+
+        const formatChange = (change) => (change > 0 ? `+${change}` : `${change}`);
+        const rows = ratings.map((row, idx) => `
+            <tr>
+                <td>${idx + 1}</td>
+                <td>${row.name}</td>
+                <td><strong>${row.rating}</strong></td>
+                <td>${Format.number(row.games)}</td>
+                <td>${row.peak}</td>
+                <td>${formatChange(row.history[row.history.length - 1].change)}</td>
+            </tr>
+        `).join('');
+
+        DOM.setHTML(container, `
+            <h3>Ratings</h3>
+            <table class="tournament-standings">
+                <tr><th>#</th><th>Player</th><th>Rating</th><th>Games</th><th>Peak</th><th>Last</th></tr>
+                ${rows}
+            </table>
+            <p class="tournament-note">Elo ratings from ${CONFIG.RATINGS.INITIAL}, replayed from finished games in the order they ended.
+                3-handed and team games count as a result against each other side.</p>
+        `);
+        DOM.show(container);
+    }
+
+    /**
+     * Populate the season filter; archived seasons are listed separately
+     */
+    renderSeasonOptions() {
+        const select = this.elements.seasonSelect;
+        if (!select) return;
+
+        const seasons = storageService.loadSeasons().map(data => Season.fromData(data)).reverse();
+        if (!seasons.some(season => season.id === this.selectedSeasonId)) {
+            this.selectedSeasonId = null;
+        }
+
+        const option = (season) => `
+            <option value="${season.id}">${season.name}${season.isActive() ? ' (active)' : ''}</option>
+        `;
+        const current = seasons.filter(season => !season.isArchived()).map(option).join('');
+        const archived = seasons.filter(season => season.isArchived()).map(option).join('');
+
+        DOM.setHTML(select, `
+            <option value="">All time</option>
+            ${current}
+            ${archived ? `<optgroup label="Archived">${archived}</optgroup>` : ''}
+        `);
+        select.value = this.selectedSeasonId || '';
+    }
+
+    /**
+     * Show the selected season's standings and the buttons that apply to it
+     */
+    renderSeasonStandings() {
+        const container = this.elements.seasonStandings;
+        const season = this.getSelectedSeason();
+
+        if (season?.isActive()) {
+            DOM.show(this.elements.closeSeasonBtn);
+        } else {
+            DOM.hide(this.elements.closeSeasonBtn);
+        }
+        if (season && !season.isArchived()) {
+            DOM.show(this.elements.archiveSeasonBtn);
+        } else {
+            DOM.hide(this.elements.archiveSeasonBtn);
+        }
+
+        if (!container) return;
+        if (!season) {
+            DOM.hide(container);
+            return;
+        }
+
+        const rows = season.getStandings(statsService.loadGames()).map((row, idx) => `
+            <tr>
+                <td>${idx + 1}</td>
+                <td>${row.name}</td>
+                <td>${Format.number(row.games)}</td>
+                <td>${Format.number(row.wins)}</td>
+                <td>${Format.number(row.points)}</td>
+                <td>${Format.percentage(row.winRate)}</td>
+            </tr>
+        `).join('');
+        const dates = `${Format.date(`${season.startDate}T00:00`)} – ${season.endDate ? Format.date(`${season.endDate}T00:00`) : 'open'}`;
+
+        DOM.setHTML(container, `
+            <h3>${season.name} Standings</h3>
+            <p class="tournament-note">${dates} · ${season.status} · ${season.gameIds.length} games</p>
+            ${rows ? `
+                <table class="tournament-standings">
+                    <tr><th>#</th><th>Player</th><th>Games</th><th>Wins</th><th>Points</th><th>Win %</th></tr>
+                    ${rows}
+                </table>
+            ` : '<p>No games finished in this season yet.</p>'}
+        `);
+        DOM.show(container);
+    }
+
+    /**
+     * Start a season from the form
+     * Finished games already played within its dates are assigned to it.
+     */
+    createSeason() {
+        const startDate = this.elements.seasonStartInput?.value || Season.toDay(new Date());
+        const endDate = this.elements.seasonEndInput?.value || null;
+        const name = this.elements.seasonNameInput?.value.trim() || `Season starting ${Format.date(`${startDate}T00:00`)}`;
+
+        const active = this.getActiveSeason();
+        if (active) {
+            notificationService.error(`Close ${active.name} before starting a new season`);
+            return;
+        }
+        if (endDate && endDate < startDate) {
+            notificationService.error('The season must end on or after its start date');
+            return;
+        }
+
+        try {
+            const season = new Season(name, startDate, endDate);
+            const assigned = new Set(storageService.loadSeasons().flatMap(data => data.gameIds || []));
+            storageService.loadGameHistory()
+                .map(data => Game.fromData(data))
+                .filter(game => !assigned.has(game.id))
+                .forEach(game => season.addGame(game));
+
+            storageService.saveSeason(season.toData());
+            this.selectedSeasonId = season.id;
+            if (this.elements.seasonNameInput) {
+                this.elements.seasonNameInput.value = '';
+            }
+            if (this.elements.seasonEndInput) {
+                this.elements.seasonEndInput.value = '';
+            }
+
+            this.renderSeasonOptions();
+            this.updateStatsDisplay();
+            notificationService.success(`${name} started${season.gameIds.length > 0 ? ` with ${season.gameIds.length} earlier games` : ''}`);
+            eventService.emit(EVENTS.SEASON_UPDATED, season.toData());
+        } catch (error) {
+            console.error('Failed to start season:', error);
+            notificationService.error('Failed to start season');
+        }
+    }
+
+    /**
+     * Assign a finished game to the active season
+     * @param {Object} gameData - Stored data of the finished game
+     */
+    assignGameToSeason(gameData) {
+        const season = this.getActiveSeason();
+        if (!season || !gameData) return;
+
+        if (season.addGame(Game.fromData(gameData))) {
+            storageService.saveSeason(season.toData());
+            eventService.emit(EVENTS.SEASON_UPDATED, season.toData());
+        }
+    }
+
+    /**
+     * Close the selected season so its standings are final
+     */
+    closeSeason() {
+        const season = this.getSelectedSeason();
+        if (!season?.isActive()) return;
+
+        if (!notificationService.confirm(`Close ${season.name}? Games finished from now on will not count towards it.`)) {
+            return;
+        }
+
+        season.close();
+        storageService.saveSeason(season.toData());
+        this.renderSeasonOptions();
+        this.updateStatsDisplay();
+        notificationService.success(`${season.name} closed`);
+        eventService.emit(EVENTS.SEASON_UPDATED, season.toData());
+    }
+
+    /**
+     * Archive the selected season, closing it if it is still active
+     */
+    archiveSeason() {
+        const season = this.getSelectedSeason();
+        if (!season || season.isArchived()) return;
+
+        if (!notificationService.confirm(`Archive ${season.name}? Its standings stay available under Archived.`)) {
+            return;
+        }
+
+        season.archive();
+        storageService.saveSeason(season.toData());
+        this.renderSeasonOptions();
+        this.updateStatsDisplay();
+        notificationService.success(`${season.name} archived`);
+        eventService.emit(EVENTS.SEASON_UPDATED, season.toData());
+    }
+
     /**
      * Update the statistics display
      */
@@ -60,17 +393,24 @@ class StatsController {
         const statsDisplay = this.elements.statsDisplay;
         if (!statsDisplay) return;
 
-        const players = this.playerController.getAllPlayers();
+        this.renderSeasonStandings();
+        const season = this.getSelectedSeason();
+        const ratings = this.getRatingsForSeason(season);
+        this.renderRatings(ratings);
+        const players = this.getPlayersForSeason(season);
 
         if (players.length === 0) {
-            DOM.setHTML(statsDisplay, 
-                '<p>No player statistics available. Add some players and play some games!</p>'
+            DOM.setHTML(statsDisplay, season
+                ? '<p>No games recorded in this season yet.</p>'
+                : '<p>No player statistics available. Add some players and play some games!</p>'
             );
             return;
         }
 
         try {
-            const html = players.map(player => this.renderPlayerStats(player)).join('');
+            const html = players.map(player =>
+                this.renderPlayerStats(player, ratings.find(row => row.playerId === player.id))
+            ).join('');
             DOM.setHTML(statsDisplay, html);
         } catch (error) {
             console.error('Failed to update stats display:', error);
@@ -81,14 +421,26 @@ class StatsController {
     /**
      * Render statistics for a single player
      * @param {Player} player - Player object
+     * @param {Object} [rating] - Player's leaderboard row, if they have rated games
      * @returns {string} HTML for player stats
      */
-    renderPlayerStats(player) {
+    renderPlayerStats(player, rating = null) {
         const winRate = player.getWinRate();
         const avgScore = player.getAverageScore();
         const avgMeldPerHand = player.getAverageMeldPerHand();
         const biddingSuccessRate = player.getBiddingSuccessRate();
         const avgTricksPerHand = player.getAverageTricksPerHand();
+        const trumpCalls = player.getTrumpStats().filter(stats => stats.called > 0);
+        const trumpSummary = trumpCalls.length > 0
+            ? trumpCalls.map(stats =>
+                `${stats.symbol} ${stats.called} (${Format.percentage(stats.makeRate)} made)`
+            ).join(', ')
+            : 'None recorded';
+        const recentChanges = rating
+            ? rating.history.slice(-CONFIG.RATINGS.HISTORY_SHOWN)
+                .map(entry => (entry.change > 0 ? `+${entry.change}` : `${entry.change}`))
+                .join(', ')
+            : 'None recorded';
 
         return `
             <div class="player-stats-card">
@@ -133,17 +485,31 @@ class StatsController {
                     <span class="stat-label">Highest Bid:</span>
                     <span class="stat-value">${Format.number(player.highestBid)}</span>
                 </div>
+                <div class="stat-row">
+                    <span class="stat-label">Trump Calls:</span>
+                    <span class="stat-value">${trumpSummary}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Rating:</span>
+                    <span class="stat-value">${rating ? `${rating.rating} (peak ${rating.peak})` : 'Unrated'}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Recent Rating Changes:</span>
+                    <span class="stat-value">${recentChanges}</span>
+                </div>
             </div>
         `;
     }
 
     /**
      * Get overall statistics summary
+     * @param {string|null} [seasonId] - Season to summarise, or null for all time
      * @returns {Object} Statistics summary
      */
-    getStatsSummary() {
-        const players = this.playerController.getAllPlayers();
-        const gameHistory = storageService.loadGameHistory();
+    getStatsSummary(seasonId = null) {
+        const season = this.getSeason(seasonId);
+        const players = this.getPlayersForSeason(season);
+        const gameHistory = this.getGameHistoryForSeason(season);
 
         if (players.length === 0) {
             return {
@@ -189,15 +555,21 @@ class StatsController {
 
     /**
      * Export statistics data
+     * The export covers all time unless a season is asked for, whatever
+     * season the Stats view is showing.
+     * @param {string|null} [seasonId] - Season to export, or null for all time
      * @returns {Object} Statistics data for export
      */
-    exportStats() {
-        const players = this.playerController.getAllPlayers();
-        const gameHistory = storageService.loadGameHistory();
-        const summary = this.getStatsSummary();
+    exportStats(seasonId = null) {
+        const season = this.getSeason(seasonId);
+        const players = this.getPlayersForSeason(season);
+        const gameHistory = this.getGameHistoryForSeason(season);
+        const summary = this.getStatsSummary(seasonId);
 
         return {
+            season: season ? season.toData() : null,
             summary,
+            ratings: this.getRatingsForSeason(season),
             players: players.map(player => ({
                 name: player.name,
                 gamesPlayed: player.gamesPlayed,
@@ -213,7 +585,8 @@ class StatsController {
                 totalScore: player.totalScore,
                 totalMeld: player.totalMeld,
                 totalBids: player.totalBids,
-                successfulBids: player.successfulBids
+                successfulBids: player.successfulBids,
+                trumpCalls: player.getTrumpStats()
             })),
             gameHistory: gameHistory.map(game => ({
                 id: game.id,
@@ -233,10 +606,11 @@ class StatsController {
 
     /**
      * Get top performers in various categories
+     * @param {string|null} [seasonId] - Season to rank, or null for all time
      * @returns {Object} Top performers data
      */
-    getTopPerformers() {
-        const players = this.playerController.getAllPlayers();
+    getTopPerformers(seasonId = null) {
+        const players = this.getPlayersForSeason(this.getSeason(seasonId));
         
         if (players.length === 0) {
             return {};
@@ -273,36 +647,106 @@ class StatsController {
     }
 
     /**
-     * Reset all statistics (for testing or data cleanup)
+     * Recompute every player's statistics from the recorded games
+     * @param {boolean} [showChanges] - Show the values that changed
+     * @returns {Array} Changes ({ playerId, name, field, from, to })
      */
-    resetAllStats() {
-        const players = this.playerController.getAllPlayers();
-        
-        players.forEach(player => {
-            this.playerController.updatePlayerStats(player.id, {
-                gamesPlayed: 0,
-                gamesWon: 0,
-                totalScore: 0,
-                highestHand: 0,
-                highestBid: 0,
-                totalMeld: 0,
-                handsPlayed: 0,
-                totalBids: 0,
-                successfulBids: 0,
-                totalTricks: 0
+    rebuildStats(showChanges = false) {
+        try {
+            const players = this.playerController.getAllPlayers();
+            const { stats, changes } = statsService.rebuild(players);
+
+            const changedIds = new Set(changes.map(change => change.playerId));
+            changedIds.forEach(playerId => {
+                this.playerController.updatePlayerStats(playerId, stats[playerId]);
             });
+
+            if (showChanges) {
+                this.showRebuildChanges(changes);
+            }
+
+            this.updateStatsDisplay();
+            return changes;
+        } catch (error) {
+            console.error('Failed to rebuild statistics:', error);
+            notificationService.error('Failed to rebuild statistics');
+            return [];
+        }
+    }
+
+    /**
+     * Show the stats a rebuild changed
+     * @param {Array} changes - Changes from rebuildStats()
+     */
+    showRebuildChanges(changes) {
+        if (changes.length === 0) {
+            notificationService.info('Statistics already match the recorded games');
+            return;
+        }
+
+        const existingModal = DOM.getById('rebuild-stats-modal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const fieldLabels = {
+            gamesPlayed: 'Games played',
+            gamesWon: 'Games won',
+            totalScore: 'Total score',
+            highestHand: 'Highest hand',
+            highestBid: 'Highest bid',
+            totalMeld: 'Total meld',
+            handsPlayed: 'Hands played',
+            totalBids: 'Bids',
+            successfulBids: 'Bids made',
+            totalTricks: 'Tricks',
+            trumpStats: 'Trump calls'
+        };
+        const formatValue = (field, value) => field === 'trumpStats'
+            ? Object.values(value || {}).reduce((sum, suit) => sum + suit.called, 0) + ' calls'
+            : Format.number(Math.round(value * 10) / 10);
+
+        const items = changes.map(change => `
+            <li>${change.name} ${fieldLabels[change.field]}: ${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}</li>
+        `).join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'rebuild-stats-modal';
+        modal.classList.add('edit-scores-modal');
+
+        const modalContent = document.createElement('div');
+        modalContent.classList.add('edit-scores-modal-content');
+        modalContent.innerHTML = `
+            <h2>Statistics Rebuilt</h2>
+            <ul class="revision-log">${items}</ul>
+            <button type="button" id="close-rebuild-stats" class="secondary-button" style="margin-top:16px;">Close</button>
+        `;
+
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
+
+        DOM.on(DOM.getById('close-rebuild-stats'), 'click', () => modal.remove());
+        DOM.on(modal, 'click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
         });
+    }
 
-        // Clear game history
+    /**
+     * Reset all statistics (for testing or data cleanup)
+     * Clears the game history; a game in progress keeps its hands counted.
+     */
+    resetAllStats() {
         storageService.saveGameHistory([]);
-        
-        this.updateStatsDisplay();
+        this.rebuildStats();
     }
 
     /**
      * Cleanup resources
      */
     destroy() {
+        this.selectedSeasonId = null;
         this.elements = {};
     }
 }
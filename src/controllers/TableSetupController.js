@@ -1,4 +1,5 @@
 import { DOM } from '../utils/helpers.js';
+import { CONFIG } from '../utils/config.js';
 import notificationService from '../services/NotificationService.js';
 import eventService, { EVENTS } from '../services/EventService.js';
 
@@ -9,6 +10,7 @@ class TableSetupController {
     constructor() {
         this.selectedPlayers = [];
         this.gameType = 2;
+        this.teamCount = 0;
         this.tableArrangement = {};
         this.dealerPosition = 0;
         this.elements = {};
@@ -125,6 +127,13 @@ class TableSetupController {
                     <p>The dealer advances clockwise (to the left) after each hand.</p>
                 `;
                 break;
+            default:
+                instructions = `
+                    <p><strong>${this.gameType}-Player Team Setup:</strong> ${this.teamCount} teams of ${this.gameType / this.teamCount}.
+                    Every ${this.teamCount === 2 ? 'other' : `${this.teamCount}th`} seat belongs to the same team, so no two partners sit side by side.</p>
+                    <p>The dealer advances clockwise (to the left) after each hand.</p>
+                `;
+                break;
         }
 
         DOM.setHTML(this.elements.tableInstructions, instructions);
@@ -154,7 +163,7 @@ class TableSetupController {
                 </div>
             </div>
             
-            ${this.gameType === 4 ? this.renderTeamLegend() : ''}
+            ${this.teamCount > 1 ? this.renderTeamLegend() : ''}
             
             <div class="available-players">
                 <h4>Available Players:</h4>
@@ -193,36 +202,73 @@ class TableSetupController {
                     { label: 'South', class: 'position-south' },
                     { label: 'West', class: 'position-west' }
                 ];
+            case 6:
+                return [
+                    { label: 'North', class: 'position-north' },
+                    { label: 'Northeast', class: 'position-northeast' },
+                    { label: 'Southeast', class: 'position-southeast' },
+                    { label: 'South', class: 'position-south' },
+                    { label: 'Southwest', class: 'position-southwest' },
+                    { label: 'Northwest', class: 'position-northwest' }
+                ];
+            case 8:
+                return [
+                    { label: 'North', class: 'position-north' },
+                    { label: 'Northeast', class: 'position-northeast' },
+                    { label: 'East', class: 'position-east' },
+                    { label: 'Southeast', class: 'position-southeast' },
+                    { label: 'South', class: 'position-south' },
+                    { label: 'Southwest', class: 'position-southwest' },
+                    { label: 'West', class: 'position-west' },
+                    { label: 'Northwest', class: 'position-northwest' }
+                ];
             default:
                 return [];
         }
     }
 
     /**
-     * Get team class for 4-player games
+     * Get the team a seat belongs to
+     * Teams alternate around the table, so seat N plays for team N mod the team count.
+     * @param {number} position - Seat index
+     * @returns {string|null} Team key (e.g. 'teamA') or null when not playing teams
+     */
+    getSeatTeam(position) {
+        if (this.teamCount < 2) return null;
+
+        return CONFIG.GAME.TEAM_IDS[position % this.teamCount];
+    }
+
+    /**
+     * Get team class for team games
      */
     getTeamClass(position) {
-        if (this.gameType !== 4) return '';
+        const team = this.getSeatTeam(position);
+        if (!team) return '';
         
-        // Team A: positions 0 and 2 (North and South)
-        // Team B: positions 1 and 3 (East and West)
-        return position % 2 === 0 ? 'team-a' : 'team-b';
+        // e.g. Team A: North and South in a 4-player game
+        return `team-${team.replace('team', '').toLowerCase()}`;
     }
 
     /**
-     * Render team legend for 4-player games
+     * Render team legend for team games
      */
     renderTeamLegend() {
+        const positions = this.getTablePositions();
+        const teams = CONFIG.GAME.TEAM_IDS.slice(0, this.teamCount);
+
         return `
             <div class="team-legend">
-                <div class="team-indicator">
-                    <div class="team-color team-a"></div>
-                    <span>Team A (North ↔ South)</span>
-                </div>
-                <div class="team-indicator">
-                    <div class="team-color team-b"></div>
-                    <span>Team B (East ↔ West)</span>
-                </div>
+                ${teams.map(team => {
+                    const seats = positions.filter((_, index) => this.getSeatTeam(index) === team);
+                    const letter = team.replace('team', '');
+                    return `
+                        <div class="team-indicator">
+                            <div class="team-color team-${letter.toLowerCase()}"></div>
+                            <span>Team ${letter} (${seats.map(seat => seat.label).join(' ↔ ')})</span>
+                        </div>
+                    `;
+                }).join('')}
             </div>
         `;
     }
@@ -401,30 +447,27 @@ class TableSetupController {
     }
 
     /**
-     * Get team assignments for 4-player games
+     * Get team assignments for team games
+     * @returns {Object|null} Players keyed by team (e.g. { teamA: [...], teamB: [...] })
      */
     getTeamAssignments() {
-        if (this.gameType !== 4) return null;
+        if (this.teamCount < 2) return null;
 
-        const teamA = [];
-        const teamB = [];
+        const assignments = {};
+        CONFIG.GAME.TEAM_IDS.slice(0, this.teamCount).forEach(team => {
+            assignments[team] = [];
+        });
 
-        // Team A: positions 0 and 2 (North and South)
-        // Team B: positions 1 and 3 (East and West)
-        for (let position = 0; position < 4; position++) {
+        for (let position = 0; position < this.gameType; position++) {
             const playerId = this.tableArrangement[position];
             const player = this.selectedPlayers.find(p => p.id === playerId);
             
             if (player) {
-                if (position % 2 === 0) {
-                    teamA.push(player);
-                } else {
-                    teamB.push(player);
-                }
+                assignments[this.getSeatTeam(position)].push(player);
             }
         }
 
-        return { teamA, teamB };
+        return assignments;
     }
 
     /**
@@ -442,6 +485,7 @@ class TableSetupController {
         this.dealerPosition = 0;
         this.selectedPlayers = [];
         this.gameType = 2;
+        this.teamCount = 0;
     }
 
     /**
@@ -453,9 +497,12 @@ class TableSetupController {
 
     /**
      * Set game type
+     * @param {number} gameType - Number of players
+     * @param {number} [teamCount] - Number of teams (4-player games play two teams unless told otherwise)
      */
-    setGameType(gameType) {
+    setGameType(gameType, teamCount = gameType === 4 ? 2 : 0) {
         this.gameType = gameType;
+        this.teamCount = teamCount;
     }
 
     /**
@@ -0,0 +1,652 @@
+import Game from '../models/Game.js';
+import Tournament from '../models/Tournament.js';
+import { DOM, Format } from '../utils/helpers.js';
+import { CONFIG, GAME_TYPES, RULESETS, getGameType } from '../utils/config.js';
+import eventService, { EVENTS } from '../services/EventService.js';
+import storageService from '../services/StorageService.js';
+import notificationService from '../services/NotificationService.js';
+
+/**
+ * Controller for tournaments: creating them from the roster, pairing Swiss
+ * rounds, launching scheduled tables into the game controller and showing
+ * standings
+ */
+class TournamentController {
+    /**
+     * @param {PlayerController} playerController - Supplies the roster
+     * @param {GameController} gameController - Plays the scheduled tables
+     * @param {UIController} uiController - Switches to the game tab when a table starts
+     */
+    constructor(playerController, gameController, uiController) {
+        this.playerController = playerController;
+        this.gameController = gameController;
+        this.uiController = uiController;
+        this.selectedTournamentId = null;
+        this.elements = {};
+        this.init();
+    }
+
+    /**
+     * Initialize the controller
+     */
+    init() {
+        this.bindElements();
+        this.renderFormatOptions();
+        this.renderRulesetOptions();
+        this.attachEventListeners();
+        this.renderPlayerOptions();
+        this.renderTournamentList();
+    }
+
+    /**
+     * Bind DOM elements
+     */
+    bindElements() {
+        this.elements = {
+            nameInput: DOM.getById('tournament-name'),
+            formatSelect: DOM.getById('tournament-format'),
+            rulesSelect: DOM.getById('tournament-rules'),
+            pairingSelect: DOM.getById('tournament-pairing'),
+            swissOptions: DOM.getById('tournament-swiss-options'),
+            roundsInput: DOM.getById('tournament-rounds'),
+            playerOptions: DOM.getById('tournament-players'),
+            createBtn: DOM.getById('create-tournament'),
+            tournamentSelect: DOM.getById('tournament-select'),
+            tournamentView: DOM.getById('tournament-view')
+        };
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        if (this.elements.createBtn) {
+            DOM.on(this.elements.createBtn, 'click', () => this.createTournament());
+        }
+
+        if (this.elements.pairingSelect) {
+            DOM.on(this.elements.pairingSelect, 'change', () => {
+                if (this.isSwissSelected()) {
+                    DOM.show(this.elements.swissOptions);
+                } else {
+                    DOM.hide(this.elements.swissOptions);
+                }
+                this.renderPlayerOptions();
+            });
+        }
+
+        if (this.elements.tournamentSelect) {
+            DOM.on(this.elements.tournamentSelect, 'change', (e) => {
+                this.selectedTournamentId = e.target.value || null;
+                this.renderTournament();
+            });
+        }
+
+        if (this.elements.tournamentView) {
+            DOM.on(this.elements.tournamentView, 'click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (button) {
+                    this.handleAction(button.dataset.action, button.dataset);
+                }
+            });
+        }
+
+        eventService.on(EVENTS.GAME_ENDED, (gameData) => this.recordGameResult(gameData));
+        eventService.on(EVENTS.DATA_IMPORTED, () => this.renderTournamentList());
+
+        [EVENTS.PLAYERS_LOADED, EVENTS.PLAYER_ADDED, EVENTS.PLAYER_REMOVED].forEach(event => {
+            eventService.on(event, () => this.renderPlayerOptions());
+        });
+
+        eventService.on(EVENTS.TAB_CHANGED, (tabName) => {
+            if (tabName === 'tournament') {
+                this.renderPlayerOptions();
+                this.renderTournamentList();
+            }
+        });
+    }
+
+    /**
+     * Run an action from the tournament view's buttons
+     * @param {string} action - 'start', 'open', 'pair', 'swap' or 'delete'
+     * @param {Object} data - Button data attributes (tableId, gameId, round)
+     */
+    handleAction(action, data) {
+        switch (action) {
+            case 'pair':
+                this.pairNextRound();
+                break;
+            case 'swap':
+                this.swapTeams(Number(data.round));
+                break;
+            case 'start':
+                this.startTable(data.tableId);
+                break;
+            case 'open':
+                this.openTable(data.gameId);
+                break;
+            case 'delete':
+                this.deleteTournament();
+                break;
+        }
+    }
+
+    /**
+     * Get the game types a tournament can be played in (2 to 4 players, scored to a target)
+     * @returns {Array} GAME_TYPES entries
+     */
+    getFormats() {
+        return GAME_TYPES.filter(type => type.players <= 4 && !type.settlement);
+    }
+
+    /**
+     * Populate the format select
+     */
+    renderFormatOptions() {
+        if (!this.elements.formatSelect) return;
+
+        const html = this.getFormats().map(type =>
+            `<option value="${type.id}">${type.name}</option>`
+        ).join('');
+        DOM.setHTML(this.elements.formatSelect, html);
+    }
+
+    /**
+     * Populate the house rules select
+     */
+    renderRulesetOptions() {
+        if (!this.elements.rulesSelect) return;
+
+        const html = RULESETS.map(ruleset => `
+            <option value="${ruleset.id}" ${ruleset.id === CONFIG.GAME.DEFAULT_RULESET ? 'selected' : ''}>
+                ${ruleset.name}
+            </option>
+        `).join('');
+        DOM.setHTML(this.elements.rulesSelect, html);
+    }
+
+    /**
+     * Check whether the form is set up for a Swiss tournament
+     * @returns {boolean} True if Swiss pairing is selected
+     */
+    isSwissSelected() {
+        return this.elements.pairingSelect?.value === CONFIG.GAME.TOURNAMENT_PAIRINGS.SWISS;
+    }
+
+    /**
+     * Show a checkbox for every player on the roster
+     * Swiss tournaments also get a team select per player, defaulting to
+     * partnering players in roster order.
+     */
+    renderPlayerOptions() {
+        const container = this.elements.playerOptions;
+        if (!container) return;
+
+        const checked = new Set(this.getSelectedPlayerIds());
+        const teamChoices = this.getTeamChoices();
+        const players = this.playerController.getAllPlayers();
+        if (players.length === 0) {
+            DOM.setHTML(container, '<p>Add players in the Players tab first.</p>');
+            return;
+        }
+
+        const teamCount = Math.ceil(players.length / 2);
+        const html = players.map((player, idx) => {
+            const team = teamChoices[player.id] || String(Math.floor(idx / 2) + 1);
+            const teamSelect = this.isSwissSelected() ? `
+                <select data-team-for="${player.id}" aria-label="${player.name}'s team">
+                    ${Array.from({ length: teamCount }, (_, i) => `
+                        <option value="${i + 1}" ${String(i + 1) === team ? 'selected' : ''}>Team ${i + 1}</option>
+                    `).join('')}
+                </select>
+            ` : '';
+
+            return `
+                <label class="tournament-player">
+                    <input type="checkbox" value="${player.id}" ${checked.has(player.id) ? 'checked' : ''}>
+                    ${player.name}
+                    ${teamSelect}
+                </label>
+            `;
+        }).join('');
+        DOM.setHTML(container, html);
+    }
+
+    /**
+     * Get the team chosen for each player in the form
+     * @returns {Object} Team numbers keyed by player ID
+     */
+    getTeamChoices() {
+        if (!this.elements.playerOptions) return {};
+
+        const choices = {};
+        this.elements.playerOptions.querySelectorAll('select[data-team-for]').forEach(select => {
+            choices[select.dataset.teamFor] = select.value;
+        });
+        return choices;
+    }
+
+    /**
+     * Group the ticked players into the teams chosen for them
+     * @returns {Array<Array<string>>} Player IDs of each team, in team number order
+     */
+    getSelectedTeams() {
+        const choices = this.getTeamChoices();
+        const teams = {};
+        this.getSelectedPlayerIds().forEach(id => {
+            const team = choices[id];
+            teams[team] = teams[team] || [];
+            teams[team].push(id);
+        });
+
+        return Object.keys(teams)
+            .sort((a, b) => Number(a) - Number(b))
+            .map(team => teams[team]);
+    }
+
+    /**
+     * Get the players ticked for a new tournament
+     * @returns {Array<string>} Player IDs
+     */
+    getSelectedPlayerIds() {
+        if (!this.elements.playerOptions) return [];
+
+        return Array.from(this.elements.playerOptions.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => input.value);
+    }
+
+    /**
+     * Create a tournament from the form and schedule its rounds
+     */
+    createTournament() {
+        const format = getGameType(this.elements.formatSelect?.value) || this.getFormats()[0];
+        const playerIds = this.getSelectedPlayerIds();
+        const swiss = this.isSwissSelected();
+
+        if (playerIds.length < format.players) {
+            notificationService.error(`Select at least ${format.players} players`);
+            return;
+        }
+
+        const teams = swiss ? this.getSelectedTeams() : [];
+        if (swiss) {
+            if (format.players !== 4 || format.teams !== 2) {
+                notificationService.error('Swiss pairing needs a 4-player partnership format');
+                return;
+            }
+            if (teams.some(team => team.length !== 2)) {
+                notificationService.error('Each team needs exactly two players');
+                return;
+            }
+        }
+
+        try {
+            const name = this.elements.nameInput?.value.trim() || `Tournament ${Format.date(new Date())}`;
+            const players = this.playerController.getPlayersByIds(playerIds);
+            const tournament = new Tournament(name, players, format.id, this.elements.rulesSelect?.value,
+                swiss ? CONFIG.GAME.TOURNAMENT_PAIRINGS.SWISS : CONFIG.GAME.TOURNAMENT_PAIRINGS.ROUND_ROBIN);
+            if (swiss) {
+                tournament.setTeams(teams);
+                tournament.roundCount = parseInt(this.elements.roundsInput?.value, 10) || 0;
+            }
+            tournament.generateSchedule();
+
+            storageService.saveTournament(tournament.toData());
+            this.selectedTournamentId = tournament.id;
+            if (this.elements.nameInput) {
+                this.elements.nameInput.value = '';
+            }
+            this.renderTournamentList();
+
+            notificationService.success(`${name} created with ${tournament.getRoundCount()} rounds`);
+            eventService.emit(EVENTS.TOURNAMENT_UPDATED, tournament.toData());
+        } catch (error) {
+            console.error('Failed to create tournament:', error);
+            notificationService.error('Failed to create tournament');
+        }
+    }
+
+    /**
+     * Load a tournament from storage
+     * @param {string|null} tournamentId - ID of the tournament
+     * @returns {Tournament|null} Tournament or null
+     */
+    getTournament(tournamentId) {
+        const data = tournamentId ? storageService.loadTournament(tournamentId) : null;
+        return data ? Tournament.fromData(data) : null;
+    }
+
+    /**
+     * Populate the tournament select and show the selected tournament
+     */
+    renderTournamentList() {
+        const select = this.elements.tournamentSelect;
+        if (!select) return;
+
+        const tournaments = storageService.loadTournaments();
+        if (!tournaments.some(t => t.id === this.selectedTournamentId)) {
+            this.selectedTournamentId = tournaments.length > 0 ? tournaments[tournaments.length - 1].id : null;
+        }
+
+        const html = [...tournaments].reverse().map(t =>
+            `<option value="${t.id}">${t.name}</option>`
+        ).join('');
+        DOM.setHTML(select, html || '<option value="">No tournaments yet</option>');
+        select.value = this.selectedTournamentId || '';
+        this.renderTournament();
+    }
+
+    /**
+     * Show the selected tournament's standings and schedule
+     */
+    renderTournament() {
+        const view = this.elements.tournamentView;
+        if (!view) return;
+
+        const tournament = this.getTournament(this.selectedTournamentId);
+        if (!tournament) {
+            DOM.setHTML(view, '<p>Create a tournament to see its schedule and standings.</p>');
+            return;
+        }
+
+        const format = getGameType(tournament.gameTypeId);
+        const field = tournament.isSwiss()
+            ? `Swiss · ${tournament.teams.length} teams`
+            : `${tournament.players.length} players`;
+        const pairButton = tournament.canPairNextRound()
+            ? '<button type="button" class="primary-button" data-action="pair">Pair Next Round</button>'
+            : '';
+
+        DOM.setHTML(view, `
+            <p>${format?.name || tournament.gameTypeId} · ${field} · ${tournament.getRoundCount()} rounds
+                ${tournament.isComplete() ? ' · <strong>Complete</strong>' : ''}</p>
+            <h3>Standings</h3>
+            ${tournament.isSwiss() ? this.renderTeamStandings(tournament) : this.renderStandings(tournament)}
+            <h3>Schedule</h3>
+            ${this.renderSchedule(tournament)}
+            <div class="tournament-actions">
+                ${pairButton}
+                <button type="button" class="danger-button" data-action="delete">Delete Tournament</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Render the standings table
+     * @param {Tournament} tournament - Tournament to show
+     * @returns {string} HTML for the standings
+     */
+    renderStandings(tournament) {
+        const rows = tournament.getStandings().map((row, idx) => `
+            <tr>
+                <td>${idx + 1}</td>
+                <td>${row.name}</td>
+                <td>${row.played}</td>
+                <td>${row.wins}</td>
+                <td>${Format.number(row.pointsFor)}</td>
+                <td>${Format.number(row.pointsAgainst)}</td>
+                <td>${row.difference > 0 ? '+' : ''}${Format.number(row.difference)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="tournament-standings">
+                <tr><th>#</th><th>Player</th><th>Played</th><th>Wins</th><th>For</th><th>Against</th><th>Diff</th></tr>
+                ${rows}
+            </table>
+            <p class="tournament-note">Ties on wins are broken by point difference, then points for.</p>
+        `;
+    }
+
+    /**
+     * Render the Swiss standings table
+     * @param {Tournament} tournament - Tournament to show
+     * @returns {string} HTML for the standings
+     */
+    renderTeamStandings(tournament) {
+        const rows = tournament.getTeamStandings().map((row, idx) => `
+            <tr>
+                <td>${idx + 1}</td>
+                <td>${row.name}</td>
+                <td>${row.played}</td>
+                <td>${row.wins}</td>
+                <td>${row.byes}</td>
+                <td>${Format.number(row.pointsFor)}</td>
+                <td>${Format.number(row.pointsAgainst)}</td>
+                <td>${row.difference > 0 ? '+' : ''}${Format.number(row.difference)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="tournament-standings">
+                <tr><th>#</th><th>Team</th><th>Played</th><th>Wins</th><th>Byes</th><th>For</th><th>Against</th><th>Diff</th></tr>
+                ${rows}
+            </table>
+            <p class="tournament-note">A bye counts as a win. Ties on wins are broken by point difference, then points for.</p>
+        `;
+    }
+
+    /**
+     * Render the rounds with a start button for each table not yet played
+     * @param {Tournament} tournament - Tournament to show
+     * @returns {string} HTML for the schedule
+     */
+    renderSchedule(tournament) {
+        const nameOf = (id) => tournament.getPlayerName(id);
+
+        const teamName = (id) => tournament.getTeam(id)?.name || 'Unknown';
+
+        return tournament.rounds.map((round, roundIdx) => {
+            const tables = round.tables.map(table => {
+                const seats = table.teamIds
+                    ? table.teamIds.map(teamName).join(' vs ')
+                    : table.playerIds.map(nameOf).join(', ');
+                let status;
+                if (table.result) {
+                    const winners = table.result.winnerIds.map(nameOf).join(' & ') || 'No winner';
+                    status = `<span class="tournament-result">Won by ${winners}</span>`;
+                } else if (table.gameId) {
+                    status = `<button type="button" class="secondary-button" data-action="open" data-game-id="${table.gameId}">Open Game</button>`;
+                } else {
+                    status = `<button type="button" class="primary-button" data-action="start" data-table-id="${table.id}">Start</button>`;
+                }
+
+                return `
+                    <div class="tournament-table">
+                        <span>Table ${table.id.split('-')[1]}: ${seats}</span>
+                        ${status}
+                    </div>
+                `;
+            }).join('');
+            let byes = '';
+            if (round.byeTeamId) {
+                byes = `<div class="tournament-byes">Bye: ${teamName(round.byeTeamId)}</div>`;
+            } else if (round.byes.length > 0) {
+                byes = `<div class="tournament-byes">Sitting out: ${round.byes.map(nameOf).join(', ')}</div>`;
+            }
+            const isLastRound = roundIdx === tournament.rounds.length - 1;
+
+            return `
+                <div class="tournament-round">
+                    <h4>Round ${round.number}</h4>
+                    ${tables}
+                    ${byes}
+                    ${tournament.isSwiss() && isLastRound ? this.renderSwapControls(tournament, round) : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the manual override for a Swiss round's pairings
+     * Only teams at tables that have not been started can be swapped.
+     * @param {Tournament} tournament - Tournament to show
+     * @param {Object} round - Round to override
+     * @returns {string} HTML for the swap controls
+     */
+    renderSwapControls(tournament, round) {
+        const teamIds = [
+            ...round.tables.filter(table => !table.gameId).flatMap(table => table.teamIds),
+            ...(round.byeTeamId ? [round.byeTeamId] : [])
+        ];
+        if (teamIds.length < 2) {
+            return '';
+        }
+
+        const options = teamIds.map(id =>
+            `<option value="${id}">${tournament.getTeam(id)?.name || id}</option>`
+        ).join('');
+
+        return `
+            <div class="tournament-swap">
+                <span>Override:</span>
+                <select data-swap="first" aria-label="First team">${options}</select>
+                <select data-swap="second" aria-label="Second team">${options}</select>
+                <button type="button" class="secondary-button" data-action="swap" data-round="${round.number}">Swap Teams</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Pair the selected Swiss tournament's next round
+     */
+    pairNextRound() {
+        const tournament = this.getTournament(this.selectedTournamentId);
+        if (!tournament) return;
+
+        if (!tournament.pairNextRound()) {
+            notificationService.error('Every remaining pairing would repeat an opponent');
+            return;
+        }
+
+        storageService.saveTournament(tournament.toData());
+        this.renderTournament();
+        notificationService.success(`Round ${tournament.rounds.length} paired`);
+        eventService.emit(EVENTS.TOURNAMENT_UPDATED, tournament.toData());
+    }
+
+    /**
+     * Swap the two teams chosen in a Swiss round's override controls
+     * @param {number} roundNumber - Round to change
+     */
+    swapTeams(roundNumber) {
+        const tournament = this.getTournament(this.selectedTournamentId);
+        const view = this.elements.tournamentView;
+        if (!tournament || !view) return;
+
+        const first = view.querySelector('[data-swap="first"]')?.value;
+        const second = view.querySelector('[data-swap="second"]')?.value;
+        if (!tournament.swapTeams(roundNumber, first, second)) {
+            notificationService.error('Pick two teams that are not already at the same table');
+            return;
+        }
+
+        storageService.saveTournament(tournament.toData());
+        this.renderTournament();
+
+        const opponents = tournament.getOpponents();
+        const repeats = tournament.rounds[roundNumber - 1].tables.some(({ teamIds: [a, b] }) =>
+            opponents[a].filter(id => id === b).length > 1
+        );
+        if (repeats) {
+            notificationService.warning('Teams swapped, but a table now repeats an earlier pairing');
+        } else {
+            notificationService.success('Teams swapped');
+        }
+        eventService.emit(EVENTS.TOURNAMENT_UPDATED, tournament.toData());
+    }
+
+    /**
+     * Launch a scheduled table into the game controller
+     * @param {string} tableId - Table ID
+     */
+    startTable(tableId) {
+        const tournament = this.getTournament(this.selectedTournamentId);
+        const table = tournament?.getTable(tableId);
+        if (!table || table.gameId) return;
+
+        const players = this.playerController.getPlayersByIds(table.playerIds);
+        if (players.length !== table.playerIds.length) {
+            notificationService.error('Some players at this table have been removed');
+            return;
+        }
+
+        const game = this.gameController.startScheduledGame(players, tournament.gameTypeId, tournament.rulesetId);
+        if (!game) return;
+
+        tournament.startTable(tableId, game.id);
+        storageService.saveTournament(tournament.toData());
+        this.renderTournament();
+        this.uiController?.showTab('game');
+    }
+
+    /**
+     * Show a scheduled table's game that is still being played
+     * @param {string} gameId - ID of the game
+     */
+    openTable(gameId) {
+        this.gameController.switchGame(gameId);
+        if (this.gameController.currentGame?.id === gameId) {
+            this.uiController?.showTab('game');
+        }
+    }
+
+    /**
+     * Record a finished game in the tournament it was scheduled in
+     * @param {Object} gameData - Stored data of the finished game
+     */
+    recordGameResult(gameData) {
+        if (!gameData) return;
+
+        try {
+            const game = Game.fromData(gameData);
+            storageService.loadTournaments().forEach(data => {
+                const tournament = Tournament.fromData(data);
+                if (!tournament.recordGame(game)) return;
+
+                storageService.saveTournament(tournament.toData());
+                eventService.emit(EVENTS.TOURNAMENT_UPDATED, tournament.toData());
+
+                if (tournament.isComplete()) {
+                    notificationService.success(`${tournament.name} is complete! ${tournament.getLeaderName()} wins`);
+                } else if (tournament.canPairNextRound()) {
+                    notificationService.info(`${tournament.name}: round ${tournament.rounds.length} complete, ready to pair the next round`);
+                } else {
+                    notificationService.info(`${tournament.name} standings updated`);
+                }
+            });
+            this.renderTournament();
+        } catch (error) {
+            console.error('Failed to record tournament result:', error);
+            notificationService.error('Failed to record tournament result');
+        }
+    }
+
+    /**
+     * Delete the selected tournament
+     */
+    deleteTournament() {
+        const tournament = this.getTournament(this.selectedTournamentId);
+        if (!tournament) return;
+
+        if (!notificationService.confirm(`Delete ${tournament.name}? Games already played stay in the history.`)) {
+            return;
+        }
+
+        if (storageService.removeTournament(tournament.id)) {
+            this.selectedTournamentId = null;
+            this.renderTournamentList();
+            notificationService.success('Tournament deleted');
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.selectedTournamentId = null;
+        this.elements = {};
+    }
+}
+
+export default TournamentController;
@@ -28,9 +28,13 @@ class UIController {
             playersTab: DOM.getById('players-tab'),
             gameTab: DOM.getById('game-tab'),
             statsTab: DOM.getById('stats-tab'),
+            historyTab: DOM.getById('history-tab'),
+            tournamentTab: DOM.getById('tournament-tab'),
             playersSection: DOM.getById('players-section'),
             gameSection: DOM.getById('game-section'),
-            statsSection: DOM.getById('stats-section')
+            statsSection: DOM.getById('stats-section'),
+            historySection: DOM.getById('history-section'),
+            tournamentSection: DOM.getById('tournament-section')
         };
     }
 
@@ -49,6 +53,14 @@ class UIController {
         if (this.elements.statsTab) {
             DOM.on(this.elements.statsTab, 'click', () => this.showTab('stats'));
         }
+
+        if (this.elements.historyTab) {
+            DOM.on(this.elements.historyTab, 'click', () => this.showTab('history'));
+        }
+
+        if (this.elements.tournamentTab) {
+            DOM.on(this.elements.tournamentTab, 'click', () => this.showTab('tournament'));
+        }
     }
 
     /**
@@ -0,0 +1,196 @@
+/**
+ * Auction model recording the bids and passes of a hand's bidding round
+ */
+class Auction {
+    /**
+     * Create a new auction
+     * @param {Array<string>} seatOrder - Player IDs in bidding order (starting left of the dealer)
+     * @param {number} minBid - Minimum opening bid
+     * @param {number} [increment] - Amount each bid must rise by
+     */
+    constructor(seatOrder, minBid, increment = 10) {
+        this.seatOrder = seatOrder;
+        this.minBid = minBid;
+        this.increment = increment;
+        this.entries = [];
+    }
+
+    /**
+     * Get the IDs of players who have passed
+     * Once a player passes they are out of the auction.
+     * @returns {Array<string>} Player IDs
+     */
+    getPassedPlayerIds() {
+        return this.entries.filter(entry => entry.bid === null).map(entry => entry.playerId);
+    }
+
+    /**
+     * Get the highest bid so far
+     * @returns {Object|null} Highest entry ({ playerId, bid }) or null before any bid
+     */
+    getHighBid() {
+        const bids = this.entries.filter(entry => entry.bid !== null);
+        return bids.length > 0 ? bids[bids.length - 1] : null;
+    }
+
+    /**
+     * Get the player whose turn it is to bid or pass
+     * @returns {string|null} Player ID or null when the auction is complete
+     */
+    getCurrentPlayerId() {
+        if (this.isComplete()) {
+            return null;
+        }
+
+        const passed = this.getPassedPlayerIds();
+        const lastEntry = this.entries[this.entries.length - 1];
+        let seat = lastEntry ? this.seatOrder.indexOf(lastEntry.playerId) : -1;
+
+        for (let i = 0; i < this.seatOrder.length; i++) {
+            seat = (seat + 1) % this.seatOrder.length;
+            if (!passed.includes(this.seatOrder[seat])) {
+                return this.seatOrder[seat];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the smallest bid the current player may make
+     * @returns {number} Next valid bid amount
+     */
+    getNextMinimumBid() {
+        const highBid = this.getHighBid();
+        return highBid ? highBid.bid + this.increment : this.minBid;
+    }
+
+    /**
+     * Validate a bid for the current player
+     * @param {number} bid - Bid amount
+     * @returns {Object} Validation result
+     */
+    validateBid(bid) {
+        if (this.isComplete()) {
+            return { valid: false, error: 'Bidding is already over' };
+        }
+
+        if (typeof bid !== 'number' || isNaN(bid)) {
+            return { valid: false, error: 'Bid must be a number' };
+        }
+
+        const nextMinimum = this.getNextMinimumBid();
+        if (bid < nextMinimum) {
+            return { valid: false, error: `Bid must be at least ${nextMinimum}` };
+        }
+
+        if ((bid - this.minBid) % this.increment !== 0) {
+            return { valid: false, error: `Bids must go up in steps of ${this.increment}` };
+        }
+
+        return { valid: true, value: bid };
+    }
+
+    /**
+     * Record a bid for the current player
+     * @param {number} bid - Bid amount
+     * @returns {Object} Validation result
+     */
+    bid(bid) {
+        const validation = this.validateBid(bid);
+        if (validation.valid) {
+            this.entries.push({ playerId: this.getCurrentPlayerId(), bid });
+        }
+        return validation;
+    }
+
+    /**
+     * Record a pass for the current player
+     * @returns {Object} Validation result
+     */
+    pass() {
+        if (this.isComplete()) {
+            return { valid: false, error: 'Bidding is already over' };
+        }
+
+        this.entries.push({ playerId: this.getCurrentPlayerId(), bid: null });
+        return { valid: true };
+    }
+
+    /**
+     * Remove the last bid or pass
+     * @returns {Object|null} Removed entry or null if nothing was recorded
+     */
+    undo() {
+        return this.entries.pop() || null;
+    }
+
+    /**
+     * Check whether bidding is over
+     * Bidding ends when everyone has passed, or when one bidder is left.
+     * @returns {boolean} True if no more bids can be made
+     */
+    isComplete() {
+        const active = this.seatOrder.length - this.getPassedPlayerIds().length;
+        if (active === 0) {
+            return true;
+        }
+
+        return active === 1 && this.getHighBid() !== null;
+    }
+
+    /**
+     * Check whether everyone passed without bidding
+     * @returns {boolean} True if the hand has no bidder
+     */
+    isAllPass() {
+        return this.isComplete() && this.getHighBid() === null;
+    }
+
+    /**
+     * Get the winning bid once bidding is over
+     * @returns {Object|null} Winning entry ({ playerId, bid }) or null
+     */
+    getWinner() {
+        return this.isComplete() ? this.getHighBid() : null;
+    }
+
+    /**
+     * Create an auction for a hand, starting left of the dealer
+     * @param {Array} players - Players in seat order
+     * @param {number} dealerIndex - Index of the dealer in players
+     * @param {number} minBid - Minimum opening bid
+     * @param {number} [increment] - Amount each bid must rise by
+     * @returns {Auction} New auction instance
+     */
+    static forHand(players, dealerIndex, minBid, increment = 10) {
+        const seatOrder = players.map((_, i) => players[(dealerIndex + 1 + i) % players.length].id);
+        return new Auction(seatOrder, minBid, increment);
+    }
+
+    /**
+     * Create an auction from stored data
+     * @param {Object} data - Stored auction data
+     * @returns {Auction} New auction instance
+     */
+    static fromData(data) {
+        const auction = new Auction(data.seatOrder || [], data.minBid, data.increment);
+        auction.entries = data.entries || [];
+        return auction;
+    }
+
+    /**
+     * Convert auction to plain object for storage
+     * @returns {Object} Plain object representation
+     */
+    toData() {
+        return {
+            seatOrder: this.seatOrder,
+            minBid: this.minBid,
+            increment: this.increment,
+            entries: this.entries
+        };
+    }
+}
+
+export default Auction;
@@ -1,4 +1,7 @@
 import GameHand from './GameHand.js';
+import Ruleset from './Ruleset.js';
+import { CONFIG, getDeckConfig, getGameType, getMinBid } from '../utils/config.js';
+import { ChipSettlement } from '../utils/settlement.js';
 
 /**
  * Game model representing a complete pinochle game
@@ -7,11 +10,14 @@ class Game {
     /**
      * Create a new game
      * @param {Array} players - Array of Player objects
-     * @param {number} gameType - Number of players (2, 3, or 4)
+     * @param {number} gameType - Number of players (2 to 8)
+     * @param {Ruleset} [rules] - House rules to score the game with
+     * @param {string} [variant] - Game type ID from GAME_TYPES (defaults to the standard type for the player count)
      */
-    constructor(players, gameType) {
+    constructor(players, gameType, rules = null, variant = null) {
         this.id = Date.now().toString();
         this.gameType = gameType;
+        this.variant = variant || String(gameType);
         this.players = players;
         this.hands = [];
         this.scores = players.map(p => ({ 
@@ -21,10 +27,259 @@ class Game {
         }));
         this.startTime = new Date().toISOString();
         this.endTime = null;
-        this.targetScore = gameType === 2 ? 1000 : 1500;
+        this.targetScore = this.getTypeConfig()?.targetScore || (gameType === 2 ? 1000 : 1500);
         this.dealerIndex = 0;
         this.winnerId = null;
         this.winnerName = null;
+        this.teamAssignments = null;
+        this.rules = rules || Ruleset.fromPreset();
+        this.pointsEntry = CONFIG.GAME.POINTS_ENTRY_MODES.TRICKS;
+        this.lastTrickBonus = false;
+        this.allPassPolicy = CONFIG.GAME.ALL_PASS_POLICIES.THROW_IN;
+        this.kitty = 0;
+        this.revisions = [];
+        // Hand being entered when the game was last saved (phase, bid and inputs)
+        this.pendingHand = null;
+        // Match the game is played in (null for a single game)
+        this.matchId = null;
+    }
+
+    /**
+     * Get the GAME_TYPES entry this game was started with
+     * @returns {Object|undefined} Game type configuration
+     */
+    getTypeConfig() {
+        return getGameType(this.variant);
+    }
+
+    /**
+     * Get the card and scoring limits of the deck in play
+     * @returns {Object} Deck configuration
+     */
+    getDeck() {
+        return getDeckConfig(this.getTypeConfig()?.deck);
+    }
+
+    /**
+     * Check whether hand scores are entered as counter points
+     * @returns {boolean} True in counter entry mode
+     */
+    usesCounters() {
+        return this.pointsEntry === CONFIG.GAME.POINTS_ENTRY_MODES.COUNTERS;
+    }
+
+    /**
+     * Get the counter points players must enter each hand in counter entry mode
+     * The last trick bonus is added separately when it is enabled.
+     * @returns {number} Expected counter total
+     */
+    getCounterTotal() {
+        const deck = this.getDeck();
+        return this.lastTrickBonus ? deck.counterPoints : deck.counterPoints + deck.lastTrickPoints;
+    }
+
+    /**
+     * Get the minimum bid for this game
+     * @returns {number} Minimum bid amount
+     */
+    getMinBid() {
+        return this.getTypeConfig()?.minBid || getMinBid(this.gameType);
+    }
+
+    /**
+     * Check whether hands are settled in chips instead of running to a target
+     * @returns {boolean} True for auction pinochle
+     */
+    isChipGame() {
+        return this.getTypeConfig()?.settlement === 'chips';
+    }
+
+    /**
+     * Get the chips each player and the kitty won or lost on a hand
+     * @param {GameHand} hand - Completed hand
+     * @returns {Object} Chips keyed by player ID plus 'kitty' (empty outside chip games)
+     */
+    getHandChips(hand) {
+        if (!this.isChipGame() || hand.pendingEntry) {
+            return {};
+        }
+
+        return ChipSettlement.settle(hand, this.players.map(p => p.id));
+    }
+
+    /**
+     * Check whether players score as partnerships
+     * @returns {boolean} True for games with two or more teams assigned
+     */
+    isTeamGame() {
+        return this.getTeamIds().length > 1;
+    }
+
+    /**
+     * Get the keys of the teams in this game
+     * @returns {Array<string>} Team keys in seating order (e.g. ['teamA', 'teamB'])
+     */
+    getTeamIds() {
+        return this.teamAssignments ? Object.keys(this.teamAssignments) : [];
+    }
+
+    /**
+     * Get the display name of a team
+     * @param {string} teamId - Team key (e.g. 'teamC')
+     * @returns {string} Team name (e.g. 'Team C')
+     */
+    getTeamName(teamId) {
+        return `Team ${teamId.replace('team', '')}`;
+    }
+
+    /**
+     * Get the team a player belongs to
+     * @param {string} playerId - Player ID
+     * @returns {string|null} Team key (e.g. 'teamA') or null outside team games
+     */
+    getPlayerTeam(playerId) {
+        if (!this.isTeamGame()) {
+            return null;
+        }
+
+        return this.getTeamIds().find(team =>
+            this.teamAssignments[team].some(p => p.id === playerId)
+        ) || null;
+    }
+
+    /**
+     * Get the IDs of a player's partners
+     * @param {string} playerId - Player ID
+     * @returns {Array<string>} Partner IDs (empty outside team games)
+     */
+    getPartnerIds(playerId) {
+        const team = this.getPlayerTeam(playerId);
+        if (!team) {
+            return [];
+        }
+
+        return this.teamAssignments[team]
+            .map(p => p.id)
+            .filter(id => id !== playerId);
+    }
+
+    /**
+     * Check whether the bidder (and partners in team games) went set on a hand
+     * @param {GameHand} hand - Completed hand
+     * @returns {boolean} True if the bidding side went set
+     */
+    isBidderSet(hand) {
+        return hand.isBidderSet(this.getPartnerIds(hand.bidderId));
+    }
+
+    /**
+     * Score a hand with the game's rules
+     * @param {GameHand} hand - Completed hand
+     * @returns {Object} Points earned on this hand keyed by player ID
+     */
+    scoreHand(hand) {
+        if (hand.thrownIn || hand.pendingEntry) {
+            return {};
+        }
+
+        return this.rules.scoreHand(hand, this.players, this.getPartnerIds(hand.bidderId));
+    }
+
+    /**
+     * Get what each opponent was paid when the bidder went set
+     * @param {GameHand} hand - Completed hand
+     * @returns {number} Payout per opponent (0 unless the set pays the table)
+     */
+    getSetPayout(hand) {
+        if (hand.thrownIn || hand.pendingEntry) {
+            return 0;
+        }
+
+        return this.rules.getSetPayout(hand, this.getPartnerIds(hand.bidderId));
+    }
+
+    /**
+     * Get the points each team earned on a hand
+     * @param {GameHand} hand - Completed hand
+     * @returns {Object} Hand points keyed by team
+     */
+    getTeamHandTotals(hand) {
+        if (!this.isTeamGame()) {
+            return { teamA: 0, teamB: 0 };
+        }
+
+        const handPoints = this.scoreHand(hand);
+        const totals = {};
+        this.getTeamIds().forEach(team => {
+            totals[team] = this.teamAssignments[team].reduce((total, player) =>
+                total + (handPoints[player.id] || 0), 0);
+        });
+
+        return totals;
+    }
+
+    /**
+     * Apply the house meld-save rules to the non-bidding side of a hand
+     * Players keep their declared meld only if their side took a trick, or
+     * the meld was only 9's of trump and the rules save it. Partners save
+     * their meld with a trick taken by either player.
+     * @param {GameHand} hand - Hand with declared meld and scores entered
+     * @returns {Array<string>} IDs of players whose meld was lost
+     */
+    applyMeldSave(hand) {
+        const deck = this.getDeck();
+        const biddingSide = [hand.bidderId, ...this.getPartnerIds(hand.bidderId)];
+        // A trick may hold no counters, so counter entry also counts the last
+        // trick and tricks marked as taken
+        const tricksTaken = (playerId) => {
+            if (!this.usesCounters()) {
+                return (hand.playerScores[playerId] || 0) / deck.pointsPerTrick;
+            }
+            const tookTrick = (hand.playerCounters[playerId] ?? hand.playerScores[playerId] ?? 0) > 0
+                || hand.lastTrickWinnerId === playerId
+                || !!hand.playerTookTrick[playerId];
+            return tookTrick ? 1 : 0;
+        };
+        const lost = [];
+
+        this.players.forEach(player => {
+            const meld = hand.getDeclaredMeld(player.id);
+            hand.setPlayerMeld(player.id, meld);
+            if (biddingSide.includes(player.id) || meld === 0) {
+                return;
+            }
+
+            const side = [player.id, ...this.getPartnerIds(player.id)];
+            const tricks = side.reduce((total, id) => total + tricksTaken(id), 0);
+            const ninesOnly = deck.ninesOfTrump && (meld === 10 || meld === 20) && !!hand.playerNinesOnly[player.id];
+
+            if (!this.rules.isMeldSaved({ tricks, ninesOnly })) {
+                hand.setPlayerMeld(player.id, 0);
+                lost.push(player.id);
+            }
+        });
+
+        return lost;
+    }
+
+    /**
+     * Change how a recorded hand was played out
+     * A hand thrown in while editing follows the game's all-pass policy, and
+     * dealers are reassigned in case a redeal was added or removed.
+     * @param {GameHand} hand - Hand in this game
+     * @param {string} outcome - HAND_OUTCOMES value
+     */
+    setHandOutcome(hand, outcome) {
+        if (outcome === hand.getOutcome()) {
+            return;
+        }
+
+        hand.setOutcome(outcome);
+        if (outcome === CONFIG.GAME.HAND_OUTCOMES.THROWN_IN) {
+            const policies = CONFIG.GAME.ALL_PASS_POLICIES;
+            hand.setAllPass(this.allPassPolicy === policies.REDEAL ? policies.REDEAL : policies.THROW_IN);
+        }
+        this.renumberHands(this.getFirstDealerIndex());
     }
 
     /**
@@ -52,12 +307,224 @@ class Game {
 
     /**
      * Add a completed hand to the game
+     * A redeal keeps the deal with the same dealer.
      * @param {GameHand} hand - Completed hand
      */
     addHand(hand) {
         this.hands.push(hand);
+        this.pendingHand = null;
+        this.recalculateScores();
+        if (hand.allPass !== CONFIG.GAME.ALL_PASS_POLICIES.REDEAL) {
+            this.advanceDealer();
+        }
+    }
+
+    /**
+     * Insert a hand that was missed at a position in the sequence
+     * Hands after it are renumbered and dealt by the next player along.
+     * @param {number} index - Position to insert at (0 inserts before the first hand)
+     * @param {GameHand} hand - Hand to insert
+     * @param {string} [reason] - Why the hand was inserted
+     */
+    insertHand(index, hand, reason = '') {
+        const position = Math.max(0, Math.min(index, this.hands.length));
+        const firstDealerIndex = this.getFirstDealerIndex();
+
+        this.hands.splice(position, 0, hand);
+        this.renumberHands(firstDealerIndex);
+        this.recalculateScores();
+        this.recordHandChange('insert', hand.handNumber, reason);
+    }
+
+    /**
+     * Delete a hand from the sequence (e.g. one that was entered twice)
+     * @param {number} index - Position of the hand to delete
+     * @param {string} [reason] - Why the hand was deleted
+     * @returns {GameHand|null} Deleted hand or null if there is no hand at the index
+     */
+    deleteHand(index, reason = '') {
+        const hand = this.hands[index];
+        if (!hand) {
+            return null;
+        }
+
+        const firstDealerIndex = this.getFirstDealerIndex();
+        this.hands.splice(index, 1);
+        this.renumberHands(firstDealerIndex);
+        this.recalculateScores();
+        this.recordHandChange('delete', index + 1, reason);
+        return hand;
+    }
+
+    /**
+     * Move a hand to another position in the sequence
+     * @param {number} fromIndex - Current position of the hand
+     * @param {number} toIndex - New position of the hand
+     * @param {string} [reason] - Why the hand was moved
+     * @returns {boolean} True if the hand was moved
+     */
+    moveHand(fromIndex, toIndex, reason = '') {
+        if (!this.hands[fromIndex] || !this.hands[toIndex] || fromIndex === toIndex) {
+            return false;
+        }
+
+        const firstDealerIndex = this.getFirstDealerIndex();
+        const [hand] = this.hands.splice(fromIndex, 1);
+        this.hands.splice(toIndex, 0, hand);
+        this.renumberHands(firstDealerIndex);
         this.recalculateScores();
-        this.advanceDealer();
+        this.recordHandChange('move', fromIndex + 1, reason, { toHandNumber: toIndex + 1 });
+        return true;
+    }
+
+    /**
+     * Get the seat of the player who dealt the first hand
+     * @returns {number} Index in players (the current dealer before any hand is played)
+     */
+    getFirstDealerIndex() {
+        if (this.hands.length === 0) {
+            return this.dealerIndex;
+        }
+
+        const index = this.players.findIndex(p => p.id === this.hands[0].dealerId);
+        return index === -1 ? 0 : index;
+    }
+
+    /**
+     * Number hands in order and pass the deal round the table from the first dealer
+     * A redeal keeps the deal with the same dealer. The dealer of the next
+     * hand is updated to follow on from the last hand.
+     * @param {number} firstDealerIndex - Seat of the player who dealt the first hand
+     */
+    renumberHands(firstDealerIndex) {
+        let dealerIndex = firstDealerIndex;
+
+        this.hands.forEach((hand, idx) => {
+            const dealer = this.players[dealerIndex];
+            hand.handNumber = idx + 1;
+            hand.dealerId = dealer.id;
+            hand.dealerName = dealer.name;
+
+            if (hand.allPass !== CONFIG.GAME.ALL_PASS_POLICIES.REDEAL) {
+                dealerIndex = (dealerIndex + 1) % this.players.length;
+            }
+        });
+
+        this.dealerIndex = dealerIndex;
+    }
+
+    /**
+     * Log an inserted, deleted or moved hand in the game's revision history
+     * @param {string} action - 'insert', 'delete' or 'move'
+     * @param {number} handNumber - Number of the hand when it was changed
+     * @param {string} [reason] - Why the hand was changed
+     * @param {Object} [details] - Extra values for the action (e.g. { toHandNumber })
+     * @returns {Object} Revision ({ handNumber, timestamp, reason, action, changes })
+     */
+    recordHandChange(action, handNumber, reason = '', details = {}) {
+        const revision = {
+            handNumber,
+            timestamp: new Date().toISOString(),
+            reason: reason.trim(),
+            action,
+            ...details,
+            changes: []
+        };
+        this.revisions.push(revision);
+        return revision;
+    }
+
+    /**
+     * Log an edit to a hand in the game's revision history
+     * Only values that actually changed are recorded.
+     * @param {GameHand} hand - Hand after the edit
+     * @param {Object} before - Values from hand.getEditableValues() before the edit
+     * @param {string} [reason] - Why the hand was changed
+     * @returns {Object|null} Revision ({ handNumber, timestamp, reason, changes }) or null if nothing changed
+     */
+    recordHandEdit(hand, before, reason = '') {
+        const after = hand.getEditableValues();
+        const changes = [];
+
+        ['outcome', 'bidderId', 'winningBid', 'lastTrickWinnerId'].forEach(field => {
+            if (before[field] !== after[field]) {
+                changes.push({ field, playerId: null, from: before[field] ?? null, to: after[field] ?? null });
+            }
+        });
+
+        ['playerMeld', 'playerNinesOnly', 'playerScores', 'playerCounters'].forEach(field => {
+            this.players.forEach(player => {
+                const from = before[field][player.id];
+                const to = after[field][player.id];
+                // An unrecorded 9's decision is the same as not claiming it
+                const changed = field === 'playerNinesOnly' ? !!from !== !!to : from !== to;
+                if (changed) {
+                    changes.push({ field, playerId: player.id, from: from ?? null, to: to ?? null });
+                }
+            });
+        });
+
+        if (changes.length === 0) {
+            return null;
+        }
+
+        const revision = {
+            handNumber: hand.handNumber,
+            timestamp: new Date().toISOString(),
+            reason: reason.trim(),
+            changes
+        };
+        this.revisions.push(revision);
+        return revision;
+    }
+
+    /**
+     * Get the logged edits, newest first
+     * @param {number} [handNumber] - Only edits to this hand
+     * @returns {Array} Revisions
+     */
+    getRevisions(handNumber = null) {
+        return this.revisions
+            .filter(revision => handNumber === null || revision.handNumber === handNumber)
+            .reverse();
+    }
+
+    /**
+     * Describe one logged change for the revision history
+     * Player IDs are shown as names and outcomes by their labels.
+     * @param {Object} change - Change from a revision ({ field, playerId, from, to })
+     * @returns {string} Description such as 'Alice meld: 40 → 60'
+     */
+    describeRevisionChange(change) {
+        const nameOf = (playerId) => this.players.find(p => p.id === playerId)?.name || 'Player';
+        const fieldLabels = {
+            outcome: 'Outcome',
+            bidderId: 'Bidder',
+            winningBid: 'Winning bid',
+            lastTrickWinnerId: 'Last trick',
+            playerMeld: 'meld',
+            playerNinesOnly: '9\'s only',
+            playerScores: 'points',
+            playerCounters: 'counters'
+        };
+        const formatValue = (value) => {
+            if (change.field === 'playerNinesOnly') {
+                // An unrecorded 9's decision is the same as not claiming it
+                return value ? 'yes' : 'no';
+            }
+            if (value === null || value === undefined) {
+                return '-';
+            }
+            if (change.field === 'outcome') {
+                return CONFIG.GAME.HAND_OUTCOME_LABELS[value] || value;
+            }
+            return change.field === 'bidderId' || change.field === 'lastTrickWinnerId' ? nameOf(value) : value;
+        };
+
+        const label = change.playerId
+            ? `${nameOf(change.playerId)} ${fieldLabels[change.field]}`
+            : fieldLabels[change.field];
+        return `${label}: ${formatValue(change.from)} → ${formatValue(change.to)}`;
     }
 
     /**
@@ -66,36 +533,28 @@ class Game {
     recalculateScores() {
         // Reset scores
         this.scores.forEach(s => s.score = 0);
+        this.kitty = 0;
 
         // Recalculate from all hands
         this.hands.forEach(hand => {
-            if (hand.thrownIn) {
-                return; // Skip thrown in hands
+            if (hand.thrownIn || hand.pendingEntry) {
+                return; // Skip thrown in hands and inserted hands not yet entered
             }
 
-            if (hand.isBidderSet()) {
-                // Bidder goes set: subtract winning bid, others score normally
-                const bidderScore = this.scores.find(s => s.playerId === hand.bidderId);
-                bidderScore.score -= hand.winningBid;
-
-                // Other players score meld + hand score
-                this.players.forEach(player => {
-                    if (player.id !== hand.bidderId) {
-                        const playerScore = this.scores.find(s => s.playerId === player.id);
-                        const meld = hand.playerMeld[player.id] || 0;
-                        const score = hand.playerScores[player.id] || 0;
-                        playerScore.score += meld + score;
-                    }
-                });
-            } else {
-                // Normal scoring for all players
-                this.players.forEach(player => {
-                    const playerScore = this.scores.find(s => s.playerId === player.id);
-                    const meld = hand.playerMeld[player.id] || 0;
-                    const score = hand.playerScores[player.id] || 0;
-                    playerScore.score += meld + score;
+            // Chip games keep chip balances in place of points
+            if (this.isChipGame()) {
+                const chips = this.getHandChips(hand);
+                this.scores.forEach(s => {
+                    s.score += chips[s.playerId] || 0;
                 });
+                this.kitty += chips.kitty || 0;
+                return;
             }
+
+            const handPoints = this.scoreHand(hand);
+            this.scores.forEach(s => {
+                s.score += handPoints[s.playerId] || 0;
+            });
         });
     }
 
@@ -104,59 +563,190 @@ class Game {
      * @returns {Object|null} Winner object or null if no winner
      */
     checkForWinner() {
-        // For 4-player team games, check team scores
-        if (this.gameType === 4 && this.teamAssignments) {
-            const teamScores = this.getTeamScores();
-            
-            if (teamScores.teamA >= this.targetScore || teamScores.teamB >= this.targetScore) {
-                const winningTeam = teamScores.teamA >= teamScores.teamB ? 'teamA' : 'teamB';
-                const winningScore = teamScores[winningTeam];
-                
+        return this.resolveGameEnd().winner;
+    }
+
+    /**
+     * Work out whether the game is over and who won, following the house rules
+     * Chip games never end on their own.
+     * When several sides cross the target on the same hand, "bidder out first"
+     * lets the bidding side win if it made its bid. Otherwise the highest score
+     * wins; a tie at the top goes to the side seated first, or is played on.
+     * Under moon-wins rules a made moon on the last hand ends the game outright.
+     * @returns {Object} Result with winner (or null), reason and playOn flag
+     */
+    resolveGameEnd() {
+        // Chip games have no target; they end when the table stops playing
+        if (this.isChipGame()) {
+            return { winner: null, reason: null, playOn: false };
+        }
+
+        const lastHand = this.getLastPlayedHand();
+        if (lastHand?.moon === 'made' && this.rules.isMoonGameWin()) {
+            const moonSideId = this.getPlayerTeam(lastHand.bidderId) || lastHand.bidderId;
+            const moonSide = this.getScoringSides().find(side => side.id === moonSideId);
+            if (moonSide) {
                 return {
-                    type: 'team',
-                    team: winningTeam,
-                    score: winningScore,
-                    teamName: winningTeam === 'teamA' ? 'Team A' : 'Team B',
-                    players: this.teamAssignments[winningTeam]
+                    winner: moonSide.winner,
+                    reason: `${moonSide.name} shot the moon`,
+                    playOn: false
                 };
             }
-            
-            return null;
         }
-        
-        // For individual games (2 or 3 players)
-        const winningPlayers = this.scores.filter(s => s.score >= this.targetScore);
-        
-        if (winningPlayers.length > 0) {
-            // Find the player with the highest score among those who reached target
-            return winningPlayers.reduce((prev, current) => 
-                (prev.score > current.score) ? prev : current
-            );
+
+        const contenders = this.getScoringSides().filter(side => side.score >= this.targetScore);
+
+        if (contenders.length === 0) {
+            return { winner: null, reason: null, playOn: false };
         }
-        
-        return null;
+
+        if (contenders.length === 1) {
+            const [side] = contenders;
+            return {
+                winner: side.winner,
+                reason: `${side.name} reached ${this.targetScore}`,
+                playOn: false
+            };
+        }
+
+        if (this.rules.gameEnd === CONFIG.GAME.GAME_END_RULES.BIDDER_OUT) {
+            const biddingSideId = this.getLastBiddingSideId();
+            const biddingSide = contenders.find(side => side.id === biddingSideId);
+            if (biddingSide) {
+                return {
+                    winner: biddingSide.winner,
+                    reason: `${biddingSide.name} made the bid on the last hand and counts out first`,
+                    playOn: false
+                };
+            }
+        }
+
+        const topScore = Math.max(...contenders.map(side => side.score));
+        const leaders = contenders.filter(side => side.score === topScore);
+
+        if (leaders.length > 1 && this.rules.playOnTie) {
+            return {
+                winner: null,
+                reason: `${leaders.map(side => side.name).join(' and ')} are tied at ${topScore}, so play another hand`,
+                playOn: true
+            };
+        }
+
+        const [leader] = leaders;
+        return {
+            winner: leader.winner,
+            reason: leaders.length > 1
+                ? `${leader.name} won the tie at ${topScore} by sitting first`
+                : `${leader.name} has the highest score over ${this.targetScore}`,
+            playOn: false
+        };
     }
 
     /**
-     * Get team scores for 4-player games
-     * @returns {Object} Team scores object with teamA and teamB totals
+     * Work out who wins when the table ends the game early
+     * The house rules decide if the game is already over. Otherwise the
+     * highest score wins, with a tie at the top going to the side seated
+     * first, or played on under play-on-tie rules.
+     * @returns {Object} Result with winner (or null), reason and playOn flag
+     */
+    resolveManualEnd() {
+        const result = this.resolveGameEnd();
+        if (result.winner || result.playOn) {
+            return result;
+        }
+
+        const sides = this.getScoringSides();
+        const topScore = Math.max(...sides.map(side => side.score));
+        const leaders = sides.filter(side => side.score === topScore);
+
+        if (leaders.length > 1 && this.rules.playOnTie) {
+            return {
+                winner: null,
+                reason: `${leaders.map(side => side.name).join(' and ')} are tied at ${topScore}, so play another hand`,
+                playOn: true
+            };
+        }
+
+        const [leader] = leaders;
+        return {
+            winner: leader.winner,
+            reason: leaders.length > 1
+                ? `${leader.name} won the tie at ${topScore} by sitting first`
+                : `${leader.name} has the highest score`,
+            playOn: false
+        };
+    }
+
+    /**
+     * Get the sides that score together: teams in team games, otherwise players
+     * @returns {Array<Object>} Sides in seating order with id, name, score and winner object
+     */
+    getScoringSides() {
+        if (this.isTeamGame()) {
+            const teamScores = this.getTeamScores();
+            return this.getTeamIds().map(team => ({
+                id: team,
+                name: this.getTeamName(team),
+                score: teamScores[team],
+                winner: {
+                    type: 'team',
+                    team,
+                    score: teamScores[team],
+                    teamName: this.getTeamName(team),
+                    players: this.teamAssignments[team]
+                }
+            }));
+        }
+
+        return this.scores.map(s => ({
+            id: s.playerId,
+            name: s.name,
+            score: s.score,
+            winner: s
+        }));
+    }
+
+    /**
+     * Get the most recent hand that was bid and played
+     * @returns {GameHand|null} Last played hand or null before any were played
+     */
+    getLastPlayedHand() {
+        return [...this.hands].reverse().find(hand => !hand.thrownIn && !hand.pendingEntry && hand.bidderId) || null;
+    }
+
+    /**
+     * Get the side that won the bid on the last played hand, if it made the bid
+     * @returns {string|null} Team key or player ID, or null if the bidder went set
+     */
+    getLastBiddingSideId() {
+        const lastHand = this.getLastPlayedHand();
+        if (!lastHand || this.isBidderSet(lastHand)) {
+            return null;
+        }
+
+        return this.getPlayerTeam(lastHand.bidderId) || lastHand.bidderId;
+    }
+
+    /**
+     * Get team scores for team games
+     * Player scores already reflect team make/set results, so a team's score
+     * is the sum of its players' scores.
+     * @returns {Object} Team scores keyed by team (e.g. { teamA, teamB, teamC })
      */
     getTeamScores() {
-        if (this.gameType !== 4 || !this.teamAssignments) {
+        if (!this.isTeamGame()) {
             return { teamA: 0, teamB: 0 };
         }
 
-        const teamAScore = this.teamAssignments.teamA.reduce((total, player) => {
-            const playerScore = this.scores.find(s => s.playerId === player.id);
-            return total + (playerScore ? playerScore.score : 0);
-        }, 0);
-
-        const teamBScore = this.teamAssignments.teamB.reduce((total, player) => {
-            const playerScore = this.scores.find(s => s.playerId === player.id);
-            return total + (playerScore ? playerScore.score : 0);
-        }, 0);
+        const teamScores = {};
+        this.getTeamIds().forEach(team => {
+            teamScores[team] = this.teamAssignments[team].reduce((total, player) => {
+                const playerScore = this.scores.find(s => s.playerId === player.id);
+                return total + (playerScore ? playerScore.score : 0);
+            }, 0);
+        });
 
-        return { teamA: teamAScore, teamB: teamBScore };
+        return teamScores;
     }
 
     /**
@@ -170,6 +760,47 @@ class Game {
         this.winnerName = winnerName;
     }
 
+    /**
+     * Check whether a player won the game
+     * In team games every member of the winning team won.
+     * @param {string} playerId - Player ID
+     * @returns {boolean} True if the player (or their team) won
+     */
+    isWinner(playerId) {
+        if (!this.winnerId) {
+            return false;
+        }
+
+        const team = this.getPlayerTeam(playerId);
+        return this.winnerId === playerId || (team !== null && this.winnerId === `team_${team}`);
+    }
+
+    /**
+     * Start a new game at the same table with the same settings
+     * The deal passes to the player left of this game's first dealer.
+     * @param {Array} [players] - Player objects for the new game, in the same seats
+     * @returns {Game} New game with no hands played
+     */
+    createRematch(players = this.players) {
+        const seated = this.players.map(p => players.find(player => player.id === p.id) || p);
+        const game = new Game(seated, this.gameType, Ruleset.fromData(this.rules.toData()), this.variant);
+        game.targetScore = this.targetScore;
+        game.pointsEntry = this.pointsEntry;
+        game.lastTrickBonus = this.lastTrickBonus;
+        game.allPassPolicy = this.allPassPolicy;
+        game.dealerIndex = (this.getFirstDealerIndex() + 1) % seated.length;
+
+        if (this.teamAssignments) {
+            game.teamAssignments = {};
+            this.getTeamIds().forEach(team => {
+                game.teamAssignments[team] = this.teamAssignments[team]
+                    .map(member => seated.find(p => p.id === member.id) || member);
+            });
+        }
+
+        return game;
+    }
+
     /**
      * Check if the game is completed
      * @returns {boolean} True if game is completed
@@ -196,16 +827,18 @@ class Game {
         const winner = this.checkForWinner();
         const currentHand = this.getNextHandNumber();
         
-        // For 4-player team games, include team information
-        if (this.gameType === 4 && this.teamAssignments) {
+        // For team games, include team information
+        if (this.isTeamGame()) {
             const teamScores = this.getTeamScores();
-            const leadingTeam = teamScores.teamA >= teamScores.teamB ? 'teamA' : 'teamB';
+            const leadingTeam = this.getTeamIds().reduce((best, team) =>
+                teamScores[team] > teamScores[best] ? team : best
+            );
             
             return {
                 currentHand,
                 gameType: this.gameType,
                 teamScores,
-                leader: leadingTeam === 'teamA' ? 'Team A' : 'Team B',
+                leader: this.getTeamName(leadingTeam),
                 leaderScore: teamScores[leadingTeam],
                 targetScore: this.targetScore,
                 hasWinner: winner !== null,
@@ -243,6 +876,7 @@ class Game {
     static fromData(data) {
         const game = new Game(data.players, data.gameType);
         game.id = data.id;
+        game.variant = data.variant || String(data.gameType);
         game.hands = data.hands.map(handData => GameHand.fromData(handData));
         game.scores = data.scores;
         game.startTime = data.startTime;
@@ -251,6 +885,15 @@ class Game {
         game.dealerIndex = data.dealerIndex;
         game.winnerId = data.winnerId;
         game.winnerName = data.winnerName;
+        game.teamAssignments = data.teamAssignments || null;
+        game.rules = Ruleset.fromData(data.rules);
+        game.pointsEntry = data.pointsEntry || CONFIG.GAME.POINTS_ENTRY_MODES.TRICKS;
+        game.lastTrickBonus = data.lastTrickBonus || false;
+        game.allPassPolicy = data.allPassPolicy || CONFIG.GAME.ALL_PASS_POLICIES.THROW_IN;
+        game.kitty = data.kitty || 0;
+        game.revisions = data.revisions || [];
+        game.pendingHand = data.pendingHand || null;
+        game.matchId = data.matchId || null;
         return game;
     }
 
@@ -262,6 +905,7 @@ class Game {
         return {
             id: this.id,
             gameType: this.gameType,
+            variant: this.variant,
             players: this.players,
             hands: this.hands.map(hand => hand.toData()),
             scores: this.scores,
@@ -270,7 +914,16 @@ class Game {
             targetScore: this.targetScore,
             dealerIndex: this.dealerIndex,
             winnerId: this.winnerId,
-            winnerName: this.winnerName
+            winnerName: this.winnerName,
+            teamAssignments: this.teamAssignments,
+            rules: this.rules.toData(),
+            pointsEntry: this.pointsEntry,
+            lastTrickBonus: this.lastTrickBonus,
+            allPassPolicy: this.allPassPolicy,
+            kitty: this.kitty,
+            revisions: this.revisions,
+            pendingHand: this.pendingHand,
+            matchId: this.matchId
         };
     }
 }
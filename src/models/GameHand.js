@@ -1,3 +1,6 @@
+import Auction from './Auction.js';
+import { CONFIG } from '../utils/config.js';
+
 /**
  * Game hand model representing a single hand in a pinochle game
  */
@@ -14,11 +17,26 @@ class GameHand {
         this.bidderId = null;
         this.bidderName = null;
         this.playerMeld = {};
+        this.declaredMeld = {};
+        this.playerNinesOnly = {};
         this.playerScores = {};
+        this.playerCounters = {};
+        this.lastTrickWinnerId = null;
+        // Counter entry can't tell a trick of non-counters from no trick at all
+        this.playerTookTrick = {};
+        this.playerMeldDetails = {};
+        this.auction = null;
+        this.trumpSuit = null;
+        this.moon = null;
+        this.allPass = null;
+        this.widow = [];
+        this.conceded = false;
         this.timestamp = new Date().toISOString();
         this.dealerId = dealerId;
         this.dealerName = dealerName;
         this.thrownIn = false;
+        // Inserted hands score nothing until their values are entered
+        this.pendingEntry = false;
     }
 
     /**
@@ -42,6 +60,30 @@ class GameHand {
         this.playerMeld[playerId] = meld;
     }
 
+    /**
+     * Record the meld a player laid down before the meld-save rules are applied
+     * The scored meld starts at the declared value and is cleared by the
+     * game if the player's side fails to save it.
+     * @param {string} playerId - Player ID
+     * @param {number} meld - Meld points declared
+     * @param {boolean} [ninesOnly] - Whether the meld was only 9's of trump
+     */
+    declareMeld(playerId, meld, ninesOnly = false) {
+        this.declaredMeld[playerId] = meld;
+        this.playerNinesOnly[playerId] = ninesOnly;
+        this.playerMeld[playerId] = meld;
+    }
+
+    /**
+     * Get the meld a player declared
+     * Hands recorded before declared meld was kept fall back to the scored meld.
+     * @param {string} playerId - Player ID
+     * @returns {number} Declared meld points
+     */
+    getDeclaredMeld(playerId) {
+        return this.declaredMeld[playerId] ?? this.playerMeld[playerId] ?? 0;
+    }
+
     /**
      * Set score for a player
      * @param {string} playerId - Player ID
@@ -51,6 +93,90 @@ class GameHand {
         this.playerScores[playerId] = score;
     }
 
+    /**
+     * Set the suit named trump for this hand
+     * @param {string|null} suit - Suit ID from SUITS
+     */
+    setTrumpSuit(suit) {
+        this.trumpSuit = suit;
+    }
+
+    /**
+     * Record a shoot-the-moon attempt by the bidder
+     * @param {string|null} result - 'made', 'failed' or null for a normal hand
+     */
+    setMoon(result) {
+        this.moon = result;
+    }
+
+    /**
+     * Record how the hand was handled after everyone passed
+     * @param {string|null} policy - ALL_PASS_POLICIES value, or null if someone bid
+     */
+    setAllPass(policy) {
+        this.allPass = policy;
+    }
+
+    /**
+     * Record the widow cards the bidder picked up (auction pinochle)
+     * @param {Array<string>} cards - Card labels (e.g. ['A♠', '10♥', 'K♦'])
+     */
+    setWidow(cards) {
+        this.widow = cards;
+    }
+
+    /**
+     * Record that the bidder conceded before playing the hand
+     */
+    concede() {
+        this.conceded = true;
+    }
+
+    /**
+     * Attach the recorded bidding round
+     * @param {Auction|null} auction - Auction for this hand
+     */
+    setAuction(auction) {
+        this.auction = auction;
+    }
+
+    /**
+     * Set the meld combinations a player built with the meld builder
+     * @param {string} playerId - Player ID
+     * @param {Object} details - Meld details
+     * @param {string} details.trumpSuit - Trump suit the meld was built for
+     * @param {Array} details.combinations - Selections as { id, count }
+     */
+    setPlayerMeldDetails(playerId, details) {
+        this.playerMeldDetails[playerId] = details;
+    }
+
+    /**
+     * Set raw counter points for a player (counter entry mode)
+     * @param {string} playerId - Player ID
+     * @param {number} counters - Counter points taken, without the last trick bonus
+     */
+    setPlayerCounters(playerId, counters) {
+        this.playerCounters[playerId] = counters;
+    }
+
+    /**
+     * Record whether a player took a trick, for counter entry
+     * @param {string} playerId - Player ID
+     * @param {boolean} tookTrick - Whether the player took at least one trick
+     */
+    setPlayerTookTrick(playerId, tookTrick) {
+        this.playerTookTrick[playerId] = tookTrick;
+    }
+
+    /**
+     * Set the player who took the last trick
+     * @param {string|null} playerId - Player ID
+     */
+    setLastTrickWinner(playerId) {
+        this.lastTrickWinnerId = playerId;
+    }
+
     /**
      * Mark this hand as thrown in (no bids)
      */
@@ -60,22 +186,108 @@ class GameHand {
         this.bidderId = null;
         this.bidderName = null;
         this.playerMeld = {};
+        this.declaredMeld = {};
+        this.playerNinesOnly = {};
         this.playerScores = {};
+        this.playerCounters = {};
+        this.lastTrickWinnerId = null;
+        this.playerTookTrick = {};
+        this.playerMeldDetails = {};
+        this.trumpSuit = null;
+        this.moon = null;
+        this.widow = [];
+        this.conceded = false;
+    }
+
+    /**
+     * Get how the hand was played out
+     * @returns {string} HAND_OUTCOMES value
+     */
+    getOutcome() {
+        const outcomes = CONFIG.GAME.HAND_OUTCOMES;
+
+        if (this.thrownIn) {
+            return outcomes.THROWN_IN;
+        }
+        if (this.conceded) {
+            return outcomes.CONCEDED;
+        }
+        if (this.moon) {
+            return this.moon === 'made' ? outcomes.MOON_MADE : outcomes.MOON_FAILED;
+        }
+        return outcomes.NORMAL;
+    }
+
+    /**
+     * Change how the hand was played out
+     * Throwing a hand in clears everything recorded for it; a thrown-in hand
+     * that is played after all needs its bid and scores entered again.
+     * @param {string} outcome - HAND_OUTCOMES value
+     */
+    setOutcome(outcome) {
+        const outcomes = CONFIG.GAME.HAND_OUTCOMES;
+
+        if (outcome === outcomes.THROWN_IN) {
+            this.throwIn();
+            return;
+        }
+
+        if (this.thrownIn) {
+            this.thrownIn = false;
+            this.allPass = null;
+        }
+        this.conceded = outcome === outcomes.CONCEDED;
+        if (outcome === outcomes.MOON_MADE) {
+            this.moon = 'made';
+        } else if (outcome === outcomes.MOON_FAILED) {
+            this.moon = 'failed';
+        } else {
+            this.moon = null;
+        }
     }
 
     /**
      * Check if the bidder goes set (doesn't make their bid)
+     * In partnership games the partners' meld and tricks count toward the bid.
+     * A moon attempt is made or set by its result alone, and a conceded
+     * hand is always set.
+     * @param {Array<string>} [partnerIds] - IDs of the bidder's partners
      * @returns {boolean} True if bidder goes set
      */
-    isBidderSet() {
-        if (!this.bidderId || !this.winningBid) {
+    isBidderSet(partnerIds = []) {
+        if (this.pendingEntry || !this.bidderId || !this.winningBid) {
             return false;
         }
+
+        if (this.conceded) {
+            return true;
+        }
+
+        if (this.moon) {
+            return this.moon === 'failed';
+        }
         
-        const bidderMeld = this.playerMeld[this.bidderId] || 0;
-        const bidderScore = this.playerScores[this.bidderId] || 0;
+        const biddingSide = [this.bidderId, ...partnerIds];
+        const sideTotal = biddingSide.reduce((total, playerId) => total + this.getPlayerHandTotal(playerId), 0);
         
-        return (bidderMeld + bidderScore) < this.winningBid;
+        return sideTotal < this.winningBid;
+    }
+
+    /**
+     * Get the values that can be changed by editing the hand
+     * @returns {Object} Copy of the outcome, bidder, winning bid, last trick, meld, 9's decisions, scores and counters
+     */
+    getEditableValues() {
+        return {
+            outcome: this.getOutcome(),
+            bidderId: this.bidderId,
+            winningBid: this.winningBid,
+            lastTrickWinnerId: this.lastTrickWinnerId,
+            playerMeld: { ...this.playerMeld },
+            playerNinesOnly: { ...this.playerNinesOnly },
+            playerScores: { ...this.playerScores },
+            playerCounters: { ...this.playerCounters }
+        };
     }
 
     /**
@@ -92,24 +304,26 @@ class GameHand {
     /**
      * Validate hand data
      * @param {Array} players - Array of players in the game
+     * @param {Object} [deck] - Deck limits (defaults to a single deck)
      * @returns {Object} Validation result with success boolean and errors array
      */
-    validate(players) {
+    validate(players, deck = {}) {
+        const { maxTricks = 25, pointsPerTrick = 10, meldStep = 10 } = deck;
         const errors = [];
 
-        // Check meld divisible by 10
+        // Check meld is a multiple of the deck's meld step
         for (const playerId in this.playerMeld) {
             const meld = this.playerMeld[playerId];
-            if (meld % 10 !== 0) {
+            if (meld % meldStep !== 0) {
                 const player = players.find(p => p.id === playerId);
-                errors.push(`${player?.name || 'Player'}'s meld must be divisible by 10`);
+                errors.push(`${player?.name || 'Player'}'s meld must be divisible by ${meldStep}`);
             }
         }
 
-        // Check total tricks <= 25
-        const totalTricks = Object.values(this.playerScores).reduce((sum, score) => sum + (score / 10), 0);
-        if (totalTricks > 25) {
-            errors.push('Total tricks cannot exceed 25');
+        // Check total tricks fit in the deck
+        const totalTricks = Object.values(this.playerScores).reduce((sum, score) => sum + (score / pointsPerTrick), 0);
+        if (totalTricks > maxTricks) {
+            errors.push(`Total tricks cannot exceed ${maxTricks}`);
         }
 
         return {
@@ -129,9 +343,22 @@ class GameHand {
         hand.bidderId = data.bidderId;
         hand.bidderName = data.bidderName;
         hand.playerMeld = data.playerMeld || {};
+        hand.declaredMeld = data.declaredMeld || {};
+        hand.playerNinesOnly = data.playerNinesOnly || {};
         hand.playerScores = data.playerScores || {};
+        hand.playerCounters = data.playerCounters || {};
+        hand.lastTrickWinnerId = data.lastTrickWinnerId || null;
+        hand.playerTookTrick = data.playerTookTrick || {};
+        hand.playerMeldDetails = data.playerMeldDetails || {};
+        hand.auction = data.auction ? Auction.fromData(data.auction) : null;
+        hand.trumpSuit = data.trumpSuit || null;
+        hand.moon = data.moon || null;
+        hand.allPass = data.allPass || null;
+        hand.widow = data.widow || [];
+        hand.conceded = data.conceded || false;
         hand.timestamp = data.timestamp;
         hand.thrownIn = data.thrownIn || false;
+        hand.pendingEntry = data.pendingEntry || false;
         return hand;
     }
 
@@ -146,11 +373,24 @@ class GameHand {
             bidderId: this.bidderId,
             bidderName: this.bidderName,
             playerMeld: this.playerMeld,
+            declaredMeld: this.declaredMeld,
+            playerNinesOnly: this.playerNinesOnly,
             playerScores: this.playerScores,
+            playerCounters: this.playerCounters,
+            lastTrickWinnerId: this.lastTrickWinnerId,
+            playerTookTrick: this.playerTookTrick,
+            playerMeldDetails: this.playerMeldDetails,
+            auction: this.auction ? this.auction.toData() : null,
+            trumpSuit: this.trumpSuit,
+            moon: this.moon,
+            allPass: this.allPass,
+            widow: this.widow,
+            conceded: this.conceded,
             timestamp: this.timestamp,
             dealerId: this.dealerId,
             dealerName: this.dealerName,
-            thrownIn: this.thrownIn
+            thrownIn: this.thrownIn,
+            pendingEntry: this.pendingEntry
         };
     }
 }
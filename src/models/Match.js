@@ -0,0 +1,163 @@
+/**
+ * Match model grouping consecutive games played by the same table
+ * A best-of-N match is decided as soon as one side has won more than
+ * half of the games (best of 3 is first to two wins).
+ */
+class Match {
+    /**
+     * Create a new match
+     * @param {Array} sides - Players or teams competing ({ id, name }); team IDs use the game's 'team_<teamId>' winner IDs
+     * @param {number} [bestOf] - Most games the match can take
+     */
+    constructor(sides, bestOf = 3) {
+        this.id = `match-${Date.now()}`;
+        this.sides = sides;
+        this.bestOf = bestOf;
+        this.gameIds = [];
+        this.results = [];
+        this.startTime = new Date().toISOString();
+        this.endTime = null;
+        this.winnerId = null;
+        this.winnerName = null;
+    }
+
+    /**
+     * Games a side must win to take the match
+     * @returns {number} Wins needed
+     */
+    getWinsNeeded() {
+        return Math.floor(this.bestOf / 2) + 1;
+    }
+
+    /**
+     * Count the games a side has won
+     * @param {string} sideId - Player ID or 'team_<teamId>'
+     * @returns {number} Games won
+     */
+    getWins(sideId) {
+        return this.results.filter(result => result.winnerId === sideId).length;
+    }
+
+    /**
+     * Get every side with its wins, most wins first
+     * @returns {Array} Standings ({ id, name, wins })
+     */
+    getStandings() {
+        return this.sides
+            .map(side => ({ id: side.id, name: side.name, wins: this.getWins(side.id) }))
+            .sort((a, b) => b.wins - a.wins);
+    }
+
+    /**
+     * Add a game that was started as part of the match
+     * @param {string} gameId - ID of the game
+     */
+    addGame(gameId) {
+        if (!this.gameIds.includes(gameId)) {
+            this.gameIds.push(gameId);
+        }
+    }
+
+    /**
+     * Record the winner of a finished game and decide the match if it is won
+     * @param {string} gameId - ID of the finished game
+     * @param {string} winnerId - Winning player ID or 'team_<teamId>'
+     * @returns {boolean} True if the match is decided
+     */
+    recordResult(gameId, winnerId) {
+        if (this.isDecided() || this.results.some(result => result.gameId === gameId)) {
+            return this.isDecided();
+        }
+
+        this.addGame(gameId);
+        this.results.push({ gameId, winnerId });
+
+        if (this.getWins(winnerId) >= this.getWinsNeeded()) {
+            this.endTime = new Date().toISOString();
+            this.winnerId = winnerId;
+            this.winnerName = this.sides.find(side => side.id === winnerId)?.name || null;
+        }
+
+        return this.isDecided();
+    }
+
+    /**
+     * Check if a side has won the match
+     * @returns {boolean} True if the match is decided
+     */
+    isDecided() {
+        return this.winnerId !== null;
+    }
+
+    /**
+     * Get the number of the next game in the match
+     * @returns {number} Next game number
+     */
+    getNextGameNumber() {
+        return this.results.length + 1;
+    }
+
+    /**
+     * Describe a game's place in the match
+     * @param {string} gameId - ID of a game in the match
+     * @returns {string} Label such as 'Game 2, best of 3'
+     */
+    getGameLabel(gameId) {
+        const index = this.gameIds.indexOf(gameId);
+        const number = index === -1 ? this.getNextGameNumber() : index + 1;
+        return `Game ${number}, best of ${this.bestOf}`;
+    }
+
+    /**
+     * Create a match for the players or teams of a game
+     * @param {Game} game - First game of the match
+     * @param {number} [bestOf] - Most games the match can take
+     * @returns {Match} New match instance
+     */
+    static forGame(game, bestOf = 3) {
+        const sides = game.isTeamGame()
+            ? game.getTeamIds().map(team => ({ id: `team_${team}`, name: game.getTeamName(team) }))
+            : game.players.map(p => ({ id: p.id, name: p.name }));
+
+        const match = new Match(sides, bestOf);
+        match.addGame(game.id);
+        return match;
+    }
+
+    /**
+     * Create a match from stored data
+     * @param {Object} data - Stored match data
+     * @returns {Match} New match instance
+     */
+    static fromData(data) {
+        const match = new Match(data.sides, data.bestOf);
+        match.id = data.id;
+        match.gameIds = data.gameIds || [];
+        match.results = data.results || [];
+        match.startTime = data.startTime;
+        match.endTime = data.endTime || null;
+        match.winnerId = data.winnerId || null;
+        match.winnerName = data.winnerName || null;
+        return match;
+    }
+
+    /**
+     * Convert match to plain object for storage
+     * @returns {Object} Plain object representation
+     */
+    toData() {
+        return {
+            id: this.id,
+            sides: this.sides,
+            bestOf: this.bestOf,
+            gameIds: this.gameIds,
+            results: this.results,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            winnerId: this.winnerId,
+            winnerName: this.winnerName
+        };
+    }
+}
+
+export default Match;
@@ -1,3 +1,5 @@
+import { SUITS } from '../utils/config.js';
+
 /**
  * Player model representing a pinochle player
  */
@@ -20,6 +22,7 @@ class Player {
         this.totalBids = 0;
         this.successfulBids = 0;
         this.totalTricks = 0;
+        this.trumpStats = {};
     }
 
     /**
@@ -79,14 +82,15 @@ class Player {
      * Update player statistics after a hand
      * @param {number} meld - Meld points for this hand
      * @param {number} handScore - Hand score (meld + tricks)
-     * @param {number} tricks - Number of tricks taken (in points, divide by 10 for actual trick count)
+     * @param {number} tricks - Number of tricks taken (in points, divide by pointsPerTrick for actual trick count)
      * @param {number} [bid] - Winning bid (if this player was the bidder)
      * @param {boolean} [bidSuccessful] - Whether the bid was successful (if this player was the bidder)
+     * @param {number} [pointsPerTrick] - Points each trick is worth in this game's deck
      */
-    updateHandStats(meld, handScore, tricks = 0, bid = null, bidSuccessful = null) {
+    updateHandStats(meld, handScore, tricks = 0, bid = null, bidSuccessful = null, pointsPerTrick = 10) {
         this.totalMeld += meld;
         this.handsPlayed++;
-        this.totalTricks += (tricks / 10); // Convert from points to actual trick count
+        this.totalTricks += (tricks / pointsPerTrick); // Convert from points to actual trick count
         
         if (handScore > this.highestHand) {
             this.highestHand = handScore;
@@ -103,6 +107,38 @@ class Player {
         }
     }
 
+    /**
+     * Record a trump suit this player named as the bidder
+     * @param {string} suit - Suit ID from SUITS
+     * @param {boolean} made - Whether the bid was made
+     */
+    recordTrumpCall(suit, made) {
+        const stats = this.trumpStats[suit] || { called: 0, made: 0 };
+        stats.called++;
+        if (made) {
+            stats.made++;
+        }
+        this.trumpStats[suit] = stats;
+    }
+
+    /**
+     * Get how often the player calls each suit and their make rate in it
+     * @returns {Array} Per-suit stats ({ suit, name, symbol, called, made, makeRate })
+     */
+    getTrumpStats() {
+        return SUITS.map(suit => {
+            const stats = this.trumpStats[suit.id] || { called: 0, made: 0 };
+            return {
+                suit: suit.id,
+                name: suit.name,
+                symbol: suit.symbol,
+                called: stats.called,
+                made: stats.made,
+                makeRate: stats.called > 0 ? Math.round((stats.made / stats.called) * 100) : 0
+            };
+        });
+    }
+
     /**
      * Create a player from stored data
      * @param {Object} data - Stored player data
@@ -120,6 +156,7 @@ class Player {
         player.totalBids = data.totalBids || 0;
         player.successfulBids = data.successfulBids || 0;
         player.totalTricks = data.totalTricks || 0;
+        player.trumpStats = data.trumpStats || {};
         return player;
     }
 
@@ -140,7 +177,8 @@ class Player {
             handsPlayed: this.handsPlayed,
             totalBids: this.totalBids,
             successfulBids: this.successfulBids,
-            totalTricks: this.totalTricks
+            totalTricks: this.totalTricks,
+            trumpStats: this.trumpStats
         };
     }
 }
@@ -0,0 +1,253 @@
+import { CONFIG, getRuleset } from '../utils/config.js';
+import { Validation } from '../utils/helpers.js';
+
+/**
+ * Ruleset model holding the house rules a game is scored with
+ */
+class Ruleset {
+    /**
+     * Create a ruleset
+     * @param {Object} [options] - Rule values (missing values fall back to Ruleset.DEFAULTS)
+     */
+    constructor(options = {}) {
+        const rules = { ...Ruleset.DEFAULTS, ...options };
+        this.id = rules.id;
+        this.name = rules.name;
+        this.description = rules.description;
+        this.setPenaltyMultiplier = rules.setPenaltyMultiplier;
+        this.meldSave = rules.meldSave;
+        this.ninesSaveMeld = rules.ninesSaveMeld;
+        this.moonPoints = rules.moonPoints;
+        this.moonOutcome = rules.moonOutcome;
+        this.moonAnyBid = rules.moonAnyBid;
+        this.bidIncrement = rules.bidIncrement;
+        this.exactTrickTotal = rules.exactTrickTotal;
+        this.setPaysTable = rules.setPaysTable;
+        this.gameEnd = rules.gameEnd;
+        this.playOnTie = rules.playOnTie;
+    }
+
+    /**
+     * Points the bidder loses when going set
+     * @param {number} winningBid - Winning bid amount
+     * @returns {number} Penalty as a positive number
+     */
+    getSetPenalty(winningBid) {
+        return winningBid * this.setPenaltyMultiplier;
+    }
+
+    /**
+     * Points each opponent is paid when the bidder goes set
+     * Only cutthroat games that play "set pays the table" pay opponents.
+     * @param {GameHand} hand - Completed hand
+     * @param {Array<string>} [partnerIds] - IDs of the bidder's partners
+     * @returns {number} Payout per opponent (0 when nothing is paid)
+     */
+    getSetPayout(hand, partnerIds = []) {
+        if (!this.setPaysTable || !hand.winningBid || !hand.isBidderSet(partnerIds)) {
+            return 0;
+        }
+
+        return hand.winningBid;
+    }
+
+    /**
+     * Points a moon is worth to the bidder (and what a failed moon costs)
+     * @param {number} winningBid - Winning bid amount
+     * @returns {number} Moon value as a positive number
+     */
+    getMoonValue(winningBid) {
+        if (this.moonOutcome === CONFIG.GAME.MOON_OUTCOMES.DOUBLE_BID) {
+            return winningBid * 2;
+        }
+
+        return this.moonPoints;
+    }
+
+    /**
+     * Check whether the bidder may try for the moon
+     * @param {number} pointsRequired - Points the bidder still needs from tricks
+     * @param {number} maxPoints - Points available from tricks in a hand
+     * @returns {boolean} True if the moon can be attempted
+     */
+    canShootMoon(pointsRequired, maxPoints) {
+        return this.moonAnyBid || pointsRequired > maxPoints;
+    }
+
+    /**
+     * Check whether a made moon ends the game on the spot
+     * @returns {boolean} True if the moon is an automatic win
+     */
+    isMoonGameWin() {
+        return this.moonOutcome === CONFIG.GAME.MOON_OUTCOMES.WIN;
+    }
+
+    /**
+     * Check whether a non-bidder keeps their meld
+     * @param {Object} result - Hand result for the player
+     * @param {number} result.tricks - Tricks taken by the player
+     * @param {boolean} [result.ninesOnly] - Whether the meld was only 9's of trump
+     * @returns {boolean} True if the meld counts
+     */
+    isMeldSaved({ tricks, ninesOnly = false }) {
+        if (this.meldSave === 'always') {
+            return true;
+        }
+
+        if (ninesOnly && this.ninesSaveMeld) {
+            return true;
+        }
+
+        return tricks >= 1;
+    }
+
+    /**
+     * Check whether meld made only of 9's of trump is safe without a trick
+     * @returns {boolean} True if the 9's of trump exception is in play
+     */
+    allowsNinesSave() {
+        return this.meldSave !== 'always' && this.ninesSaveMeld;
+    }
+
+    /**
+     * Score a hand for every player
+     * When a partnership goes set the bidder carries the penalty and the
+     * partners score nothing, so the team total drops by the penalty once.
+     * When the set pays the table, every opponent is also paid the bid.
+     * A moon attempt scores the bidder the moon value, or costs it if failed.
+     * @param {GameHand} hand - Completed hand
+     * @param {Array} players - Players in the game
+     * @param {Array<string>} [partnerIds] - IDs of the bidder's partners
+     * @returns {Object} Points earned on this hand keyed by player ID
+     */
+    scoreHand(hand, players, partnerIds = []) {
+        const points = {};
+        const bidderSet = hand.isBidderSet(partnerIds);
+        const payout = this.getSetPayout(hand, partnerIds);
+
+        players.forEach(player => {
+            if (hand.moon && player.id === hand.bidderId) {
+                const moonValue = this.getMoonValue(hand.winningBid);
+                points[player.id] = bidderSet ? -moonValue : moonValue;
+            } else if (bidderSet && player.id === hand.bidderId) {
+                points[player.id] = -this.getSetPenalty(hand.winningBid);
+            } else if (bidderSet && partnerIds.includes(player.id)) {
+                points[player.id] = 0;
+            } else {
+                const meld = hand.playerMeld[player.id] || 0;
+                const score = hand.playerScores[player.id] || 0;
+                points[player.id] = meld + score + payout;
+            }
+        });
+
+        return points;
+    }
+
+    /**
+     * Validate a winning bid against these rules
+     * @param {number} bid - Bid amount
+     * @param {number} minBid - Minimum bid for the game type
+     * @param {number} [step] - Smallest bid unit for the deck
+     * @returns {Object} Validation result
+     */
+    validateBid(bid, minBid, step = 10) {
+        const validation = Validation.bid(bid, minBid, step);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        if ((bid - minBid) % this.bidIncrement !== 0) {
+            return { valid: false, error: `Bids must go up in steps of ${this.bidIncrement}` };
+        }
+
+        return validation;
+    }
+
+    /**
+     * Validate the total tricks recorded for a hand
+     * @param {number} totalTricks - Tricks recorded across all players
+     * @param {number} maxTricks - Tricks available in a hand
+     * @returns {Object} Validation result
+     */
+    validateTrickTotal(totalTricks, maxTricks) {
+        if (this.exactTrickTotal && totalTricks !== maxTricks) {
+            return { valid: false, error: `Total tricks (${totalTricks}) must equal ${maxTricks}` };
+        }
+
+        return { valid: true, value: totalTricks };
+    }
+
+    /**
+     * Create a ruleset from a preset in the configuration
+     * Presets are written in single-deck points; point values are scaled
+     * for decks that score counters one point each.
+     * @param {string} rulesetId - Preset ID
+     * @param {Object} [deck] - Deck configuration the game is played with
+     * @returns {Ruleset} New ruleset instance
+     */
+    static fromPreset(rulesetId, deck = null) {
+        const preset = getRuleset(rulesetId);
+        const scale = deck ? deck.pointsPerTrick / CONFIG.GAME.POINTS_PER_TRICK : 1;
+
+        return new Ruleset({
+            ...preset,
+            moonPoints: preset.moonPoints * scale,
+            bidIncrement: Math.max(1, preset.bidIncrement * scale)
+        });
+    }
+
+    /**
+     * Create a ruleset from stored data
+     * @param {Object} [data] - Stored ruleset data (games saved before rulesets existed have none)
+     * @returns {Ruleset} New ruleset instance
+     */
+    static fromData(data) {
+        return new Ruleset(data || {});
+    }
+
+    /**
+     * Convert ruleset to plain object for storage
+     * @returns {Object} Plain object representation
+     */
+    toData() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            setPenaltyMultiplier: this.setPenaltyMultiplier,
+            meldSave: this.meldSave,
+            ninesSaveMeld: this.ninesSaveMeld,
+            moonPoints: this.moonPoints,
+            moonOutcome: this.moonOutcome,
+            moonAnyBid: this.moonAnyBid,
+            bidIncrement: this.bidIncrement,
+            exactTrickTotal: this.exactTrickTotal,
+            setPaysTable: this.setPaysTable,
+            gameEnd: this.gameEnd,
+            playOnTie: this.playOnTie
+        };
+    }
+}
+
+/**
+ * The scoring the app used before rulesets existed. Games stored without a
+ * ruleset are scored with these values, so they must not change.
+ */
+Ruleset.DEFAULTS = Object.freeze({
+    id: 'standard',
+    name: 'Standard',
+    description: 'Set loses the bid, take a trick to save meld, moon scores 500',
+    setPenaltyMultiplier: 1,
+    meldSave: 'trick',
+    ninesSaveMeld: true,
+    moonPoints: 500,
+    moonOutcome: 'points',
+    moonAnyBid: false,
+    bidIncrement: 10,
+    exactTrickTotal: false,
+    setPaysTable: false,
+    gameEnd: 'highest',
+    playOnTie: false
+});
+
+export default Ruleset;
@@ -0,0 +1,175 @@
+import { CONFIG } from '../utils/config.js';
+
+const { SEASON_STATUSES } = CONFIG.GAME;
+
+/**
+ * Season model for league play
+ * An active season collects the games finished between its start and end
+ * dates; closing it freezes its standings and archiving hides it from the
+ * usual season lists. Dates are local calendar days ('YYYY-MM-DD').
+ */
+class Season {
+    /**
+     * Create a new season
+     * @param {string} name - Season name
+     * @param {string} startDate - First day of the season ('YYYY-MM-DD')
+     * @param {string|null} [endDate] - Last day of the season, or null if open-ended
+     */
+    constructor(name, startDate, endDate = null) {
+        this.id = `season-${Date.now()}`;
+        this.name = name;
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.status = SEASON_STATUSES.ACTIVE;
+        this.gameIds = [];
+        this.closedAt = null;
+    }
+
+    /**
+     * Get the local calendar day of a date
+     * @param {Date|string} date - Date or ISO timestamp
+     * @returns {string} Day as 'YYYY-MM-DD'
+     */
+    static toDay(date) {
+        const d = new Date(date);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+
+    /**
+     * Check whether the season still collects games
+     * @returns {boolean} True if active
+     */
+    isActive() {
+        return this.status === SEASON_STATUSES.ACTIVE;
+    }
+
+    /**
+     * Check whether the season has been archived
+     * @returns {boolean} True if archived
+     */
+    isArchived() {
+        return this.status === SEASON_STATUSES.ARCHIVED;
+    }
+
+    /**
+     * Check whether a date falls within the season
+     * @param {Date|string} date - Date or ISO timestamp
+     * @returns {boolean} True if on or between the start and end dates
+     */
+    coversDate(date) {
+        const day = Season.toDay(date);
+        return day >= this.startDate && (!this.endDate || day <= this.endDate);
+    }
+
+    /**
+     * Check whether a game counts towards the season
+     * @param {string} gameId - ID of the game
+     * @returns {boolean} True if the game was assigned to the season
+     */
+    includesGame(gameId) {
+        return this.gameIds.includes(gameId);
+    }
+
+    /**
+     * Assign a finished game to the season
+     * @param {Game} game - Completed game
+     * @returns {boolean} True if the game was added
+     */
+    addGame(game) {
+        if (!this.isActive() || !game.isCompleted() || !this.coversDate(game.endTime) || this.includesGame(game.id)) {
+            return false;
+        }
+
+        this.gameIds.push(game.id);
+        return true;
+    }
+
+    /**
+     * Close the season so it stops collecting games
+     * An open-ended season, or one due to end later, ends on the closing day.
+     * @param {Date} [date] - When the season was closed
+     */
+    close(date = new Date()) {
+        const today = Season.toDay(date);
+        if (!this.endDate || this.endDate > today) {
+            this.endDate = today;
+        }
+        this.status = SEASON_STATUSES.CLOSED;
+        this.closedAt = date.toISOString();
+    }
+
+    /**
+     * Archive the season, closing it first if it is still active
+     * @param {Date} [date] - When the season was archived
+     */
+    archive(date = new Date()) {
+        if (this.isActive()) {
+            this.close(date);
+        }
+        this.status = SEASON_STATUSES.ARCHIVED;
+    }
+
+    /**
+     * Get the season standings, best first
+     * Ties on wins are broken by win rate, then points.
+     * @param {Array<Game>} games - Recorded games; only the season's completed games count
+     * @returns {Array} Standings ({ playerId, name, games, wins, points, winRate })
+     */
+    getStandings(games) {
+        const standings = {};
+
+        games.forEach(game => {
+            if (!this.includesGame(game.id) || !game.isCompleted()) return;
+
+            game.scores.forEach(({ playerId, name, score }) => {
+                const row = standings[playerId] ||
+                    (standings[playerId] = { playerId, name, games: 0, wins: 0, points: 0, winRate: 0 });
+
+                row.games++;
+                row.wins += game.isWinner(playerId) ? 1 : 0;
+                row.points += score;
+                row.winRate = Math.round((row.wins / row.games) * 100);
+            });
+        });
+
+        return Object.values(standings).sort((a, b) =>
+            b.wins - a.wins ||
+            b.winRate - a.winRate ||
+            b.points - a.points ||
+            a.name.localeCompare(b.name)
+        );
+    }
+
+    /**
+     * Create a season from stored data
+     * @param {Object} data - Stored season data
+     * @returns {Season} New season instance
+     */
+    static fromData(data) {
+        const season = new Season(data.name, data.startDate, data.endDate || null);
+        season.id = data.id;
+        season.status = data.status || SEASON_STATUSES.ACTIVE;
+        season.gameIds = data.gameIds || [];
+        season.closedAt = data.closedAt || null;
+        return season;
+    }
+
+    /**
+     * Convert season to plain object for storage
+     * @returns {Object} Plain object representation
+     */
+    toData() {
+        return {
+            id: this.id,
+            name: this.name,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            status: this.status,
+            gameIds: this.gameIds,
+            closedAt: this.closedAt
+        };
+    }
+}
+
+export default Season;
@@ -0,0 +1,485 @@
+import { CONFIG, getGameType } from '../utils/config.js';
+import { RoundRobin, Swiss } from '../utils/schedule.js';
+
+const { TOURNAMENT_PAIRINGS } = CONFIG.GAME;
+
+/**
+ * Tournament model holding a schedule of tables and their results
+ * Round-robin tournaments are scheduled up front and ranked per player; in
+ * partnership games both partners are credited with the team's result.
+ * Swiss tournaments play fixed partnerships, are paired one round at a
+ * time and ranked per team.
+ */
+class Tournament {
+    /**
+     * Create a new tournament
+     * @param {string} name - Tournament name
+     * @param {Array} players - Players in the field ({ id, name })
+     * @param {string} [gameTypeId] - GAME_TYPES ID every table plays
+     * @param {string} [rulesetId] - House rules preset every table plays
+     * @param {string} [pairing] - TOURNAMENT_PAIRINGS value
+     */
+    constructor(name, players, gameTypeId = '3', rulesetId = CONFIG.GAME.DEFAULT_RULESET,
+        pairing = TOURNAMENT_PAIRINGS.ROUND_ROBIN) {
+        this.id = `tournament-${Date.now()}`;
+        this.name = name;
+        this.players = players.map(p => ({ id: p.id, name: p.name }));
+        this.gameTypeId = gameTypeId;
+        this.rulesetId = rulesetId;
+        this.pairing = pairing;
+        this.teams = [];
+        this.roundCount = 0;
+        this.rounds = [];
+        this.createdAt = new Date().toISOString();
+    }
+
+    /**
+     * Get the number of players at each table
+     * @returns {number} Table size
+     */
+    getTableSize() {
+        return getGameType(this.gameTypeId)?.players || Number(this.gameTypeId);
+    }
+
+    /**
+     * Check whether rounds are paired Swiss-style
+     * @returns {boolean} True for Swiss tournaments
+     */
+    isSwiss() {
+        return this.pairing === TOURNAMENT_PAIRINGS.SWISS;
+    }
+
+    /**
+     * Form the fixed partnerships of a Swiss tournament
+     * Teams are seeded in the order given.
+     * @param {Array<Array<string>>} teams - Player IDs of each team's partners
+     */
+    setTeams(teams) {
+        this.teams = teams.map((playerIds, idx) => ({
+            id: `team-${idx + 1}`,
+            name: playerIds.map(id => this.getPlayerName(id)).join(' & '),
+            playerIds: [...playerIds]
+        }));
+    }
+
+    /**
+     * Find a team
+     * @param {string} teamId - Team ID
+     * @returns {Object|null} Team ({ id, name, playerIds }) or null
+     */
+    getTeam(teamId) {
+        return this.teams.find(team => team.id === teamId) || null;
+    }
+
+    /**
+     * Get the number of Swiss rounds to play
+     * Defaults to enough rounds to separate the field, and never more than
+     * the teams can play without meeting an opponent twice.
+     * @returns {number} Round count
+     */
+    getRoundCount() {
+        if (!this.isSwiss()) {
+            return this.rounds.length;
+        }
+
+        const teamCount = this.teams.length;
+        const maxRounds = teamCount % 2 === 0 ? teamCount - 1 : teamCount;
+        const rounds = this.roundCount || Math.ceil(Math.log2(teamCount));
+        return Math.max(0, Math.min(rounds, maxRounds));
+    }
+
+    /**
+     * Build the schedule for the field
+     * Round-robin tournaments get every round; Swiss tournaments get their
+     * first round, with later rounds paired as results come in.
+     */
+    generateSchedule() {
+        if (this.isSwiss()) {
+            this.rounds = [];
+            this.pairNextRound();
+            return;
+        }
+
+        const rounds = RoundRobin.schedule(this.players.map(p => p.id), this.getTableSize());
+
+        this.rounds = rounds.map((round, roundIdx) => ({
+            number: roundIdx + 1,
+            byes: round.byes,
+            tables: round.tables.map((playerIds, tableIdx) => ({
+                id: `${roundIdx + 1}-${tableIdx + 1}`,
+                playerIds,
+                gameId: null,
+                result: null
+            }))
+        }));
+    }
+
+    /**
+     * Get each team's opponents so far
+     * @returns {Object} Opponent team IDs keyed by team ID
+     */
+    getOpponents() {
+        const opponents = {};
+        this.teams.forEach(team => {
+            opponents[team.id] = [];
+        });
+
+        this.getTables().forEach(({ teamIds }) => {
+            if (!teamIds) return;
+            const [first, second] = teamIds;
+            opponents[first]?.push(second);
+            opponents[second]?.push(first);
+        });
+
+        return opponents;
+    }
+
+    /**
+     * Check whether the next Swiss round can be paired
+     * @returns {boolean} True once every table of the last round has a result
+     */
+    canPairNextRound() {
+        if (!this.isSwiss() || this.rounds.length >= this.getRoundCount()) {
+            return false;
+        }
+
+        const lastRound = this.rounds[this.rounds.length - 1];
+        return !lastRound || lastRound.tables.every(table => table.result);
+    }
+
+    /**
+     * Work out the next Swiss pairing from the current standings
+     * Teams meet the closest-ranked team they have not yet played; with an
+     * odd number of teams the lowest-ranked team without a bye sits out.
+     * @returns {Object|null} Pairing ({ pairs, bye }), or null if none avoids a repeat
+     */
+    getNextPairing() {
+        const ranked = this.getTeamStandings().map(row => row.teamId);
+        const previousByes = this.rounds.map(round => round.byeTeamId).filter(Boolean);
+        return Swiss.pairRound(ranked, this.getOpponents(), previousByes);
+    }
+
+    /**
+     * Pair the next Swiss round
+     * @returns {boolean} True if a round was added
+     */
+    pairNextRound() {
+        if (!this.canPairNextRound()) {
+            return false;
+        }
+
+        const pairing = this.getNextPairing();
+        if (!pairing) {
+            return false;
+        }
+
+        const number = this.rounds.length + 1;
+        this.rounds.push({
+            number,
+            byes: [],
+            byeTeamId: pairing.bye,
+            tables: pairing.pairs.map((teamIds, tableIdx) => ({
+                id: `${number}-${tableIdx + 1}`,
+                teamIds,
+                playerIds: [],
+                gameId: null,
+                result: null
+            }))
+        });
+        this.seatRound(this.rounds[number - 1]);
+        return true;
+    }
+
+    /**
+     * Seat a Swiss round's tables from their teams
+     * Partners sit across from each other, which is how scheduled games
+     * assign seats to teams.
+     * @param {Object} round - Round to seat
+     */
+    seatRound(round) {
+        round.tables.forEach(table => {
+            const [first, second] = table.teamIds.map(id => this.getTeam(id)?.playerIds || []);
+            table.playerIds = first.flatMap((id, seat) => [id, second[seat]]).filter(Boolean);
+        });
+        round.byes = round.byeTeamId ? [...(this.getTeam(round.byeTeamId)?.playerIds || [])] : [];
+    }
+
+    /**
+     * Manually swap two teams within a Swiss round
+     * Either team may be the one sitting out. Tables that have already been
+     * started cannot be changed.
+     * @param {number} roundNumber - Round to change
+     * @param {string} teamIdA - First team
+     * @param {string} teamIdB - Second team
+     * @returns {boolean} True if the teams were swapped
+     */
+    swapTeams(roundNumber, teamIdA, teamIdB) {
+        const round = this.rounds[roundNumber - 1];
+        if (!round || !round.tables.every(table => table.teamIds) || teamIdA === teamIdB) {
+            return false;
+        }
+
+        const locate = (teamId) => {
+            if (round.byeTeamId === teamId) {
+                return { table: null, slot: null };
+            }
+            const table = round.tables.find(t => t.teamIds.includes(teamId));
+            return table ? { table, slot: table.teamIds.indexOf(teamId) } : null;
+        };
+
+        const a = locate(teamIdA);
+        const b = locate(teamIdB);
+        if (!a || !b || (!a.table && !b.table) || a.table === b.table || [a.table, b.table].some(t => t?.gameId)) {
+            return false;
+        }
+
+        const place = ({ table, slot }, teamId) => {
+            if (table) {
+                table.teamIds[slot] = teamId;
+            } else {
+                round.byeTeamId = teamId;
+            }
+        };
+        place(a, teamIdB);
+        place(b, teamIdA);
+        this.seatRound(round);
+        return true;
+    }
+
+    /**
+     * Get every table in the schedule
+     * @returns {Array} Tables in round order
+     */
+    getTables() {
+        return this.rounds.flatMap(round => round.tables);
+    }
+
+    /**
+     * Find a scheduled table
+     * @param {string} tableId - Table ID ('<round>-<table>')
+     * @returns {Object|null} Table or null
+     */
+    getTable(tableId) {
+        return this.getTables().find(table => table.id === tableId) || null;
+    }
+
+    /**
+     * Find the table a game was launched from
+     * @param {string} gameId - ID of the game
+     * @returns {Object|null} Table or null
+     */
+    getTableForGame(gameId) {
+        return this.getTables().find(table => table.gameId === gameId) || null;
+    }
+
+    /**
+     * Get a player's name
+     * @param {string} playerId - Player ID
+     * @returns {string} Player name
+     */
+    getPlayerName(playerId) {
+        return this.players.find(p => p.id === playerId)?.name || 'Unknown';
+    }
+
+    /**
+     * Link a scheduled table to the game being played for it
+     * @param {string} tableId - Table ID
+     * @param {string} gameId - ID of the game started for the table
+     * @returns {boolean} True if the table was found and not yet played
+     */
+    startTable(tableId, gameId) {
+        const table = this.getTable(tableId);
+        if (!table || table.result) {
+            return false;
+        }
+
+        table.gameId = gameId;
+        return true;
+    }
+
+    /**
+     * Record the result of a finished game played for a table
+     * Each player is scored with their side's final score (their own, or
+     * their team's) and the average of the opposing sides' scores.
+     * @param {Game} game - Finished game
+     * @returns {boolean} True if the game belonged to this tournament
+     */
+    recordGame(game) {
+        const table = this.getTableForGame(game.id);
+        if (!table) {
+            return false;
+        }
+
+        const sideScores = {};
+        const sideOf = {};
+        if (game.isTeamGame()) {
+            const teamScores = game.getTeamScores();
+            game.players.forEach(({ id }) => {
+                sideOf[id] = game.getPlayerTeam(id);
+            });
+            Object.assign(sideScores, teamScores);
+        } else {
+            game.scores.forEach(({ playerId, score }) => {
+                sideOf[playerId] = playerId;
+                sideScores[playerId] = score;
+            });
+        }
+
+        const pointsFor = {};
+        const pointsAgainst = {};
+        table.playerIds.forEach(id => {
+            const side = sideOf[id];
+            const opponents = Object.keys(sideScores).filter(other => other !== side);
+            pointsFor[id] = sideScores[side] || 0;
+            pointsAgainst[id] = opponents.length > 0
+                ? Math.round(opponents.reduce((total, other) => total + sideScores[other], 0) / opponents.length)
+                : 0;
+        });
+
+        table.result = {
+            winnerIds: table.playerIds.filter(id => game.isWinner(id)),
+            pointsFor,
+            pointsAgainst
+        };
+        return true;
+    }
+
+    /**
+     * Check whether every round has been played
+     * A Swiss tournament also ends early once no pairing avoids a repeat.
+     * @returns {boolean} True if the tournament is complete
+     */
+    isComplete() {
+        const tables = this.getTables();
+        if (tables.length === 0 || !tables.every(table => table.result)) {
+            return false;
+        }
+
+        return this.rounds.length >= this.getRoundCount() || !this.getNextPairing();
+    }
+
+    /**
+     * Get the standings, best first
+     * Ties on wins are broken by point difference, then points for.
+     * @returns {Array} Standings ({ playerId, name, played, wins, pointsFor, pointsAgainst, difference })
+     */
+    getStandings() {
+        const standings = {};
+        this.players.forEach(({ id, name }) => {
+            standings[id] = { playerId: id, name, played: 0, wins: 0, pointsFor: 0, pointsAgainst: 0, difference: 0 };
+        });
+
+        this.getTables().forEach(({ result }) => {
+            if (!result) return;
+
+            Object.keys(result.pointsFor).forEach(id => {
+                const row = standings[id];
+                if (!row) return;
+
+                row.played++;
+                row.wins += result.winnerIds.includes(id) ? 1 : 0;
+                row.pointsFor += result.pointsFor[id];
+                row.pointsAgainst += result.pointsAgainst[id];
+                row.difference = row.pointsFor - row.pointsAgainst;
+            });
+        });
+
+        return Object.values(standings).sort((a, b) =>
+            b.wins - a.wins ||
+            b.difference - a.difference ||
+            b.pointsFor - a.pointsFor ||
+            a.name.localeCompare(b.name)
+        );
+    }
+
+    /**
+     * Get the Swiss standings per team, best first
+     * A bye counts as a win with no points. Ties on wins are broken by
+     * point difference, then points for, then seeding.
+     * @returns {Array} Standings ({ teamId, name, played, wins, byes, pointsFor, pointsAgainst, difference })
+     */
+    getTeamStandings() {
+        const standings = this.teams.map(({ id, name }) => ({
+            teamId: id, name, played: 0, wins: 0, byes: 0, pointsFor: 0, pointsAgainst: 0, difference: 0
+        }));
+        const rowFor = (teamId) => standings.find(row => row.teamId === teamId);
+
+        this.rounds.forEach(round => {
+            const byeRow = rowFor(round.byeTeamId);
+            if (byeRow) {
+                byeRow.byes++;
+                byeRow.wins++;
+            }
+
+            round.tables.forEach(({ teamIds, result }) => {
+                if (!teamIds || !result) return;
+
+                teamIds.forEach(teamId => {
+                    const row = rowFor(teamId);
+                    const [playerId] = this.getTeam(teamId)?.playerIds || [];
+                    if (!row || !(playerId in result.pointsFor)) return;
+
+                    row.played++;
+                    row.wins += result.winnerIds.includes(playerId) ? 1 : 0;
+                    row.pointsFor += result.pointsFor[playerId];
+                    row.pointsAgainst += result.pointsAgainst[playerId];
+                    row.difference = row.pointsFor - row.pointsAgainst;
+                });
+            });
+        });
+
+        const seed = (row) => this.teams.findIndex(team => team.id === row.teamId);
+        return standings.sort((a, b) =>
+            b.wins - a.wins ||
+            b.difference - a.difference ||
+            b.pointsFor - a.pointsFor ||
+            seed(a) - seed(b)
+        );
+    }
+
+    /**
+     * Get the name of the tournament leader
+     * @returns {string|null} Leading team or player, or null if the field is empty
+     */
+    getLeaderName() {
+        const [leader] = this.isSwiss() ? this.getTeamStandings() : this.getStandings();
+        return leader?.name || null;
+    }
+
+    /**
+     * Create a tournament from stored data
+     * @param {Object} data - Stored tournament data
+     * @returns {Tournament} New tournament instance
+     */
+    static fromData(data) {
+        const tournament = new Tournament(data.name, data.players, data.gameTypeId, data.rulesetId,
+            data.pairing || TOURNAMENT_PAIRINGS.ROUND_ROBIN);
+        tournament.id = data.id;
+        tournament.teams = data.teams || [];
+        tournament.roundCount = data.roundCount || 0;
+        tournament.rounds = data.rounds || [];
+        tournament.createdAt = data.createdAt;
+        return tournament;
+    }
+
+    /**
+     * Convert tournament to plain object for storage
+     * @returns {Object} Plain object representation
+     */
+    toData() {
+        return {
+            id: this.id,
+            name: this.name,
+            players: this.players,
+            gameTypeId: this.gameTypeId,
+            rulesetId: this.rulesetId,
+            pairing: this.pairing,
+            teams: this.teams,
+            roundCount: this.roundCount,
+            rounds: this.rounds,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+export default Tournament;
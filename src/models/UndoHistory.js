@@ -0,0 +1,102 @@
+import { CONFIG } from '../utils/config.js';
+
+/**
+ * Undo/redo history for the current game
+ * Each entry holds snapshots of the state before and after an action.
+ */
+class UndoHistory {
+    /**
+     * Create an empty history
+     * @param {number} [limit] - Most actions kept for undo
+     */
+    constructor(limit = CONFIG.UI.UNDO_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record an action that was just performed
+     * Recording a new action discards anything that could be redone.
+     * @param {string} label - Description of the action (e.g. 'Hand 3')
+     * @param {Object} before - State before the action
+     * @param {Object} after - State after the action
+     */
+    record(label, before, after) {
+        this.undoStack.push({ label, before, after });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Check whether there is an action to undo
+     * @returns {boolean} True if undo is available
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone action to redo
+     * @returns {boolean} True if redo is available
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Step back one action
+     * @returns {Object|null} Undone entry ({ label, before, after }) or null
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            return null;
+        }
+
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Step forward one undone action
+     * @returns {Object|null} Redone entry ({ label, before, after }) or null
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            return null;
+        }
+
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Get the label of the action undo would revert
+     * @returns {string|null} Action label or null
+     */
+    getUndoLabel() {
+        return this.undoStack[this.undoStack.length - 1]?.label || null;
+    }
+
+    /**
+     * Get the label of the action redo would repeat
+     * @returns {string|null} Action label or null
+     */
+    getRedoLabel() {
+        return this.redoStack[this.redoStack.length - 1]?.label || null;
+    }
+
+    /**
+     * Forget every recorded action
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+export default UndoHistory;
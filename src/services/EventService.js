@@ -130,12 +130,17 @@ export const EVENTS = {
     GAME_ENDED: 'game:ended',
     GAME_LOADED: 'game:loaded',
     GAME_STATE_CHANGED: 'game:state-changed',
+    GAME_DELETED: 'game:deleted',
+    MATCH_ENDED: 'match:ended',
+    TOURNAMENT_UPDATED: 'tournament:updated',
+    SEASON_UPDATED: 'season:updated',
 
     // Hand events
     HAND_STARTED: 'hand:started',
     HAND_COMPLETED: 'hand:completed',
     HAND_THROWN_IN: 'hand:thrown-in',
     HAND_SHOT_MOON: 'hand:shot-moon',
+    HAND_EDITED: 'hand:edited',
 
     // UI events
     TAB_CHANGED: 'ui:tab-changed',
@@ -146,6 +151,7 @@ export const EVENTS = {
     DATA_SAVED: 'data:saved',
     DATA_LOADED: 'data:loaded',
     DATA_ERROR: 'data:error',
+    DATA_IMPORTED: 'app:data-imported',
 
     // Validation events
     VALIDATION_ERROR: 'validation:error',
@@ -0,0 +1,265 @@
+import Game from '../models/Game.js';
+import Player from '../models/Player.js';
+import storageService from './StorageService.js';
+import { CONFIG } from '../utils/config.js';
+import { Elo } from '../utils/elo.js';
+
+/**
+ * Stats engine that recomputes player statistics from recorded games
+ * Hand stats come from every played hand (thrown-in hands are skipped);
+ * game stats and ratings only from completed games in the history.
+ */
+class StatsService {
+    constructor() {
+        this.fields = [
+            'gamesPlayed',
+            'gamesWon',
+            'totalScore',
+            'highestHand',
+            'highestBid',
+            'totalMeld',
+            'handsPlayed',
+            'totalBids',
+            'successfulBids',
+            'totalTricks',
+            'trumpStats'
+        ];
+    }
+
+    /**
+     * Load the game history plus the games in progress
+     * @returns {Array<Game>} Games in the order they were played
+     */
+    loadGames() {
+        return [
+            ...storageService.loadGameHistory(),
+            ...storageService.loadActiveGames()
+        ].map(data => Game.fromData(data));
+    }
+
+    /**
+     * Compute every player's statistics from games
+     * @param {Array} players - Players to compute stats for
+     * @param {Array<Game>} games - Completed and in-progress games
+     * @returns {Object} Stats keyed by player ID (same fields as Player)
+     */
+    computePlayerStats(players, games) {
+        const tallies = {};
+        players.forEach(player => {
+            tallies[player.id] = new Player(player.name, player.id);
+        });
+
+        games.forEach(game => {
+            const pointsPerTrick = game.getDeck().pointsPerTrick;
+
+            game.hands.forEach(hand => {
+                if (hand.thrownIn || hand.pendingEntry) {
+                    return;
+                }
+
+                const bidderWon = !game.isBidderSet(hand);
+                game.players.forEach(({ id }) => {
+                    const tally = tallies[id];
+                    if (!tally) return;
+
+                    const meld = hand.playerMeld[id] || 0;
+                    const tricks = hand.playerScores[id] || 0;
+                    const isBidder = id === hand.bidderId;
+
+                    tally.updateHandStats(
+                        meld,
+                        meld + tricks,
+                        tricks,
+                        isBidder ? hand.winningBid : null,
+                        isBidder ? bidderWon : null,
+                        pointsPerTrick
+                    );
+                    if (isBidder && hand.trumpSuit) {
+                        tally.recordTrumpCall(hand.trumpSuit, bidderWon);
+                    }
+                });
+            });
+
+            if (game.isCompleted()) {
+                game.scores.forEach(({ playerId, score }) => {
+                    tallies[playerId]?.updateGameStats(game.isWinner(playerId), score);
+                });
+            }
+        });
+
+        const stats = {};
+        Object.values(tallies).forEach(tally => {
+            stats[tally.id] = this.pickStats(tally);
+        });
+        return stats;
+    }
+
+    /**
+     * Compute players' statistics from one season's games only
+     * @param {Array} players - Players to compute stats for
+     * @param {Season} season - Season whose games count
+     * @returns {Object} Stats keyed by player ID (same fields as Player)
+     */
+    computeSeasonStats(players, season) {
+        const games = this.loadGames().filter(game => season.includesGame(game.id));
+        return this.computePlayerStats(players, games);
+    }
+
+    /**
+     * Get the completed games in the order ratings replay them
+     * Ordered by finish time, then ID, so ratings come out the same however
+     * the history was stored, edited or imported.
+     * @param {Array<Game>} games - Games to order
+     * @returns {Array<Game>} Completed games, oldest first
+     */
+    orderRatedGames(games) {
+        return games
+            .filter(game => game.isCompleted())
+            .sort((a, b) => a.endTime.localeCompare(b.endTime) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Get the finishing place of every side in a completed game
+     * The winner places first, since it need not have the highest score when
+     * the bidder counts out first; the others place by score, sharing a
+     * place on tied scores.
+     * @param {Game} game - Completed game
+     * @returns {Array} Sides ({ playerIds, place })
+     */
+    getFinishingPlaces(game) {
+        const sides = game.getScoringSides().map(side => {
+            const playerIds = game.isTeamGame()
+                ? game.teamAssignments[side.id].map(p => p.id)
+                : [side.id];
+            return { playerIds, score: side.score, won: playerIds.some(id => game.isWinner(id)) };
+        });
+
+        return sides.map(side => ({
+            playerIds: side.playerIds,
+            place: 1 + sides.filter(other =>
+                (other.won && !side.won) || (other.won === side.won && other.score > side.score)
+            ).length
+        }));
+    }
+
+    /**
+     * Compute Elo ratings by replaying completed games in order
+     * Everyone starts at the initial rating. A team is rated at its
+     * partners' average and each partner takes the team's change.
+     * @param {Array<Game>} games - Recorded games
+     * @returns {Object} Ratings keyed by player ID ({ playerId, name, rating, peak, games, history })
+     */
+    computeRatings(games) {
+        const { INITIAL } = CONFIG.RATINGS;
+        const ratings = {};
+
+        this.orderRatedGames(games).forEach(game => {
+            const sides = this.getFinishingPlaces(game);
+            if (sides.length < 2) return;
+
+            game.players.forEach(({ id, name }) => {
+                ratings[id] = ratings[id] ||
+                    { playerId: id, name, rating: INITIAL, peak: INITIAL, games: 0, history: [] };
+            });
+
+            const rated = sides.map(side => ({
+                ...side,
+                rating: side.playerIds.reduce((total, id) => total + ratings[id].rating, 0) / side.playerIds.length
+            }));
+            const changes = Elo.rateGame(rated);
+
+            rated.forEach((side, idx) => {
+                side.playerIds.forEach(id => {
+                    const entry = ratings[id];
+                    const before = Math.round(entry.rating);
+                    entry.rating += changes[idx];
+                    entry.peak = Math.max(entry.peak, entry.rating);
+                    entry.games++;
+                    entry.history.push({
+                        gameId: game.id,
+                        date: game.endTime,
+                        rating: Math.round(entry.rating),
+                        change: Math.round(entry.rating) - before
+                    });
+                });
+            });
+        });
+
+        Object.values(ratings).forEach(entry => {
+            entry.rating = Math.round(entry.rating);
+            entry.peak = Math.round(entry.peak);
+        });
+        return ratings;
+    }
+
+    /**
+     * Rank players by rating, best first
+     * @param {Array} players - Players to rank (their current names are shown)
+     * @param {Array<Game>} games - Recorded games
+     * @returns {Array} Leaderboard rows ({ playerId, name, rating, peak, games, history }) for players with rated games
+     */
+    getRatingLeaderboard(players, games) {
+        const ratings = this.computeRatings(games);
+
+        return players
+            .filter(player => ratings[player.id])
+            .map(player => ({ ...ratings[player.id], name: player.name }))
+            .sort((a, b) => b.rating - a.rating || b.games - a.games || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * List the stats that differ between players and recomputed values
+     * @param {Array} players - Players with their current stats
+     * @param {Object} stats - Recomputed stats keyed by player ID
+     * @returns {Array} Changes ({ playerId, name, field, from, to })
+     */
+    findChanges(players, stats) {
+        const changes = [];
+
+        players.forEach(player => {
+            const rebuilt = stats[player.id];
+            if (!rebuilt) return;
+
+            this.fields.forEach(field => {
+                const from = player[field];
+                const to = rebuilt[field];
+                if (JSON.stringify(from) !== JSON.stringify(to)) {
+                    changes.push({ playerId: player.id, name: player.name, field, from, to });
+                }
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Recompute stats for players from the stored games
+     * @param {Array} players - Players to rebuild
+     * @returns {Object} Rebuilt stats keyed by player ID and the changes ({ stats, changes })
+     */
+    rebuild(players) {
+        const stats = this.computePlayerStats(players, this.loadGames());
+        return { stats, changes: this.findChanges(players, stats) };
+    }
+
+    /**
+     * Copy the aggregate fields of a player
+     * @param {Player} player - Player to copy
+     * @returns {Object} Stats values
+     */
+    pickStats(player) {
+        const stats = {};
+        this.fields.forEach(field => {
+            stats[field] = field === 'trumpStats'
+                ? JSON.parse(JSON.stringify(player.trumpStats))
+                : player[field];
+        });
+        return stats;
+    }
+}
+
+// Create singleton instance
+const statsService = new StatsService();
+
+export default statsService;
+export { StatsService };
@@ -6,7 +6,12 @@ class StorageService {
         this.keys = {
             PLAYERS: 'pinochle-players',
             CURRENT_GAME: 'pinochle-current-game',
-            GAME_HISTORY: 'pinochle-game-history'
+            GAME_HISTORY: 'pinochle-game-history',
+            ACTIVE_GAMES: 'pinochle-active-games',
+            ACTIVE_GAME_ID: 'pinochle-active-game-id',
+            MATCHES: 'pinochle-matches',
+            TOURNAMENTS: 'pinochle-tournaments',
+            SEASONS: 'pinochle-seasons'
         };
     }
 
@@ -76,11 +81,105 @@ class StorageService {
     }
 
     /**
-     * Save current game data
+     * Save the list of games in progress
+     * @param {Array} games - Array of in-progress game data
+     */
+    saveActiveGames(games) {
+        this.save(this.keys.ACTIVE_GAMES, games);
+    }
+
+    /**
+     * Load the list of games in progress
+     * A game saved under the old single-game key is moved into the list.
+     * @returns {Array} Array of in-progress game data
+     */
+    loadActiveGames() {
+        const games = this.load(this.keys.ACTIVE_GAMES, null);
+        if (games) {
+            return games;
+        }
+
+        const legacyGame = this.load(this.keys.CURRENT_GAME, null);
+        if (!legacyGame) {
+            return [];
+        }
+
+        this.saveActiveGames([legacyGame]);
+        this.setActiveGameId(legacyGame.id);
+        this.remove(this.keys.CURRENT_GAME);
+        return [legacyGame];
+    }
+
+    /**
+     * Save one game in progress, replacing its earlier save
+     * @param {Object} game - Game data
+     */
+    saveActiveGame(game) {
+        const games = this.loadActiveGames();
+        const index = games.findIndex(g => g.id === game.id);
+        if (index === -1) {
+            games.push(game);
+        } else {
+            games[index] = game;
+        }
+        this.saveActiveGames(games);
+    }
+
+    /**
+     * Load one game in progress
+     * @param {string} gameId - ID of the game
+     * @returns {Object|null} Game data or null
+     */
+    loadActiveGame(gameId) {
+        return this.loadActiveGames().find(game => game.id === gameId) || null;
+    }
+
+    /**
+     * Remove one game in progress
+     * @param {string} gameId - ID of the game to remove
+     * @returns {boolean} True if the game was found and removed
+     */
+    removeActiveGame(gameId) {
+        const games = this.loadActiveGames();
+        const remaining = games.filter(game => game.id !== gameId);
+        if (remaining.length === games.length) {
+            return false;
+        }
+
+        this.saveActiveGames(remaining);
+        if (this.getActiveGameId() === gameId) {
+            this.setActiveGameId(null);
+        }
+        return true;
+    }
+
+    /**
+     * Get the ID of the game shown in the Game tab
+     * @returns {string|null} Game ID or null
+     */
+    getActiveGameId() {
+        return this.load(this.keys.ACTIVE_GAME_ID, null);
+    }
+
+    /**
+     * Set the game shown in the Game tab
+     * @param {string|null} gameId - Game ID, or null when no game is shown
+     */
+    setActiveGameId(gameId) {
+        if (gameId) {
+            this.save(this.keys.ACTIVE_GAME_ID, gameId);
+        } else {
+            this.remove(this.keys.ACTIVE_GAME_ID);
+        }
+    }
+
+    /**
+     * Save current game data and make it the active game
      * @param {Object} game - Game data
      */
     saveCurrentGame(game) {
-        this.save(this.keys.CURRENT_GAME, game);
+        this.saveActiveGame(game);
+        this.setActiveGameId(game.id);
     }
 
     /**
@@ -88,14 +187,19 @@ class StorageService {
      * @returns {Object|null} Current game data or null
      */
     loadCurrentGame() {
-        return this.load(this.keys.CURRENT_GAME, null);
+        const games = this.loadActiveGames();
+        const gameId = this.getActiveGameId();
+        return games.find(game => game.id === gameId) || null;
     }
 
     /**
      * Remove current game data
      */
     removeCurrentGame() {
-        this.remove(this.keys.CURRENT_GAME);
+        const gameId = this.getActiveGameId();
+        if (gameId) {
+            this.removeActiveGame(gameId);
+        }
     }
 
     /**
@@ -124,6 +228,158 @@ class StorageService {
         this.saveGameHistory(history);
     }
 
+    /**
+     * Remove a game from history
+     * @param {string} gameId - ID of the game to remove
+     * @returns {boolean} True if the game was found and removed
+     */
+    removeFromGameHistory(gameId) {
+        const history = this.loadGameHistory();
+        const remaining = history.filter(game => game.id !== gameId);
+        if (remaining.length === history.length) {
+            return false;
+        }
+
+        this.saveGameHistory(remaining);
+        return true;
+    }
+
+    /**
+     * Save matches
+     * @param {Array} matches - Array of match data
+     */
+    saveMatches(matches) {
+        this.save(this.keys.MATCHES, matches);
+    }
+
+    /**
+     * Load matches
+     * @returns {Array} Array of match data
+     */
+    loadMatches() {
+        return this.load(this.keys.MATCHES, []);
+    }
+
+    /**
+     * Save one match, replacing its earlier save
+     * @param {Object} match - Match data
+     */
+    saveMatch(match) {
+        const matches = this.loadMatches();
+        const index = matches.findIndex(m => m.id === match.id);
+        if (index === -1) {
+            matches.push(match);
+        } else {
+            matches[index] = match;
+        }
+        this.saveMatches(matches);
+    }
+
+    /**
+     * Load one match
+     * @param {string} matchId - ID of the match
+     * @returns {Object|null} Match data or null
+     */
+    loadMatch(matchId) {
+        return this.loadMatches().find(match => match.id === matchId) || null;
+    }
+
+    /**
+     * Save tournaments
+     * @param {Array} tournaments - Array of tournament data
+     */
+    saveTournaments(tournaments) {
+        this.save(this.keys.TOURNAMENTS, tournaments);
+    }
+
+    /**
+     * Load tournaments
+     * @returns {Array} Array of tournament data
+     */
+    loadTournaments() {
+        return this.load(this.keys.TOURNAMENTS, []);
+    }
+
+    /**
+     * Save one tournament, replacing its earlier save
+     * @param {Object} tournament - Tournament data
+     */
+    saveTournament(tournament) {
+        const tournaments = this.loadTournaments();
+        const index = tournaments.findIndex(t => t.id === tournament.id);
+        if (index === -1) {
+            tournaments.push(tournament);
+        } else {
+            tournaments[index] = tournament;
+        }
+        this.saveTournaments(tournaments);
+    }
+
+    /**
+     * Load one tournament
+     * @param {string} tournamentId - ID of the tournament
+     * @returns {Object|null} Tournament data or null
+     */
+    loadTournament(tournamentId) {
+        return this.loadTournaments().find(tournament => tournament.id === tournamentId) || null;
+    }
+
+    /**
+     * Remove a tournament
+     * @param {string} tournamentId - ID of the tournament to remove
+     * @returns {boolean} True if the tournament was found and removed
+     */
+    removeTournament(tournamentId) {
+        const tournaments = this.loadTournaments();
+        const remaining = tournaments.filter(tournament => tournament.id !== tournamentId);
+        if (remaining.length === tournaments.length) {
+            return false;
+        }
+
+        this.saveTournaments(remaining);
+        return true;
+    }
+
+    /**
+     * Save league seasons
+     * @param {Array} seasons - Array of season data
+     */
+    saveSeasons(seasons) {
+        this.save(this.keys.SEASONS, seasons);
+    }
+
+    /**
+     * Load league seasons
+     * @returns {Array} Array of season data
+     */
+    loadSeasons() {
+        return this.load(this.keys.SEASONS, []);
+    }
+
+    /**
+     * Save one season, replacing its earlier save
+     * @param {Object} season - Season data
+     */
+    saveSeason(season) {
+        const seasons = this.loadSeasons();
+        const index = seasons.findIndex(s => s.id === season.id);
+        if (index === -1) {
+            seasons.push(season);
+        } else {
+            seasons[index] = season;
+        }
+        this.saveSeasons(seasons);
+    }
+
+    /**
+     * Load one season
+     * @param {string} seasonId - ID of the season
+     * @returns {Object|null} Season data or null
+     */
+    loadSeason(seasonId) {
+        return this.loadSeasons().find(season => season.id === seasonId) || null;
+    }
+
     /**
      * Check if localStorage is available
      * @returns {boolean} True if localStorage is available
@@ -174,7 +430,11 @@ class StorageService {
         return {
             players: this.loadPlayers(),
             currentGame: this.loadCurrentGame(),
+            activeGames: this.loadActiveGames(),
             gameHistory: this.loadGameHistory(),
+            matches: this.loadMatches(),
+            tournaments: this.loadTournaments(),
+            seasons: this.loadSeasons(),
             exportDate: new Date().toISOString()
         };
     }
@@ -190,6 +450,10 @@ class StorageService {
                 this.savePlayers(data.players);
             }
 
+            if (data.activeGames && (overwrite || this.loadActiveGames().length === 0)) {
+                this.saveActiveGames(data.activeGames);
+            }
+
             if (data.currentGame && (overwrite || !this.loadCurrentGame())) {
                 this.saveCurrentGame(data.currentGame);
             }
@@ -198,6 +462,18 @@ class StorageService {
                 this.saveGameHistory(data.gameHistory);
             }
 
+            if (data.matches && (overwrite || this.loadMatches().length === 0)) {
+                this.saveMatches(data.matches);
+            }
+
+            if (data.tournaments && (overwrite || this.loadTournaments().length === 0)) {
+                this.saveTournaments(data.tournaments);
+            }
+
+            if (data.seasons && (overwrite || this.loadSeasons().length === 0)) {
+                this.saveSeasons(data.seasons);
+            }
+
             return { success: true };
         } catch (error) {
             console.error('Failed to import data:', error);
@@ -5,7 +5,7 @@ export const CONFIG = {
     // Game settings
     GAME: {
         MIN_PLAYERS: 2,
-        MAX_PLAYERS: 4,
+        MAX_PLAYERS: 8,
         TARGET_SCORES: {
             2: 1000,
             3: 1500,
@@ -18,7 +18,89 @@ export const CONFIG = {
         },
         MAX_TRICKS: 25,
         MELD_INCREMENT: 10,
-        POINTS_PER_TRICK: 10
+        POINTS_PER_TRICK: 10,
+        DEFAULT_RULESET: 'standard',
+        // Team keys used for partnership games, in seating order
+        TEAM_IDS: ['teamA', 'teamB', 'teamC', 'teamD'],
+        // Lifecycle of a league season: active seasons collect finished games
+        SEASON_STATUSES: {
+            ACTIVE: 'active',
+            CLOSED: 'closed',
+            ARCHIVED: 'archived'
+        },
+        // How tournament rounds are drawn up
+        TOURNAMENT_PAIRINGS: {
+            ROUND_ROBIN: 'round-robin',
+            SWISS: 'swiss'
+        },
+        // How hand scores are entered in the score phase
+        POINTS_ENTRY_MODES: {
+            TRICKS: 'tricks',
+            COUNTERS: 'counters'
+        },
+        // What happens when every player passes
+        ALL_PASS_POLICIES: {
+            THROW_IN: 'throw-in',
+            STUCK_DEALER: 'stuck-dealer',
+            REDEAL: 'redeal'
+        },
+        // How the winner is chosen when several sides cross the target together
+        GAME_END_RULES: {
+            HIGHEST: 'highest',
+            BIDDER_OUT: 'bidder-out'
+        },
+        // What the bidder scores for shooting the moon
+        MOON_OUTCOMES: {
+            POINTS: 'points',
+            DOUBLE_BID: 'double-bid',
+            WIN: 'win'
+        },
+        // How a recorded hand was played out (chosen when editing a hand)
+        HAND_OUTCOMES: {
+            NORMAL: 'normal',
+            THROWN_IN: 'thrown-in',
+            MOON_MADE: 'moon-made',
+            MOON_FAILED: 'moon-failed',
+            CONCEDED: 'conceded'
+        },
+        HAND_OUTCOME_LABELS: {
+            'normal': 'Played',
+            'thrown-in': 'Thrown in (no bids)',
+            'moon-made': 'Shot the moon',
+            'moon-failed': 'Moon failed',
+            'conceded': 'Conceded'
+        },
+        // Card and scoring limits for each deck size
+        DECKS: {
+            single: {
+                id: 'single',
+                name: 'Single Deck',
+                cards: 48,
+                maxTricks: 25, // 24 counters + last trick, entered in tens
+                pointsPerTrick: 10,
+                counterPoints: 240,
+                lastTrickPoints: 10,
+                trickLabel: 'Tricks',
+                meldStep: 10,
+                maxMeld: 1000,
+                bidStep: 10,
+                ninesOfTrump: true
+            },
+            double: {
+                id: 'double',
+                name: 'Double Deck',
+                cards: 80,
+                maxTricks: 50, // 48 counters + 2 for last trick, one point each
+                pointsPerTrick: 1,
+                counterPoints: 48,
+                lastTrickPoints: 2,
+                trickLabel: 'Counters',
+                meldStep: 1,
+                maxMeld: 3000,
+                bidStep: 1,
+                ninesOfTrump: false
+            }
+        }
     },
 
     // UI settings
@@ -26,7 +108,8 @@ export const CONFIG = {
         NOTIFICATION_DURATION: 2200,
         NOTIFICATION_DURATION_LONG: 4000,
         TABS: ['players', 'game', 'stats'],
-        DEFAULT_TAB: 'players'
+        DEFAULT_TAB: 'players',
+        UNDO_LIMIT: 50
     },
 
     // Storage settings
@@ -34,10 +117,23 @@ export const CONFIG = {
         KEYS: {
             PLAYERS: 'pinochle-players',
             CURRENT_GAME: 'pinochle-current-game',
-            GAME_HISTORY: 'pinochle-game-history'
+            GAME_HISTORY: 'pinochle-game-history',
+            ACTIVE_GAMES: 'pinochle-active-games',
+            ACTIVE_GAME_ID: 'pinochle-active-game-id',
+            MATCHES: 'pinochle-matches',
+            TOURNAMENTS: 'pinochle-tournaments',
+            SEASONS: 'pinochle-seasons'
         }
     },
 
+    // Elo skill ratings, replayed from the game history
+    RATINGS: {
+        INITIAL: 1500,
+        K_FACTOR: 32,
+        // Recent rating changes shown on each player's stats card
+        HISTORY_SHOWN: 5
+    },
+
     // Validation rules
     VALIDATION: {
         PLAYER_NAME: {
@@ -75,7 +171,7 @@ export const CONFIG = {
         DATA_EXPORT: true,
         THEMES: false,
         MULTIPLAYER: false,
-        TOURNAMENT_MODE: false,
+        TOURNAMENT_MODE: true,
         ADVANCED_STATS: false
     }
 };
@@ -85,28 +181,211 @@ export const CONFIG = {
  */
 export const GAME_TYPES = [
     {
+        id: '2',
         players: 2,
+        teams: 0,
+        deck: 'single',
         name: '2-Player Game',
         targetScore: CONFIG.GAME.TARGET_SCORES[2],
         minBid: CONFIG.GAME.MIN_BIDS[2],
         description: 'Traditional 2-player pinochle'
     },
     {
+        id: '3',
         players: 3,
+        teams: 0,
+        deck: 'single',
         name: '3-Player Game',
         targetScore: CONFIG.GAME.TARGET_SCORES[3],
         minBid: CONFIG.GAME.MIN_BIDS[3],
         description: '3-player pinochle variant'
     },
     {
+        id: '4',
         players: 4,
+        teams: 2,
+        deck: 'single',
         name: '4-Player Team Game',
         targetScore: CONFIG.GAME.TARGET_SCORES[4],
         minBid: CONFIG.GAME.MIN_BIDS[4],
         description: '4-player team pinochle'
+    },
+    {
+        id: '4-double',
+        players: 4,
+        teams: 2,
+        deck: 'double',
+        name: '4-Player Double Deck',
+        targetScore: 500,
+        minBid: 50,
+        description: '4-player partnership pinochle with an 80-card deck (20 tricks a hand)'
+    },
+    {
+        id: '6-2x3',
+        players: 6,
+        teams: 2,
+        deck: 'double',
+        name: '6-Player, Two Teams of Three',
+        targetScore: 500,
+        minBid: 50,
+        description: '6-handed double-deck pinochle, partners in every other seat'
+    },
+    {
+        id: '6-3x2',
+        players: 6,
+        teams: 3,
+        deck: 'double',
+        name: '6-Player, Three Teams of Two',
+        targetScore: 500,
+        minBid: 50,
+        description: '6-handed double-deck pinochle, partners sit across from each other'
+    },
+    {
+        id: '8-double',
+        players: 8,
+        teams: 2,
+        deck: 'double',
+        name: '8-Player Double Deck',
+        targetScore: 500,
+        minBid: 50,
+        description: '8-handed double-deck pinochle, two teams of four in alternating seats'
+    },
+    {
+        id: '3-auction',
+        players: 3,
+        teams: 0,
+        deck: 'single',
+        name: '3-Player Auction Pinochle',
+        targetScore: null,
+        minBid: 300,
+        settlement: 'chips',
+        description: 'Auction pinochle: the high bidder takes the widow and settles in chips with each opponent'
+    }
+];
+
+/**
+ * Chip settlement for auction pinochle. Each opponent (and the kitty, at
+ * higher bids) pays the bidder the hand's value when the bid is made; the
+ * bidder pays it to each of them on a concession, and more when played and set.
+ */
+export const AUCTION_SETTLEMENT = {
+    widowSize: 3,
+    kittyMinBid: 350,
+    setMultiplier: 2,
+    // Chips per opponent for bids from each minimum up to the next bracket
+    brackets: [
+        { minBid: 300, chips: 3 },
+        { minBid: 350, chips: 5 },
+        { minBid: 400, chips: 10 },
+        { minBid: 450, chips: 15 },
+        { minBid: 500, chips: 20 },
+        { minBid: 550, chips: 25 },
+        { minBid: 600, chips: 30 }
+    ],
+    // Trump suits that pay more than the bracket value
+    suitMultipliers: {
+        spades: 2
+    }
+};
+
+/**
+ * House rule presets selectable at game setup.
+ * The chosen preset is copied onto the game, so editing a preset here
+ * never changes how games that were already started are scored.
+ */
+export const RULESETS = [
+    {
+        id: 'standard',
+        name: 'Standard',
+        description: 'Set loses the bid, take a trick to save meld, moon scores 500',
+        setPenaltyMultiplier: 1,
+        meldSave: 'trick',
+        ninesSaveMeld: true,
+        moonPoints: 500,
+        bidIncrement: 10,
+        exactTrickTotal: false
+    },
+    {
+        id: 'double-set',
+        name: 'Double Set',
+        description: 'Going set costs twice the bid',
+        setPenaltyMultiplier: 2,
+        meldSave: 'trick',
+        ninesSaveMeld: true,
+        moonPoints: 500,
+        bidIncrement: 10,
+        exactTrickTotal: false
+    },
+    {
+        id: 'meld-always-counts',
+        name: 'Meld Always Counts',
+        description: 'Non-bidders keep their meld even without taking a trick',
+        setPenaltyMultiplier: 1,
+        meldSave: 'always',
+        ninesSaveMeld: false,
+        moonPoints: 500,
+        bidIncrement: 10,
+        exactTrickTotal: false
+    },
+    {
+        id: 'big-moon',
+        name: 'Big Moon',
+        description: 'Shooting the moon scores 1000 and every trick must be accounted for',
+        setPenaltyMultiplier: 1,
+        meldSave: 'trick',
+        ninesSaveMeld: true,
+        moonPoints: 1000,
+        bidIncrement: 10,
+        exactTrickTotal: true
     }
 ];
 
+/**
+ * Card suits, in the order they are offered for trump
+ */
+export const SUITS = [
+    { id: 'spades', name: 'Spades', symbol: '♠' },
+    { id: 'hearts', name: 'Hearts', symbol: '♥' },
+    { id: 'diamonds', name: 'Diamonds', symbol: '♦' },
+    { id: 'clubs', name: 'Clubs', symbol: '♣' }
+];
+
+/**
+ * Get a suit by ID
+ * @param {string} suitId - Suit ID
+ * @returns {Object|undefined} Suit configuration
+ */
+export function getSuit(suitId) {
+    return SUITS.find(suit => suit.id === suitId);
+}
+
+/**
+ * Meld combinations offered by the meld builder, with their value per deck.
+ * A null value means the combination is not available with that deck.
+ */
+export const MELD_COMBINATIONS = [
+    { id: 'run', name: 'Run (A-10-K-Q-J of trump)', values: { single: 150, double: 15 } },
+    { id: 'royal-marriage', name: 'Royal Marriage (K-Q of trump)', values: { single: 40, double: 4 } },
+    { id: 'marriage', name: 'Marriage (K-Q of another suit)', values: { single: 20, double: 2 } },
+    { id: 'pinochle', name: 'Pinochle (Q♠-J♦)', values: { single: 40, double: 4 } },
+    { id: 'double-pinochle', name: 'Double Pinochle', values: { single: 300, double: 30 } },
+    { id: 'aces-around', name: 'Aces Around', values: { single: 100, double: 10 } },
+    { id: 'kings-around', name: 'Kings Around', values: { single: 80, double: 8 } },
+    { id: 'queens-around', name: 'Queens Around', values: { single: 60, double: 6 } },
+    { id: 'jacks-around', name: 'Jacks Around', values: { single: 40, double: 4 } },
+    { id: 'dix', name: 'Dix (9 of trump)', values: { single: 10, double: null } }
+];
+
+/**
+ * Get a house rule preset by ID
+ * @param {string} rulesetId - Ruleset preset ID
+ * @returns {Object} Ruleset preset (falls back to the default preset)
+ */
+export function getRuleset(rulesetId) {
+    return RULESETS.find(ruleset => ruleset.id === rulesetId) ||
+           RULESETS.find(ruleset => ruleset.id === CONFIG.GAME.DEFAULT_RULESET);
+}
+
 /**
  * Get game configuration for a specific number of players
  * @param {number} playerCount - Number of players
@@ -116,6 +395,24 @@ export function getGameConfig(playerCount) {
     return GAME_TYPES.find(type => type.players === playerCount);
 }
 
+/**
+ * Get game configuration by game type ID
+ * @param {string|number} gameTypeId - Game type ID (e.g. '3' or '4-double')
+ * @returns {Object|undefined} Game configuration
+ */
+export function getGameType(gameTypeId) {
+    return GAME_TYPES.find(type => type.id === String(gameTypeId));
+}
+
+/**
+ * Get card and scoring limits for a deck
+ * @param {string} deckId - Deck ID ('single' or 'double')
+ * @returns {Object} Deck configuration (falls back to a single deck)
+ */
+export function getDeckConfig(deckId) {
+    return CONFIG.GAME.DECKS[deckId] || CONFIG.GAME.DECKS.single;
+}
+
 /**
  * Validate if a player count is supported
  * @param {number} playerCount - Number of players
@@ -0,0 +1,57 @@
+/**
+ * Elo skill ratings
+ * A game between several sides (3-handed players, or teams) is rated as a
+ * head-to-head result between every pair of sides, with the K-factor
+ * shared across those pairings so one game moves a rating about as far as
+ * a two-player game would.
+ */
+
+import { CONFIG } from './config.js';
+
+export const Elo = {
+    /**
+     * Get the expected score of one rating against another
+     * @param {number} rating - Rating of the side
+     * @param {number} opponentRating - Rating of the opponent
+     * @returns {number} Expected score between 0 and 1
+     */
+    expectedScore(rating, opponentRating) {
+        return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+    },
+
+    /**
+     * Get the actual score of one finishing place against another
+     * @param {number} place - Finishing place of the side (1 is best)
+     * @param {number} opponentPlace - Finishing place of the opponent
+     * @returns {number} 1 for finishing ahead, 0.5 for a tie, 0 for finishing behind
+     */
+    actualScore(place, opponentPlace) {
+        if (place === opponentPlace) {
+            return 0.5;
+        }
+        return place < opponentPlace ? 1 : 0;
+    },
+
+    /**
+     * Get each side's rating change for one game
+     * @param {Array<Object>} sides - Sides ({ rating, place }) where place 1 is the winner
+     * @param {number} [kFactor] - Largest change for a two-sided game
+     * @returns {Array<number>} Rating change of each side, in the same order
+     */
+    rateGame(sides, kFactor = CONFIG.RATINGS.K_FACTOR) {
+        if (sides.length < 2) {
+            return sides.map(() => 0);
+        }
+
+        const k = kFactor / (sides.length - 1);
+        return sides.map((side, idx) => sides.reduce((change, opponent, opponentIdx) => {
+            if (opponentIdx === idx) {
+                return change;
+            }
+            return change + k * (
+                this.actualScore(side.place, opponent.place) -
+                this.expectedScore(side.rating, opponent.rating)
+            );
+        }, 0));
+    }
+};
@@ -115,6 +115,23 @@ export const DOM = {
         if (element) {
             element.innerHTML = '';
         }
+    },
+
+    /**
+     * Download data as a JSON file
+     * @param {string} filename - Name of the file to save
+     * @param {Object} data - Data to save
+     */
+    downloadJSON(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 };
 
@@ -151,9 +168,11 @@ export const Validation = {
     /**
      * Validate meld value
      * @param {number} meld - Meld value to validate
+     * @param {number} step - Meld must be a multiple of this value
+     * @param {number} max - Highest allowed meld
      * @returns {Object} Validation result
      */
-    meld(meld) {
+    meld(meld, step = 10, max = 1000) {
         if (typeof meld !== 'number' || isNaN(meld)) {
             return { valid: false, error: 'Meld must be a number' };
         }
@@ -162,11 +181,11 @@ export const Validation = {
             return { valid: false, error: 'Meld cannot be negative' };
         }
 
-        if (meld % 10 !== 0) {
-            return { valid: false, error: 'Meld must be divisible by 10' };
+        if (meld % step !== 0) {
+            return { valid: false, error: `Meld must be divisible by ${step}` };
         }
 
-        if (meld > 1000) {
+        if (meld > max) {
             return { valid: false, error: 'Meld value is too high' };
         }
 
@@ -176,9 +195,10 @@ export const Validation = {
     /**
      * Validate trick count
      * @param {number} tricks - Number of tricks
+     * @param {number} max - Tricks available in a hand
      * @returns {Object} Validation result
      */
-    tricks(tricks) {
+    tricks(tricks, max = 25) {
         if (typeof tricks !== 'number' || isNaN(tricks)) {
             return { valid: false, error: 'Tricks must be a number' };
         }
@@ -187,20 +207,43 @@ export const Validation = {
             return { valid: false, error: 'Tricks cannot be negative' };
         }
 
-        if (tricks > 25) {
-            return { valid: false, error: 'Tricks cannot exceed 25' };
+        if (tricks > max) {
+            return { valid: false, error: `Tricks cannot exceed ${max}` };
         }
 
         return { valid: true, value: tricks };
     },
 
+    /**
+     * Validate counter points taken by a player
+     * @param {number} counters - Counter points
+     * @param {number} max - Counter points available in a hand
+     * @returns {Object} Validation result
+     */
+    counters(counters, max = 250) {
+        if (typeof counters !== 'number' || isNaN(counters)) {
+            return { valid: false, error: 'Counters must be a number' };
+        }
+
+        if (counters < 0) {
+            return { valid: false, error: 'Counters cannot be negative' };
+        }
+
+        if (counters > max) {
+            return { valid: false, error: `Counters cannot exceed ${max}` };
+        }
+
+        return { valid: true, value: counters };
+    },
+
     /**
      * Validate bid amount
      * @param {number} bid - Bid amount
      * @param {number} minBid - Minimum bid for game type
+     * @param {number} step - Bid must be a multiple of this value
      * @returns {Object} Validation result
      */
-    bid(bid, minBid = 150) {
+    bid(bid, minBid = 150, step = 10) {
         if (typeof bid !== 'number' || isNaN(bid)) {
             return { valid: false, error: 'Bid must be a number' };
         }
@@ -209,8 +252,8 @@ export const Validation = {
             return { valid: false, error: `Bid must be at least ${minBid}` };
         }
 
-        if (bid % 10 !== 0) {
-            return { valid: false, error: 'Bid must be divisible by 10' };
+        if (bid % step !== 0) {
+            return { valid: false, error: `Bid must be divisible by ${step}` };
         }
 
         if (bid > 2000) {
@@ -223,15 +266,35 @@ export const Validation = {
     /**
      * Validate total tricks across all players
      * @param {Array} trickCounts - Array of trick counts
+     * @param {number} max - Tricks available in a hand
      * @returns {Object} Validation result
      */
-    totalTricks(trickCounts) {
+    totalTricks(trickCounts, max = 25) {
         const total = trickCounts.reduce((sum, count) => sum + count, 0);
         
-        if (total > 25) {
+        if (total > max) {
             return { 
                 valid: false, 
-                error: `Total tricks (${total}) cannot exceed 25` 
+                error: `Total tricks (${total}) cannot exceed ${max}` 
+            };
+        }
+
+        return { valid: true, value: total };
+    },
+
+    /**
+     * Validate that counter points across all players add up exactly
+     * @param {Array} counterCounts - Array of counter points
+     * @param {number} expected - Counter points available in a hand
+     * @returns {Object} Validation result
+     */
+    counterTotal(counterCounts, expected = 250) {
+        const total = counterCounts.reduce((sum, count) => sum + count, 0);
+
+        if (total !== expected) {
+            return {
+                valid: false,
+                error: `Counters must add up to exactly ${expected} (got ${total})`
             };
         }
 
@@ -272,6 +335,16 @@ export const Format = {
         return d.toLocaleDateString();
     },
 
+    /**
+     * Format a date with its time
+     * @param {Date|string} date - Date to format
+     * @returns {string} Formatted date and time
+     */
+    dateTime(date) {
+        const d = new Date(date);
+        return d.toLocaleString();
+    },
+
     /**
      * Format a time duration in minutes
      * @param {number} minutes - Duration in minutes
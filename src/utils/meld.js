@@ -0,0 +1,66 @@
+/**
+ * Meld calculator used by the meld builder
+ * Works on lists of { id, count } selections of MELD_COMBINATIONS.
+ */
+
+import { MELD_COMBINATIONS } from './config.js';
+
+export const MeldCalculator = {
+    /**
+     * Get the combinations available with a deck
+     * @param {string} [deckId] - Deck ID ('single' or 'double')
+     * @returns {Array} Combinations with their value for the deck
+     */
+    getCombinations(deckId = 'single') {
+        return MELD_COMBINATIONS
+            .filter(combination => this.getValue(combination.id, deckId) !== null)
+            .map(combination => ({
+                id: combination.id,
+                name: combination.name,
+                value: this.getValue(combination.id, deckId)
+            }));
+    },
+
+    /**
+     * Get the value of a combination with a deck
+     * @param {string} combinationId - Combination ID
+     * @param {string} [deckId] - Deck ID ('single' or 'double')
+     * @returns {number|null} Meld points, or null if not available with the deck
+     */
+    getValue(combinationId, deckId = 'single') {
+        const combination = MELD_COMBINATIONS.find(c => c.id === combinationId);
+        if (!combination) {
+            return null;
+        }
+
+        const value = combination.values[deckId];
+        return value === undefined ? null : value;
+    },
+
+    /**
+     * Total the meld for a list of selected combinations
+     * Combinations the deck does not have are ignored.
+     * @param {Array} combinations - Selections as { id, count }
+     * @param {string} [deckId] - Deck ID ('single' or 'double')
+     * @returns {number} Total meld points
+     */
+    total(combinations, deckId = 'single') {
+        return combinations.reduce((sum, { id, count = 1 }) => {
+            const value = this.getValue(id, deckId);
+            return value === null ? sum : sum + value * count;
+        }, 0);
+    },
+
+    /**
+     * Turn a map of combination counts into a list of selections
+     * @param {Object} counts - Counts keyed by combination ID
+     * @returns {Array} Selections as { id, count } with zero counts removed
+     */
+    fromCounts(counts) {
+        return Object.keys(counts)
+            .filter(id => counts[id] > 0)
+            .map(id => ({ id, count: counts[id] }));
+    }
+};
+
+export default MeldCalculator;
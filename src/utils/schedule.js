@@ -0,0 +1,186 @@
+/**
+ * Tournament scheduling: round-robin tables and Swiss-system pairing
+ */
+
+/**
+ * Round-robin scheduling
+ * Splits the players into tables each round so that every pair of players
+ * meets at a table, with players sitting out in turn when the table size
+ * does not divide the field.
+ */
+export const RoundRobin = {
+    /**
+     * Schedule the rounds of a round-robin
+     * @param {Array<string>} playerIds - IDs of the players in the field
+     * @param {number} tableSize - Players at each table (2, 3 or 4)
+     * @returns {Array<Object>} Rounds ({ tables: Array<Array<string>>, byes: Array<string> })
+     */
+    schedule(playerIds, tableSize) {
+        if (tableSize < 2 || playerIds.length < tableSize) {
+            return [];
+        }
+
+        return tableSize === 2
+            ? this.pairRounds(playerIds)
+            : this.tableRounds(playerIds, tableSize);
+    },
+
+    /**
+     * Schedule head-to-head rounds with the circle method
+     * Every player meets every other player exactly once.
+     * @param {Array<string>} playerIds - IDs of the players in the field
+     * @returns {Array<Object>} Rounds ({ tables, byes })
+     */
+    pairRounds(playerIds) {
+        const seats = playerIds.length % 2 === 0 ? [...playerIds] : [...playerIds, null];
+        const rounds = [];
+
+        for (let round = 0; round < seats.length - 1; round++) {
+            const tables = [];
+            const byes = [];
+            for (let i = 0; i < seats.length / 2; i++) {
+                const first = seats[i];
+                const second = seats[seats.length - 1 - i];
+                if (first === null || second === null) {
+                    byes.push(first === null ? second : first);
+                } else {
+                    tables.push([first, second]);
+                }
+            }
+            rounds.push({ tables, byes });
+
+            // Keep the first seat fixed and turn the others one place
+            seats.splice(1, 0, seats.pop());
+        }
+
+        return rounds;
+    },
+
+    /**
+     * Schedule rounds of three- or four-player tables
+     * Tables are filled greedily with the players who have met least, and
+     * rounds are added until every pair has shared a table.
+     * @param {Array<string>} playerIds - IDs of the players in the field
+     * @param {number} tableSize - Players at each table
+     * @returns {Array<Object>} Rounds ({ tables, byes })
+     */
+    tableRounds(playerIds, tableSize) {
+        const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+        const meetings = {};
+        const byeCounts = {};
+        playerIds.forEach(id => {
+            byeCounts[id] = 0;
+        });
+
+        const timesMet = (a, b) => meetings[pairKey(a, b)] || 0;
+        const unmetCount = (id) => playerIds.filter(other => other !== id && !timesMet(id, other)).length;
+        const totalUnmet = () => playerIds.reduce((total, id) => total + unmetCount(id), 0) / 2;
+
+        const byesPerRound = playerIds.length % tableSize;
+        const maxRounds = playerIds.length * (playerIds.length - 1) / 2;
+        const rounds = [];
+
+        while (totalUnmet() > 0 && rounds.length < maxRounds) {
+            // Players who have sat out least sit out next, later players first
+            const byes = [...playerIds]
+                .sort((a, b) => byeCounts[a] - byeCounts[b] || playerIds.indexOf(b) - playerIds.indexOf(a))
+                .slice(0, byesPerRound);
+            let available = playerIds.filter(id => !byes.includes(id));
+            const tables = [];
+
+            while (available.length >= tableSize) {
+                // Seat the player with the most opponents still to meet first
+                const seed = available.reduce((best, id) => (unmetCount(id) > unmetCount(best) ? id : best));
+                const table = [seed];
+                available = available.filter(id => id !== seed);
+
+                while (table.length < tableSize) {
+                    const cost = (id) => table.reduce((total, seated) => total + timesMet(id, seated), 0);
+                    const next = available.reduce((best, id) => (cost(id) < cost(best) ? id : best));
+                    table.push(next);
+                    available = available.filter(id => id !== next);
+                }
+                tables.push(table);
+            }
+
+            tables.forEach(table => {
+                table.forEach((a, i) => {
+                    table.slice(i + 1).forEach(b => {
+                        meetings[pairKey(a, b)] = timesMet(a, b) + 1;
+                    });
+                });
+            });
+            byes.forEach(id => {
+                byeCounts[id]++;
+            });
+            rounds.push({ tables, byes });
+        }
+
+        return rounds;
+    }
+};
+
+/**
+ * Swiss-system pairing for team tournaments
+ * Each round pairs teams with similar records without repeating an
+ * earlier opponent; with an odd number of teams the lowest-ranked team
+ * that has not yet sat out takes the bye.
+ */
+export const Swiss = {
+    /**
+     * Pair the teams for the next round
+     * @param {Array<string>} teamIds - Team IDs ranked best first
+     * @param {Object} [opponents] - Earlier opponents keyed by team ID (arrays of team IDs)
+     * @param {Array<string>} [previousByes] - Teams that have already had a bye
+     * @returns {Object|null} Pairing ({ pairs: Array<Array<string>>, bye: string|null }), or null if every pairing repeats an opponent
+     */
+    pairRound(teamIds, opponents = {}, previousByes = []) {
+        if (teamIds.length % 2 === 0) {
+            const pairs = this.pairTeams(teamIds, opponents);
+            return pairs ? { pairs, bye: null } : null;
+        }
+
+        // Try the lowest-ranked teams for the bye first
+        const byeCandidates = [...teamIds].reverse();
+        const ordered = [
+            ...byeCandidates.filter(id => !previousByes.includes(id)),
+            ...byeCandidates.filter(id => previousByes.includes(id))
+        ];
+
+        for (const bye of ordered) {
+            const pairs = this.pairTeams(teamIds.filter(id => id !== bye), opponents);
+            if (pairs) {
+                return { pairs, bye };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Pair teams top-down, each with the highest-ranked team it has not played
+     * Backtracks when a choice leaves the rest of the field unpairable.
+     * @param {Array<string>} teamIds - Team IDs ranked best first (even count)
+     * @param {Object} opponents - Earlier opponents keyed by team ID
+     * @returns {Array<Array<string>>|null} Pairs, or null if none avoid repeats
+     */
+    pairTeams(teamIds, opponents) {
+        if (teamIds.length === 0) {
+            return [];
+        }
+
+        const [top, ...rest] = teamIds;
+        for (const candidate of rest) {
+            if ((opponents[top] || []).includes(candidate)) {
+                continue;
+            }
+
+            const others = this.pairTeams(rest.filter(id => id !== candidate), opponents);
+            if (others) {
+                return [[top, candidate], ...others];
+            }
+        }
+
+        return null;
+    }
+};
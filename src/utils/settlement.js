@@ -0,0 +1,75 @@
+/**
+ * Chip settlement for auction pinochle
+ * Settles a hand between the bidder, each opponent and the kitty.
+ */
+
+import { AUCTION_SETTLEMENT } from './config.js';
+
+export const ChipSettlement = {
+    /**
+     * Get the chips per opponent for a bid, before the trump multiplier
+     * @param {number} bid - Winning bid
+     * @returns {number} Bracket chips (0 below the lowest bracket)
+     */
+    getBracketChips(bid) {
+        const bracket = AUCTION_SETTLEMENT.brackets
+            .filter(b => bid >= b.minBid)
+            .pop();
+        return bracket ? bracket.chips : 0;
+    },
+
+    /**
+     * Get what a hand is worth to each opponent
+     * @param {number} bid - Winning bid
+     * @param {string|null} trumpSuit - Suit ID named trump
+     * @returns {number} Chips per opponent
+     */
+    getHandValue(bid, trumpSuit) {
+        const multiplier = AUCTION_SETTLEMENT.suitMultipliers[trumpSuit] || 1;
+        return this.getBracketChips(bid) * multiplier;
+    },
+
+    /**
+     * Check whether the kitty settles like another opponent at this bid
+     * @param {number} bid - Winning bid
+     * @returns {boolean} True if the kitty pays and is paid
+     */
+    includesKitty(bid) {
+        return bid >= AUCTION_SETTLEMENT.kittyMinBid;
+    },
+
+    /**
+     * Settle a hand in chips
+     * A made bid collects the hand value from each opponent; a concession
+     * pays it to each, and a bid played and set pays it several times over.
+     * @param {GameHand} hand - Completed hand
+     * @param {Array<string>} playerIds - IDs of the players in the hand
+     * @returns {Object} Chips won (positive) or lost keyed by player ID, plus 'kitty'
+     */
+    settle(hand, playerIds) {
+        if (hand.thrownIn || !hand.bidderId || !hand.winningBid) {
+            return {};
+        }
+
+        const value = this.getHandValue(hand.winningBid, hand.trumpSuit);
+        const made = !hand.isBidderSet();
+        const payment = made
+            ? -value
+            : value * (hand.conceded ? 1 : AUCTION_SETTLEMENT.setMultiplier);
+
+        const payees = playerIds.filter(id => id !== hand.bidderId);
+        if (this.includesKitty(hand.winningBid)) {
+            payees.push('kitty');
+        }
+
+        const chips = { [hand.bidderId]: 0 };
+        payees.forEach(id => {
+            chips[id] = payment;
+            chips[hand.bidderId] -= payment;
+        });
+
+        return chips;
+    }
+};
+
+export default ChipSettlement;